@@ -6,6 +6,7 @@
  */
 
 var fs = require('fs')
+var nodePath = require('path')
 var util = require('util')
 var jsdiff = require('diff')
 
@@ -60,12 +61,14 @@ exports.illFormedOpts = require('ill-formed-opts')
 /**
  * Invokes `func` within a `try` block, and catches and prints any thrown exceptions (including the stack trace if an `Error` is thrown).
  *
+ * If `func` returns a `Promise` (e.g., `func` is an `async` function), waits for the `Promise` to settle, and catches and prints its rejection reason the same as a thrown exception.
+ *
  * @static
  * @memberOf dantil
  * @category Utility
  * @param {Function} func The function to invoke within a `try` block.
- * @param {boolean} [exitProcessIfFailure] Specify exiting the process with failure code `1` after catching and printing an exception (thrown within `func`).
- * @returns {*} Returns the return value of `func`.
+ * @param {boolean} [exitProcessIfFailure] Specify exiting the process with failure code `1` after catching and printing an exception (thrown within `func` or rejected by the `Promise` `func` returns).
+ * @returns {*} Returns the return value of `func`, or a `Promise` for the fulfillment value if `func` returns a `Promise`.
  * @example
  *
  * dantil.tryCatchWrapper(function () {
@@ -73,27 +76,115 @@ exports.illFormedOpts = require('ill-formed-opts')
  *   throw new Error('test failed')
  * })
  * // => Catches thrown exception and prints stack trace
+ *
+ * dantil.tryCatchWrapper(function () {
+ *   // ...async stuff...
+ *   return Promise.reject(new Error('test failed'))
+ * }, true)
+ * // => Catches rejection, prints stack trace, and exits process with failure code `1`
  */
 exports.tryCatchWrapper = function (func, exitProcessIfFailure) {
   try {
-    return func()
+    var returnVal = func()
   } catch (e) {
+    printException(e, exitProcessIfFailure)
+    return
+  }
+
+  // Catch and print the rejection of a returned `Promise` (e.g., returned by an `async` function).
+  if (isThenable(returnVal)) {
+    return returnVal.then(undefined, function (reason) {
+      printException(reason, exitProcessIfFailure)
+    })
+  }
+
+  return returnVal
+}
+
+/**
+ * Adds listeners for the process's `uncaughtException` and `unhandledRejection` events which print the exceptions (including the stack trace if an `Error` is thrown) the same as `dantil.tryCatchWrapper()`.
+ *
+ * Invoking this method again replaces the listeners previously added by this method.
+ *
+ * Note: Once a listener for `uncaughtException` is added, Node no longer exits the process after an uncaught exception. Pass `exitProcessIfFailure` as `true` to replicate that behavior.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Utility
+ * @param {boolean} [exitProcessIfFailure] Specify exiting the process with failure code `1` after printing an uncaught exception or unhandled rejection.
+ * @example
+ *
+ * dantil.catchUncaughtExceptions(true)
+ *
+ * setTimeout(function () {
+ *   throw new Error('test failed')
+ * })
+ * // => Prints stack trace and exits process with failure code `1`
+ *
+ * Promise.reject(new Error('test failed'))
+ * // => Prints stack trace and exits process with failure code `1`
+ */
+exports.catchUncaughtExceptions = function (exitProcessIfFailure) {
+  // Remove listeners added by a previous invocation, if any.
+  if (_uncaughtExceptionListener) {
+    process.removeListener('uncaughtException', _uncaughtExceptionListener)
+    process.removeListener('unhandledRejection', _uncaughtExceptionListener)
+  }
+
+  _uncaughtExceptionListener = function (e) {
+    printException(e, exitProcessIfFailure)
+  }
+
+  process.on('uncaughtException', _uncaughtExceptionListener)
+  process.on('unhandledRejection', _uncaughtExceptionListener)
+}
+
+/**
+ * The listener `dantil.catchUncaughtExceptions()` adds for the process's `uncaughtException` and `unhandledRejection` events.
+ *
+ * @private
+ * @type {Function|undefined}
+ */
+var _uncaughtExceptionListener
+
+/**
+ * Prints `exception` (including the stack trace if `exception` is an `Error`), preceded by a newline, for `dantil.tryCatchWrapper()` and `dantil.catchUncaughtExceptions()`.
+ *
+ * @private
+ * @static
+ * @param {*} exception The thrown exception or rejection reason to print.
+ * @param {boolean} [exitProcessIfFailure] Specify exiting the process with failure code `1` after printing `exception`.
+ */
+function printException(exception, exitProcessIfFailure) {
+  invokeConsoleMethod(_defaultLogger, 'error', function () {
     // Print leading newline.
     exports.log()
 
     // Print exception.
-    if (e.stack) {
-      exports.log(e.stack)
+    if (exception && exception.stack) {
+      exports.log(exception.stack)
     } else {
-      exports.log(e)
+      exports.log(exception)
     }
+  })
 
-    if (exitProcessIfFailure) {
-      process.exit(1)
-    }
+  if (exitProcessIfFailure) {
+    process.exit(1)
   }
 }
 
+/**
+ * Checks if `value` is a `Promise` or `Promise`-like object (i.e., has a `then()` method).
+ *
+ * @private
+ * @static
+ * @param {*} value The value to check.
+ * @returns {boolean} Returns `true` if `value` is thenable, else `false`.
+ */
+function isThenable(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+}
+
 /**
  * Removes the modules identified by the provided paths from cache, forcing them to be reloaded at next `require()` call.
  *
@@ -120,9 +211,344 @@ exports.deleteModuleCache = function () {
   }
 }
 
+/**
+ * Watches the module files at `paths` for changes, and upon a change removes the changed module and every module that (transitively) depends on it from cache, forcing them to be reloaded at next `require()` call.
+ *
+ * After removing the modules from cache, invokes `onReload` with one argument: (deletedPaths), the array of resolved paths of the modules removed from cache. Groups changes that occur in quick succession (e.g., an editor's multiple writes for a single save) into a single invocation of `onReload`.
+ *
+ * This is an automated version of `dantil.deleteModuleCache()` which ensures no stale copy of a changed module's dependents remains in cache.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Utility
+ * @param {string|string[]} paths The path(s) of the modules to watch.
+ * @param {Function} onReload The function invoked after removing the modules from cache.
+ * @returns {Object} Returns the watcher with the method `close()` which stops watching `paths`.
+ * @example
+ *
+ * var server = require('./server.js')
+ *
+ * var watcher = dantil.watchModules([ './grammar.js', './parser.js' ], function (deletedPaths) {
+ *   // => Invoked after './parser.js' changes, with `deletedPaths` as
+ *   //    [ '/Users/Danny/parser.js', '/Users/Danny/server.js' ]
+ *
+ *   // Load the changed module and its dependents again.
+ *   server = require('./server.js')
+ * })
+ *
+ * // Stop watching.
+ * watcher.close()
+ */
+exports.watchModules = function (paths, onReload) {
+  if (!Array.isArray(paths)) {
+    paths = [ paths ]
+  }
+
+  var fsWatchers = {}
+  var changedPaths = []
+  var reloadTimeout
+  var closed = false
+
+  function watchPath(filePath) {
+    var fsWatcher = fsWatchers[filePath] = fs.watch(filePath, function (eventType) {
+      // Editors that save by replacing the file (i.e., a 'rename' event) end the watch on the original file, so watch the new file at the same path, if any.
+      if (eventType === 'rename') {
+        fsWatcher.close()
+
+        if (exports.pathExistsSync(filePath)) {
+          watchPath(filePath)
+        } else {
+          watchPathUntilExists(filePath)
+        }
+      }
+
+      addChangedPath(filePath)
+    })
+
+    // Poll for the file instead of throwing an uncaught exception after a watcher error (e.g., `EPERM` on some platforms after removing the file or its directory).
+    fsWatcher.on('error', function () {
+      fsWatcher.close()
+
+      if (!closed && fsWatchers[filePath] === fsWatcher) {
+        watchPathUntilExists(filePath)
+      }
+    })
+  }
+
+  function watchPathUntilExists(filePath) {
+    // Poll for the file to exist again (e.g., after an editor removes the file before writing its replacement), then resume watching it.
+    function onStat() {
+      if (exports.pathExistsSync(filePath)) {
+        fs.unwatchFile(filePath, onStat)
+        watchPath(filePath)
+        addChangedPath(filePath)
+      }
+    }
+
+    fs.watchFile(filePath, { interval: _watchModulesDelay }, onStat)
+
+    fsWatchers[filePath] = {
+      close: function () {
+        fs.unwatchFile(filePath, onStat)
+      },
+    }
+  }
+
+  function addChangedPath(filePath) {
+    if (changedPaths.indexOf(filePath) === -1) {
+      changedPaths.push(filePath)
+    }
+
+    // Group changes that occur in quick succession into a single reload.
+    clearTimeout(reloadTimeout)
+    reloadTimeout = setTimeout(reload, _watchModulesDelay)
+  }
+
+  function reload() {
+    if (closed) return
+
+    var deletedPaths = []
+    for (var p = 0, changedPathsLen = changedPaths.length; p < changedPathsLen; ++p) {
+      var modulePaths = [ changedPaths[p] ].concat(getDependentModulePaths(changedPaths[p], true))
+
+      for (var m = 0, modulePathsLen = modulePaths.length; m < modulePathsLen; ++m) {
+        var modulePath = modulePaths[m]
+        if (deletedPaths.indexOf(modulePath) === -1) {
+          delete require.cache[modulePath]
+          deletedPaths.push(modulePath)
+        }
+      }
+    }
+
+    changedPaths = []
+    onReload(deletedPaths)
+  }
+
+  for (var p = 0, pathsLen = paths.length; p < pathsLen; ++p) {
+    // Resolve `path` to match the module's key in `require.cache`.
+    watchPath(exports.realpathSync(paths[p]))
+  }
+
+  return {
+    close: function () {
+      closed = true
+      clearTimeout(reloadTimeout)
+
+      for (var filePath in fsWatchers) {
+        fsWatchers[filePath].close()
+      }
+
+      fsWatchers = {}
+    },
+  }
+}
+
+/**
+ * The number of milliseconds `dantil.watchModules()` waits after a change for further changes before reloading, thereby grouping changes that occur in quick succession.
+ *
+ * @private
+ * @type {number}
+ */
+var _watchModulesDelay = 50
+
+/**
+ * Gets the dependency graph of the modules in cache, built from each cached module's `module.children`. The graph maps the path of each module to the paths of the modules it required.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Utility
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.excludeNodeModules] Specify excluding modules within `node_modules` directories.
+ * @returns {Object} Returns the dependency graph as a map of module paths to the paths of their dependencies.
+ * @example
+ *
+ * ```
+ * The contents of `main.js`:
+ * ```js
+ * var child = require('./child.js')
+ * var lodash = require('lodash')
+ *
+ * dantil.getModuleGraph({ excludeNodeModules: true })
+ * // => {
+ * //   '/Users/Danny/main.js': [ '/Users/Danny/dantil.js', '/Users/Danny/child.js' ],
+ * //   '/Users/Danny/child.js': [ '/Users/Danny/grandchild.js' ],
+ * //   '/Users/Danny/grandchild.js': []
+ * // }
+ */
+exports.getModuleGraph = function (options) {
+  if (exports.illFormedOpts(_moduleGraphSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  var excludeNodeModules = options && options.excludeNodeModules
+  var graph = {}
+
+  for (var modulePath in require.cache) {
+    if (excludeNodeModules && isNodeModulePath(modulePath)) {
+      continue
+    }
+
+    var dependencyPaths = graph[modulePath] = []
+    var children = require.cache[modulePath].children
+    for (var c = 0, childrenLen = children.length; c < childrenLen; ++c) {
+      var childPath = children[c].filename
+      if (!(excludeNodeModules && isNodeModulePath(childPath)) && dependencyPaths.indexOf(childPath) === -1) {
+        dependencyPaths.push(childPath)
+      }
+    }
+  }
+
+  return graph
+}
+
+/**
+ * The schema for the options object of `dantil.getModuleGraph()` and `dantil.logModuleGraph()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _moduleGraphSchema = {
+  excludeNodeModules: Boolean,
+}
+
+/**
+ * Gets the paths of the modules in cache that required the module at `path`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Utility
+ * @param {string} path The path of the module for which to find the dependents.
+ * @param {boolean} [transitive] Specify also including the modules that depend on `path` indirectly (i.e., the modules that required one of its dependents).
+ * @returns {string[]} Returns the paths of the modules that depend on `path`.
+ * @example
+ *
+ * ```
+ * The contents of `main.js`:
+ * ```js
+ * var child = require('./child.js')
+ *
+ * dantil.getModuleDependents('./grandchild.js')
+ * // => [ '/Users/Danny/child.js' ]
+ *
+ * dantil.getModuleDependents('./grandchild.js', true)
+ * // => [ '/Users/Danny/child.js', '/Users/Danny/main.js' ]
+ */
+exports.getModuleDependents = function (path, transitive) {
+  return getDependentModulePaths(exports.realpathSync(path), transitive)
+}
+
+/**
+ * Prints the dependency graph of the modules in cache as a tree, starting at the module at `path`, if provided, else the main module.
+ *
+ * Prints each module's dependencies only at its first occurrence in the tree, and marks later occurrences with `[Printed above]` and circular dependencies with `[Circular]`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Utility
+ * @param {string} [path] The path of the module at which to start the tree.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.excludeNodeModules] Specify excluding modules within `node_modules` directories.
+ * @example
+ *
+ * ```
+ * The contents of `main.js`:
+ * ```js
+ * var child = require('./child.js')
+ *
+ * dantil.logModuleGraph({ excludeNodeModules: true })
+ * // => Prints:
+ * //    /Users/Danny/main.js
+ * //    ├── /Users/Danny/dantil.js
+ * //    └── /Users/Danny/child.js
+ * //        └── /Users/Danny/grandchild.js
+ */
+exports.logModuleGraph = function (path, options) {
+  if (typeof path === 'object') {
+    options = path
+    path = undefined
+  }
+
+  // The main module is undefined when the process reads from `stdin` (e.g., the REPL).
+  if (path === undefined && !require.main) {
+    exports.logError('No main module; provide the path of the module at which to start the tree')
+    throw new Error('No main module')
+  }
+
+  var rootPath = path === undefined ? require.main.filename : exports.realpathSync(path)
+  var graph = exports.getModuleGraph(options)
+
+  if (!graph[rootPath]) {
+    exports.logError('Module not in cache:', exports.stylize(rootPath))
+    throw new Error('Module not in cache')
+  }
+
+  exports.logTree(rootPath, {
+    children: function (modulePath) {
+      // Print modules removed from cache since their dependents required them as leaves.
+      return graph[modulePath] || []
+    },
+    dedupe: true,
+  })
+}
+
+/**
+ * Gets the paths of the modules in cache that depend on the module at `modulePath` (i.e., the modules that required `modulePath`).
+ *
+ * Compares modules by file name instead of by reference, because modules reloaded after removal from cache are new instances, while their (cached) dependents' `module.children` still contain the previous instances.
+ *
+ * @private
+ * @static
+ * @param {string} modulePath The resolved path of the module for which to get the dependents.
+ * @param {boolean} [transitive] Specify also including the modules that depend on `modulePath` indirectly (i.e., the modules that required one of its dependents).
+ * @returns {string[]} Returns the paths of the modules that depend on `modulePath`.
+ */
+function getDependentModulePaths(modulePath, transitive) {
+  var dependentPaths = []
+  var queue = [ modulePath ]
+
+  while (queue.length > 0) {
+    var dependencyPath = queue.shift()
+
+    for (var cachedPath in require.cache) {
+      if (cachedPath === modulePath || dependentPaths.indexOf(cachedPath) !== -1) {
+        continue
+      }
+
+      var children = require.cache[cachedPath].children
+      for (var c = 0, childrenLen = children.length; c < childrenLen; ++c) {
+        if (children[c].filename === dependencyPath) {
+          dependentPaths.push(cachedPath)
+
+          if (transitive) {
+            queue.push(cachedPath)
+          }
+
+          break
+        }
+      }
+    }
+  }
+
+  return dependentPaths
+}
+
+/**
+ * Checks if `modulePath` is within a `node_modules` directory.
+ *
+ * @private
+ * @static
+ * @param {string} modulePath The module path to check.
+ * @returns {boolean} Returns `true` if `modulePath` is within a `node_modules` directory, else `false`.
+ */
+function isNodeModulePath(modulePath) {
+  return /[\\/]node_modules[\\/]/.test(modulePath)
+}
+
 /**
  * Gets this method's invocation location in the format `filePath:lineNumber:columnNumber`.
  *
+ * If the invoking file has a source map, reports the location in the original source file. See `dantil.getModuleCallerLocation()` for source map details.
+ *
  * @static
  * @memberOf dantil
  * @category Utility
@@ -147,11 +573,13 @@ exports.getLocation = function () {
  * This is not necessarily the caller of the currently executing function, which can be another function within the same module. Nor is it necessarily this module's parent which instantiated the module. Rather, it is the most recent function call in the stack outside the currently executing module.
  * • Skips stack frames for native Node functions (e.g., `require()`).
  *
- * When searching the call stack, skips those frames for modules in which `dantil.skipFileInLocationRetrieval()` was invoked.
+ * When searching the call stack, skips those frames for modules in which `dantil.skipFileInLocationRetrieval()` was invoked and those frames that match a rule added with `dantil.addLocationSkipRule()`.
  * • This is useful for including a method's invocation location in an error message, though that location is deep within the call stack relative to the error's generation location. I.e., the error is caught several modules deep from the invocation to which the error applies, as opposed to being one module deep.
  *
  * Returns `undefined` if there is no other module in the stack below where this method was invoked that meets these criteria. This occurs when invoked from the root module.
  *
+ * If the file of the location has a source map (e.g., the file is transpiled or bundled), reports the location in the original source file instead of the generated file. Reads source maps inlined as a data URL or referenced by the file's `sourceMappingURL` comment, else a sidecar map file at the file's path with the extension `.map` appended. Caches each file's source map.
+ *
  * @static
  * @memberOf dantil
  * @category Utility
@@ -208,59 +636,179 @@ exports.getLocation = function () {
  */
 exports.getModuleCallerLocation = function () {
   // Get the stack trace, excluding the stack frames for this module and native Node functions (e.g., `require()`).
-  var stack = getStackTraceArray()
-
-  var thisModuleName
-  for (var f = 0, stackLen = stack.length; f < stackLen; ++f) {
-    var frame = stack[f]
-    var frameFileName = frame.getFileName()
-
-    // Get the module name of where this method was invoked (in order to skip its associated frames).
-    if (!thisModuleName) {
-      thisModuleName = frameFileName
-      continue
-    }
-
-    // Find the frame of the most recent module after where this method was invoked, skipping frames for modules in which `dantil.skipFileInLocationRetrieval()` was invoked, if any.
-    if (thisModuleName !== frameFileName && _filesToSkipInLocationRetreival.indexOf(frameFileName) === -1) {
-      return getFrameLocation(frame)
-    }
-  }
+  var frame = getModuleCallerFrame(getStackTraceArray())
 
   // Returns `undefined` if there is no other module in the stack below where this method was invoked that meets these criteria.
+  if (frame) {
+    return getFrameLocation(frame)
+  }
 }
 
 /**
- * The file names of stack frames for `dantil.getModuleCallerLocation()` to skip when searching the call stack for the function call that invoked the currently executing module.
+ * A version of `dantil.getLocation()` that returns this method's invocation location as an object instead of a string, and accepts options to skip stack frames.
+ *
+ * The returned object has the following properties:
+ * • `filePath` *(string)*: The file path.
+ * • `lineNumber` *(number)*: The line number.
+ * • `columnNumber` *(number)*: The column number.
+ * • `functionName` *(string|null)*: The name of the invoking function.
+ * • `methodName` *(string|null)*: The name of the property of `this` or one of its prototypes that holds the invoking function.
+ * • `typeName` *(string|null)*: The type of `this`.
+ * • `isAsync` *(boolean)*: Specifies if the frame is an `async` call.
+ * • `isConstructor` *(boolean)*: Specifies if the frame is a constructor call.
+ * • `isEval` *(boolean)*: Specifies if the frame is within code defined by a call to `eval()`.
+ * • `isToplevel` *(boolean)*: Specifies if `this` is the global object.
+ *
+ * Like `dantil.getLocation()`, reports the location in the original source file if the file has a source map.
  *
- * `dantil.skipFileInLocationRetrieval()` appends this array with the file name in which the method is invoked.
+ * @static
+ * @memberOf dantil
+ * @category Utility
+ * @param {Object} [options] The options object.
+ * @param {number} [options.skip=0] The number of stack frames to skip after excluding those that `options.skipPaths` and `options.filter` exclude.
+ * @param {Array} [options.skipPaths] The rules of file paths of stack frames to skip, each of which can be any of the forms `dantil.addLocationSkipRule()` accepts (i.e., a file path, directory path, glob pattern, `RegExp`, or function).
+ * @param {Function} [options.filter] The function invoked per stack frame with the frame's location object as the only argument: (location). Skips the frames for which it returns falsey.
+ * @returns {Object|undefined} Returns this method's invocation location, else `undefined` if every stack frame is skipped.
+ * @example
  *
- * @private
- * @type {string[]}
+ * ```
+ * The contents of `foo.js`:
+ * ```js
+ * function myFunction() {
+ *   dantil.getLocationInfo()
+ * }
+ *
+ * myFunction()
+ * // => {
+ * //   filePath: '/Users/Danny/foo.js',
+ * //   lineNumber: 2,
+ * //   columnNumber: 10,
+ * //   functionName: 'myFunction',
+ * //   methodName: null,
+ * //   typeName: 'Object',
+ * //   isAsync: false,
+ * //   isConstructor: false,
+ * //   isEval: false,
+ * //   isToplevel: true
+ * // }
+ *
+ * // Get the location of the function call that invoked this function.
+ * function myOtherFunction() {
+ *   return dantil.getLocationInfo({ skip: 1 })
+ * }
+ *
+ * // Get the location of the most recent invocation outside `node_modules`.
+ * dantil.getLocationInfo({ skipPaths: [ /\/node_modules\// ] })
  */
-var _filesToSkipInLocationRetreival = []
+exports.getLocationInfo = function (options) {
+  if (exports.illFormedOpts(_locationInfoSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  return findFrameInfo(getStackTraceArray(), options)
+}
 
 /**
- * Marks the module in which this method is invoked for `dantil.getModuleCallerLocation()` to skip when searching the call stack.
+ * A version of `dantil.getModuleCallerLocation()` that returns the location as an object instead of a string, and accepts options to skip stack frames.
  *
- * This is useful for using `dantil.getModuleCallerLocation()` to include a method's invocation location in an error message, though that location is deep within the call stack relative to the error's generation location. I.e., the error is caught several modules deep from the invocation to which the error applies, as opposed to being one module deep.
+ * The returned object has the same properties as the object `dantil.getLocationInfo()` returns.
  *
  * @static
  * @memberOf dantil
  * @category Utility
+ * @param {Object} [options] The options object.
+ * @param {number} [options.skip=0] The number of stack frames that invoked the currently executing module to skip after excluding those that `options.skipPaths` and `options.filter` exclude.
+ * @param {Array} [options.skipPaths] The rules of file paths of stack frames to skip, each of which can be any of the forms `dantil.addLocationSkipRule()` accepts (i.e., a file path, directory path, glob pattern, `RegExp`, or function).
+ * @param {Function} [options.filter] The function invoked per stack frame with the frame's location object as the only argument: (location). Skips the frames for which it returns falsey.
+ * @returns {Object|undefined} Returns the location of the function call that invoked the currently executing module, else `undefined` if there is none.
  * @example
  *
  * ```
  * The contents of `main.js`:
  * ```js
  * var child = require('./child.js')
- *
- * // Invoke `child.js`.
  * child.func()
  * ```
  * The contents of `child.js`:
  * ```js
- * var grandchild = require('./grandchild.js')
+ * exports.func = function () {
+ *   dantil.getModuleCallerLocationInfo()
+ *   // => {
+ *   //   filePath: '/Users/Danny/main.js',
+ *   //   lineNumber: 2,
+ *   //   columnNumber: 7,
+ *   //   functionName: null,
+ *   //   methodName: null,
+ *   //   typeName: 'Object',
+ *   //   isAsync: false,
+ *   //   isConstructor: false,
+ *   //   isEval: false,
+ *   //   isToplevel: false
+ *   // }
+ * }
+ */
+exports.getModuleCallerLocationInfo = function (options) {
+  if (exports.illFormedOpts(_locationInfoSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  var stack = getStackTraceArray()
+  var moduleCallerFrame = getModuleCallerFrame(stack)
+  if (moduleCallerFrame) {
+    // Search the stack from the frame that invoked the currently executing module, excluding the frames that `getModuleCallerFrame()` skips.
+    var thisModuleName = stack[0].getFileName()
+    return findFrameInfo(stack.slice(stack.indexOf(moduleCallerFrame)).filter(function (frame) {
+      var frameFileName = frame.getFileName()
+      return frameFileName !== thisModuleName && !isFileSkippedInLocationRetrieval(frameFileName)
+    }), options)
+  }
+}
+
+/**
+ * The schema for the options object of `dantil.getLocationInfo()` and `dantil.getModuleCallerLocationInfo()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _locationInfoSchema = {
+  skip: Number,
+  skipPaths: Array,
+  filter: Function,
+}
+
+/**
+ * The rules for the file names of stack frames for `dantil.getModuleCallerLocation()` to skip when searching the call stack for the function call that invoked the currently executing module.
+ *
+ * `dantil.addLocationSkipRule()` appends this array with the rule's key and the function that tests file names.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var _locationSkipRules = []
+
+/**
+ * Marks the module in which this method is invoked for `dantil.getModuleCallerLocation()` to skip when searching the call stack.
+ *
+ * This is useful for using `dantil.getModuleCallerLocation()` to include a method's invocation location in an error message, though that location is deep within the call stack relative to the error's generation location. I.e., the error is caught several modules deep from the invocation to which the error applies, as opposed to being one module deep.
+ *
+ * Invoking this method more than once within the same file has no additional effect. Use `dantil.addLocationSkipRule()` to skip directories, packages, or file name patterns.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Utility
+ * @example
+ *
+ * ```
+ * The contents of `main.js`:
+ * ```js
+ * var child = require('./child.js')
+ *
+ * // Invoke `child.js`.
+ * child.func()
+ * ```
+ * The contents of `child.js`:
+ * ```js
+ * var grandchild = require('./grandchild.js')
  *
  * exports.func = function () {
  *   // Get the location of the function call that invoked the module `grandchild.js`.
@@ -286,982 +834,6483 @@ var _filesToSkipInLocationRetreival = []
  */
 exports.skipFileInLocationRetrieval = function () {
   var stack = getStackTraceArray()
-  var fileName = stack[0].getFileName()
-
-  // Alert if method invoked twice within same file.
-  if (_filesToSkipInLocationRetreival.indexOf(fileName) !== -1) {
-    exports.logError('`dantil.skipFileInLocationRetrieval()` invoked twice within same file:')
-    exports.log('  ' + exports.stylize(fileName) + '\n')
-    throw new Error('Duplicate file name to ignore')
-  }
-
-  _filesToSkipInLocationRetreival.push(fileName)
+  exports.addLocationSkipRule(stack[0].getFileName())
 }
 
 /**
- * Creates a string representation of the location of `stackFrame` in the format `filePath:lineNumber:columnNumber`.
+ * Adds `rule` for `dantil.getModuleCallerLocation()` (and the methods that use it, such as `dantil.logErrorAndPath()`) to skip the stack frames whose file names match `rule` when searching the call stack.
  *
- * @private
- * @static
- * @param {CallSite} stackFrame The stack frame.
- * @returns {string} Returns the location of `stackFrame`.
- */
-function getFrameLocation(stackFrame) {
-  var frameString = stackFrame.toString()
-  var lastParenIndex = frameString.lastIndexOf('(')
-  return lastParenIndex === -1 ? frameString : frameString.slice(lastParenIndex + 1, -1)
-}
-
-/**
- * Gets the structured stack trace as an array of `CallSite` objects, excluding the stack frames for this module and native Node functions.
+ * `rule` can be any of the following:
+ * • A file path, which matches that file.
+ * • A directory path, which matches every file within that directory (e.g., a package's path).
+ * • A glob pattern (e.g., `'validation/*.js'`, `'lib/**'`), which matches the file paths it matches. Supports `*`, `**`, `?`, `[...]`, and `{a,b}`.
+ * • A `RegExp`, which matches the file paths it tests.
+ * • A function, which is invoked per file path and matches the file paths for which it returns truthy.
+ *
+ * Resolves relative paths and patterns against the current working directory. Adding a rule that was already added has no effect. Use `dantil.removeLocationSkipRule()` to remove `rule`, or `dantil.withLocationSkipRule()` to add `rule` only while invoking a function.
+ *
+ * This is useful for skipping a multi-file layer, such as a shared validation layer, that reports errors that apply to the code that invoked it.
  *
- * @private
  * @static
- * @returns {CallSite[]} Returns the structured stack trace.
+ * @memberOf dantil
+ * @category Utility
+ * @param {string|RegExp|Function} rule The rule of file names to skip.
+ * @example
+ *
+ * // Skip every file of the validation layer.
+ * dantil.addLocationSkipRule(__dirname + '/validation')
+ *
+ * // Skip every file of a package.
+ * dantil.addLocationSkipRule('./node_modules/ill-formed-opts')
+ *
+ * // Skip files that match a glob pattern.
+ * dantil.addLocationSkipRule('./lib/*-validator.js')
+ *
+ * // Skip files for which a function returns truthy.
+ * dantil.addLocationSkipRule(function (filePath) {
+ *   return /schema/.test(filePath)
+ * })
  */
-function getStackTraceArray() {
-  var origStackTraceLimit = Error.stackTraceLimit
-  var origPrepareStackTrace = Error.prepareStackTrace
-
-  // Collect all stack frames.
-  Error.stackTraceLimit = Infinity
-
-  // Get a structured stack trace as an `Array` of `CallSite` objects, each of which represents a stack frame, with frames for native Node functions and this file removed.
-  Error.prepareStackTrace = function (error, structuredStackTrace) {
-    return structuredStackTrace.filter(function (frame) {
-      var filePath = frame.getFileName()
-
-      // Skip frames from within this module (i.e., `dantil`).
-      if (filePath === __filename) {
-        return false
-      }
-
-      // Skip frames for native Node functions (e.g., `require()`).
-      if (!/\//.test(filePath)) {
-        return false
-      }
+exports.addLocationSkipRule = function (rule) {
+  var skipRule = createLocationSkipRule(rule)
 
-      return true
-    })
+  // Ignore duplicate rules.
+  if (findLocationSkipRuleIndex(skipRule.key) === -1) {
+    _locationSkipRules.push(skipRule)
   }
-
-  // Collect the stack trace.
-  var stack = Error().stack
-
-  // Restore stack trace configuration after collecting stack trace.
-  Error.stackTraceLimit = origStackTraceLimit
-  Error.prepareStackTrace = origPrepareStackTrace
-
-  return stack
 }
 
 /**
- * Stylizes strings for printing to the console using the [`chalk`](https://github.com/chalk/chalk) module.
+ * Removes `rule` added with `dantil.addLocationSkipRule()` (or the file skipped with `dantil.skipFileInLocationRetrieval()`).
  *
  * @static
  * @memberOf dantil
  * @category Utility
- * @type Object
+ * @param {string|RegExp|Function} rule The rule to remove.
+ * @returns {boolean} Returns `true` if `rule` was removed, else `false` if `rule` was not added.
  * @example
  *
- * console.log(dantil.colors.red('Error'))
- * // => Prints red-colored "Error"
+ * dantil.addLocationSkipRule('./validation')
+ *
+ * dantil.removeLocationSkipRule('./validation')
+ * // => true
+ *
+ * dantil.removeLocationSkipRule('./validation')
+ * // => false
  */
-exports.colors = require('chalk')
+exports.removeLocationSkipRule = function (rule) {
+  var ruleIndex = findLocationSkipRuleIndex(createLocationSkipRule(rule).key)
+  if (ruleIndex === -1) {
+    return false
+  }
+
+  _locationSkipRules.splice(ruleIndex, 1)
+  return true
+}
 
 /**
- * Invokes `func` while synchronously writing the process's `stdout` to a file at `path` instead of the console. Creates the file if it does not exist or truncates the file to zero length if it does exist. Restores `stdout` to the console when `func` returns or if an exception is thrown.
+ * Invokes `func` while `rule` is added like `dantil.addLocationSkipRule()`, and removes `rule` when `func` returns or if an exception is thrown. If `func` returns a `Promise`, removes `rule` when the `Promise` settles.
+ *
+ * Does not remove `rule` if it was already added before invoking this method.
  *
  * @static
  * @memberOf dantil
- * @category File System
- * @param {string} path The path where to write `stdout`.
- * @param {Function} func The function to invoke while writing output to `path`.
- * @returns {*} Returns the value returned by `func`, if any.
+ * @category Utility
+ * @param {string|RegExp|Function} rule The rule of file names to skip while invoking `func`.
+ * @param {Function} func The function to invoke.
+ * @returns {*} Returns the return value of `func`.
  * @example
  *
- * // Print to console.
- * console.log('Begin output to file')
- *
- * // Redirect `stdout` from console to '~/Desktop/out.txt'.
- * dantil.stdoutToFile('~/Desktop/out.txt', function () {
- *   console.log('Numbers:')
- *   for (var i = 0; i < 100; ++i) {
- *     console.log(i)
- *   }
+ * dantil.withLocationSkipRule('./validation', function () {
+ *   // Report errors at the location that invoked the validation layer.
+ *   validate(grammar)
  * })
- * // => Restores `stdout` to console and prints "Output saved: ~/Desktop/out.txt"
- *
- * // Print to console (after restoring `stdout`).
- * console.log('Output to file complete')
  */
-exports.stdoutToFile = function (path, func) {
-  // Expand '~' if present. Can not resolve `path` here because `path` may not exist.
-  path = exports.expandHomeDir(path)
-
-  // Disable ANSI escape codes for color and formatting in output.
-  var origSupportsColor = exports.colors.supportsColor
-  exports.colors.supportsColor = false
+exports.withLocationSkipRule = function (rule, func) {
+  var skipRule = createLocationSkipRule(rule)
+  if (findLocationSkipRuleIndex(skipRule.key) !== -1) {
+    return func()
+  }
 
-  // Create file if does not exist, truncates file to zero length if it does exist, or throw an exception if `path` is a directory.
-  fs.writeFileSync(path)
+  _locationSkipRules.push(skipRule)
 
-  // Redirect `process.stdout` to `path`.
-  var writable = fs.createWriteStream(path)
-  var origStdoutWrite = process.stdout.write
-  process.stdout.write = function () {
-    writable.write.apply(writable, arguments)
+  function removeRule() {
+    var ruleIndex = _locationSkipRules.indexOf(skipRule)
+    if (ruleIndex !== -1) {
+      _locationSkipRules.splice(ruleIndex, 1)
+    }
   }
 
   try {
-    // Write output to `path`.
     var returnVal = func()
+  } catch (e) {
+    removeRule()
+    throw e
+  }
 
-    // Restore `process.stdout`.
-    process.stdout.write = origStdoutWrite
+  if (isThenable(returnVal)) {
+    return returnVal.then(function (value) {
+      removeRule()
+      return value
+    }, function (reason) {
+      removeRule()
+      throw reason
+    })
+  }
 
-    // Re-enable output stylization.
-    exports.colors.supportsColor = origSupportsColor
+  removeRule()
+  return returnVal
+}
 
-    exports.log('Output saved:', fs.realpathSync(path))
+/**
+ * Creates a location skip rule from `rule` for `dantil.addLocationSkipRule()` and the `skipPaths` option of `dantil.getLocationInfo()`.
+ *
+ * @private
+ * @static
+ * @param {string|RegExp|Function} rule The file path, directory path, glob pattern, `RegExp`, or function.
+ * @returns {Object} Returns the skip rule as an object with the properties `key`, the value that identifies equivalent rules, and `test`, the function that checks if a file path matches the rule.
+ */
+function createLocationSkipRule(rule) {
+  if (typeof rule === 'function') {
+    return {
+      key: rule,
+      test: function (filePath) {
+        return !!rule(filePath)
+      },
+    }
+  }
 
-    return returnVal
-  } catch (e) {
-    // Restore `process.stdout`.
-    process.stdout.write = origStdoutWrite
+  if (rule instanceof RegExp) {
+    return {
+      key: String(rule),
+      test: function (filePath) {
+        // Reset `lastIndex` for global and sticky `RegExp` instances.
+        rule.lastIndex = 0
+        return rule.test(filePath)
+      },
+    }
+  }
 
-    // Re-enable output stylization.
-    exports.colors.supportsColor = origSupportsColor
+  if (typeof rule !== 'string') {
+    exports.logError('Location skip rule is not a path, glob pattern, `RegExp`, or function:', exports.stylize(rule))
+    throw new Error('Ill-formed location skip rule')
+  }
 
-    throw e
+  // Resolve `rule` if relative. Can not use `realpathSync()` here because `rule` may not exist.
+  var resolvedRule = nodePath.resolve(exports.expandHomeDir(rule))
+
+  if (isGlobPattern(rule)) {
+    var reGlob = globToRegExp(resolvedRule)
+    return {
+      key: 'glob:' + resolvedRule,
+      test: function (filePath) {
+        return reGlob.test(filePath)
+      },
+    }
+  }
+
+  // Match the file at `resolvedRule` and every file within the directory at `resolvedRule`.
+  return {
+    key: 'path:' + resolvedRule,
+    test: function (filePath) {
+      return filePath === resolvedRule || filePath.indexOf(resolvedRule + nodePath.sep) === 0
+    },
   }
 }
 
 /**
- * Stringifies and writes `object` to a JSON file at `path`.
+ * Gets the index of the rule in `_locationSkipRules` with `key`.
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category File System
- * @param {string} path The file path to which to write.
- * @param {Object} object The object to save to `path`.
- * @example
- *
- * var obj = {
- *   name: 'foo',
- *   value: 7,
- *   list: [ 'apple', 'orange' ]
- * }
- *
- * dantil.writeJSONFile('./myObj.json', obj)
- * // => Writes file and prints "File saved: /Users/Danny/myObj.json"
+ * @param {string|Function} key The key of the rule to find.
+ * @returns {number} Returns the index of the rule, else `-1`.
  */
-exports.writeJSONFile = function (path, object) {
-  // Expand '~' if present. Can not resolve `path` here because `path` may not exist.
-  path = exports.expandHomeDir(path)
-
-  fs.writeFileSync(path, JSON.stringify(object, function (key, val) {
-    // Convert RegExp to strings for `JSON.stringify()`.
-    return val instanceof RegExp ? val.source : val
-  }, '\t'))
+function findLocationSkipRuleIndex(key) {
+  for (var r = 0, rulesLen = _locationSkipRules.length; r < rulesLen; ++r) {
+    if (_locationSkipRules[r].key === key) {
+      return r
+    }
+  }
 
-  exports.log('File saved:', fs.realpathSync(path))
+  return -1
 }
 
 /**
- * Gets the file path and line number in the format `filePath:lineNumber` of each occurrence of `value` in the source file at `filePath`. This is useful for error reporting.
+ * Checks if `string` contains glob pattern syntax (i.e., `*`, `?`, `[...]`, or `{...}`).
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category File System
- * @param {string} filePath The path of the source file to search.
- * @param {*} value The value for which to search.
- * @returns {Array} Returns the set of matched file paths and line numbers.
- * @example
+ * @param {string} string The string to check.
+ * @returns {boolean} Returns `true` if `string` is a glob pattern, else `false`.
+ */
+function isGlobPattern(string) {
+  return /[*?[\]{}]/.test(string)
+}
+
+/**
+ * Converts the glob pattern `glob` to an equivalent `RegExp` that matches entire paths.
  *
- * ```
- * The contents of `foo.js`:
- * ```js
- * var list = [
- *   { name: 'lorem', num: 2 },
- *   { name: 'lorem ipsum', num: 5 },
- *   { name: 'ipsum', num: 3 }
- * ]
- * ```
- * The contents of `bar.js`:
- * ```js
- * dantil.pathAndLineNumbersOf('./foo.js', 'ipsum')
- * // => [ '/Users/Danny/foo.js:3', '/Users/Danny/foo.js:3' ]
+ * Supports `*` (any characters except a path separator), `**` (any characters, including path separators, when an entire path segment), `?` (any single character except a path separator), `[...]` and `[!...]` (character classes), and `{a,b}` (alternatives).
  *
- * // Enclose sought value to distinguish `ipsum` from `'ipsum'`.
- * dantil.pathAndLineNumbersOf('./foo.js', '\'ipsum\'')
- * // => [ '/Users/Danny/foo.js:4' ]
+ * @private
+ * @static
+ * @param {string} glob The glob pattern to convert.
+ * @returns {RegExp} Returns the `RegExp` for `glob`.
  */
-exports.pathAndLineNumbersOf = function (filePath, value) {
-  var matches = []
+function globToRegExp(glob) {
+  var reSource = ''
+  var braceDepth = 0
+
+  for (var i = 0, globLen = glob.length; i < globLen; ++i) {
+    var char = glob[i]
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // Match zero or more entire path segments for '**/'.
+        if (glob[i + 2] === '/') {
+          reSource += '(?:.*/)?'
+          i += 2
+        } else {
+          reSource += '.*'
+          i += 1
+        }
+      } else {
+        reSource += '[^/]*'
+      }
+    } else if (char === '?') {
+      reSource += '[^/]'
+    } else if (char === '[') {
+      var closeIndex = glob.indexOf(']', i + 2)
+      if (closeIndex === -1) {
+        reSource += '\\['
+      } else {
+        var charClass = glob.slice(i + 1, closeIndex).replace(/\\/g, '\\\\')
+        reSource += '[' + (charClass[0] === '!' ? '^' + charClass.slice(1) : charClass) + ']'
+        i = closeIndex
+      }
+    } else if (char === '{') {
+      reSource += '(?:'
+      ++braceDepth
+    } else if (char === '}' && braceDepth > 0) {
+      reSource += ')'
+      --braceDepth
+    } else if (char === ',' && braceDepth > 0) {
+      reSource += '|'
+    } else {
+      reSource += char.replace(/[\\^$.*+?()[\]{}|\/]/, '\\$&')
+    }
+  }
 
-  basePathAndLineNumbersOf(filePath, value, function (pathAndLineNumber) {
-    matches.push(pathAndLineNumber)
-  })
+  return RegExp('^' + reSource + '$')
+}
 
-  return matches
+/**
+ * Checks if the file at `filePath` is marked for `dantil.getModuleCallerLocation()` to skip when searching the call stack.
+ *
+ * @private
+ * @static
+ * @param {string} filePath The file path to check.
+ * @returns {boolean} Returns `true` if `filePath` is skipped, else `false`.
+ */
+function isFileSkippedInLocationRetrieval(filePath) {
+  return _locationSkipRules.some(function (skipRule) {
+    return skipRule.test(filePath)
+  })
 }
 
 /**
- * Gets the file path and line number in the format `filePath:lineNumber` of the first occurrence of `value` in the source file at `filePath`. This is useful for error reporting.
+ * Gets the frame in `stack` of the function call that invoked the module of the first frame in `stack`, skipping frames for modules in which `dantil.skipFileInLocationRetrieval()` was invoked.
  *
- * If `subValue` is provided, gets the line number of the first occurrence of `subValue` after the first occurrence of `value`. This is useful for using `value` to distinguish multiple occurrences of `subValue` in the file.
+ * @private
+ * @static
+ * @param {CallSite[]} stack The structured stack trace.
+ * @returns {CallSite|undefined} Returns the module caller's frame, else `undefined` if there is no other module in `stack` that meets these criteria.
+ */
+function getModuleCallerFrame(stack) {
+  var thisModuleName
+  for (var f = 0, stackLen = stack.length; f < stackLen; ++f) {
+    var frame = stack[f]
+    var frameFileName = frame.getFileName()
+
+    // Get the module name of where this method was invoked (in order to skip its associated frames).
+    if (!thisModuleName) {
+      thisModuleName = frameFileName
+      continue
+    }
+
+    // Find the frame of the most recent module after where this method was invoked, skipping frames for modules in which `dantil.skipFileInLocationRetrieval()` was invoked, if any.
+    if (thisModuleName !== frameFileName && !isFileSkippedInLocationRetrieval(frameFileName)) {
+      return frame
+    }
+  }
+}
+
+/**
+ * Gets the location object of the first frame in `stack` that `options` does not exclude, for `dantil.getLocationInfo()` and `dantil.getModuleCallerLocationInfo()`.
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category File System
- * @param {string} filePath The path of the source file to search.
- * @param {*} value The value for which to search.
- * @param {*} [subValue] The second value for which to search, starting at the location of `value`.
- * @returns {string|undefined} Returns the matched file path and line number, else `undefined`.
- * @example
- *
- * ```
- * The contents of `foo.js`:
- * ```js
- * var list = [
- *   {
- *     name: 'lorem',
- *     num: 2
- *   }, {
- *     name: 'lorem ipsum',
- *     num: 5
- *   }, {
- *     name: 'ipsum',
- *     num: 3
- *   }
- * ]
- * ```
- * The contents of `bar.js`:
- * ```js
- * dantil.firstPathAndLineNumberOf('./foo.js', 'ipsum')
- * // => '/Users/Danny/foo.js:6',
+ * @param {CallSite[]} stack The structured stack trace.
+ * @param {Object} [options] The options object of `dantil.getLocationInfo()`.
+ * @returns {Object|undefined} Returns the frame's location object, else `undefined` if every frame is excluded.
+ */
+function findFrameInfo(stack, options) {
+  if (!options) {
+    options = {}
+  }
+
+  var framesToSkip = options.skip || 0
+  var skipRules = (options.skipPaths || []).map(createLocationSkipRule)
+
+  for (var f = 0, stackLen = stack.length; f < stackLen; ++f) {
+    var frameInfo = getFrameInfo(stack[f])
+
+    if (skipRules.some(function (skipRule) {
+      return skipRule.test(frameInfo.filePath)
+    })) {
+      continue
+    }
+
+    if (options.filter && !options.filter(frameInfo)) continue
+
+    if (framesToSkip-- === 0) {
+      return frameInfo
+    }
+  }
+}
+
+/**
+ * Creates the location object of `stackFrame`, with the properties described in `dantil.getLocationInfo()`.
  *
- * // Get line number of first occurrence of `num` after `ipsum`.
- * dantil.firstPathAndLineNumberOf('./foo.js', 'ipsum', 'num')
- * // => '/Users/Danny/foo.js:7',
+ * If the file of `stackFrame` has a source map, uses the location in the original source file.
  *
- * // Enclose sought value to distinguish `ipsum` from `'ipsum'`.
- * dantil.firstPathAndLineNumberOf('./foo.js', '\'ipsum\'')
- * // => '/Users/Danny/foo.js:9'
+ * @private
+ * @static
+ * @param {CallSite} stackFrame The stack frame.
+ * @returns {Object} Returns the location object of `stackFrame`.
  */
-exports.firstPathAndLineNumberOf = function (filePath, value, subValue) {
-  var match
+function getFrameInfo(stackFrame) {
+  var frameInfo = {
+    filePath: stackFrame.getFileName(),
+    lineNumber: stackFrame.getLineNumber(),
+    columnNumber: stackFrame.getColumnNumber(),
+    functionName: stackFrame.getFunctionName(),
+    methodName: stackFrame.getMethodName(),
+    typeName: stackFrame.getTypeName(),
+    // `CallSite.isAsync()` is unavailable before Node v12.
+    isAsync: typeof stackFrame.isAsync === 'function' ? stackFrame.isAsync() : false,
+    isConstructor: stackFrame.isConstructor(),
+    isEval: stackFrame.isEval(),
+    isToplevel: stackFrame.isToplevel(),
+  }
 
-  if (subValue) {
-    // Find first occurrence of `subValue` after `value`.
-    lineNumbersOf(filePath, value, function (lineNumber) {
-      return basePathAndLineNumbersOf(filePath, subValue, function (pathAndLineNumber) {
-        match = pathAndLineNumber
-        return true
-      }, lineNumber)
-    })
-  } else {
-    // Find first occurrence of `value`.
-    basePathAndLineNumbersOf(filePath, value, function (pathAndLineNumber) {
-      match = pathAndLineNumber
-      return true
-    })
+  if (frameInfo.filePath && frameInfo.lineNumber && frameInfo.columnNumber) {
+    var origPosition = getOriginalPosition(frameInfo.filePath, frameInfo.lineNumber, frameInfo.columnNumber)
+    if (origPosition) {
+      frameInfo.filePath = origPosition.filePath
+      frameInfo.lineNumber = origPosition.lineNumber
+      frameInfo.columnNumber = origPosition.columnNumber
+    }
   }
 
-  return match
+  return frameInfo
 }
 
 /**
- * The base implementation of `dantil.pathAndLineNumbersOf()` and `dantil.firstPathAndLineNumberOf()` which finds occurrences of `value` in the source file at `filePath`. Stops iteration once `iteratee` returns truthy. Invokes `iteratee` with the path and line number in the format `filePath:lineNumber` as the only argument: (pathAndLineNumber).
+ * Creates a string representation of the location of `stackFrame` in the format `filePath:lineNumber:columnNumber`.
+ *
+ * If the file of `stackFrame` has a source map, uses the location in the original source file.
  *
  * @private
  * @static
- * @param {string} filePath The path of the source file to search.
- * @param {*} value The value for which to search.
- * @param {Function} iteratee The function invoked per matched line until it returns truthy.
- * @param {number} [fromLine=0] The line number at which to start the searching forward in the file at `filePath`.
- * @returns {boolean} Returns `true` if `iteratee` is invoked and returns truthy, else `false`.
+ * @param {CallSite} stackFrame The stack frame.
+ * @returns {string} Returns the location of `stackFrame`.
  */
-function basePathAndLineNumbersOf(filePath, value, iteratee, fromLine) {
-  // Resolve `filePath` if relative.
-  filePath = exports.realpathSync(filePath)
+function getFrameLocation(stackFrame) {
+  var filePath = stackFrame.getFileName()
+  var lineNumber = stackFrame.getLineNumber()
+  var columnNumber = stackFrame.getColumnNumber()
+
+  if (filePath && lineNumber && columnNumber) {
+    var origPosition = getOriginalPosition(filePath, lineNumber, columnNumber)
+    if (origPosition) {
+      return origPosition.filePath + ':' + origPosition.lineNumber + ':' + origPosition.columnNumber
+    }
+  }
 
-  return lineNumbersOf(filePath, value, function (lineNumber) {
-    // Exit if `iteratee` returns truthy.
-    return iteratee(filePath + ':' + lineNumber)
-  }, fromLine)
+  var frameString = stackFrame.toString()
+  var lastParenIndex = frameString.lastIndexOf('(')
+  return lastParenIndex === -1 ? frameString : frameString.slice(lastParenIndex + 1, -1)
 }
 
 /**
- * Gets the line numbers of occurrences of `value` in the source file at `filePath`. Stops iteration once `iteratee` returns truthy. Invokes `iteratee` with one argument: (lineNumber).
+ * Gets the position in the original source file that corresponds to `lineNumber` and `columnNumber` in the generated file at `filePath` using the file's source map.
  *
  * @private
  * @static
- * @param {string} filePath The path of the source file to search.
- * @param {*} value The value for which to search.
- * @param {Function} iteratee The function invoked per matched line until it returns truthy.
- * @param {number} [fromLine=0] The line number at which to start the searching forward in the file at `filePath`.
- * @returns {boolean} Returns `true` if `iteratee` is invoked and returns truthy, else `false`.
+ * @param {string} filePath The path of the generated file.
+ * @param {number} lineNumber The line number in the generated file (beginning at 1).
+ * @param {number} columnNumber The column number in the generated file (beginning at 1).
+ * @returns {Object|undefined} Returns the original position as an object with the properties `filePath`, `lineNumber`, and `columnNumber`, else `undefined` if the file has no source map or the position is unmapped.
  */
-function lineNumbersOf(filePath, value, iteratee, fromLine) {
-  // Get `filePath` lines.
-  var fileLines = fs.readFileSync(filePath, 'utf8').split('\n')
+function getOriginalPosition(filePath, lineNumber, columnNumber) {
+  var sourceMap = getSourceMap(filePath)
+  if (!sourceMap) return
+
+  var lineSegments = sourceMap.lines[lineNumber - 1]
+  if (!lineSegments) return
+
+  // Find the last segment that begins at or before the column. Source map columns begin at 0.
+  var segment
+  for (var s = 0, lineSegmentsLen = lineSegments.length; s < lineSegmentsLen; ++s) {
+    if (lineSegments[s][0] > columnNumber - 1) break
+    segment = lineSegments[s]
+  }
 
-  // Find occurrences of `value` in `fileLines`.
-  for (var l = fromLine || 0, fileLinesLen = fileLines.length; l < fileLinesLen; ++l) {
-    if (fileLines[l].indexOf(value) !== -1) {
-      // Add 1 to line index because line numbers begin at 1.
-      if (iteratee(l + 1)) {
-        // Exit if `iteratee` returns truthy.
-        return true
+  // Skip segments without a source position (i.e., generated code without an original counterpart).
+  if (segment && segment.length >= 4) {
+    return {
+      filePath: sourceMap.sources[segment[1]],
+      lineNumber: segment[2] + 1,
+      columnNumber: segment[3] + 1,
+    }
+  }
+}
+
+/**
+ * The parsed source maps of files, keyed by the files' paths, for `getSourceMap()`. Maps files without a source map to `null`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _sourceMapCache = {}
+
+/**
+ * Gets and parses the source map of the generated file at `filePath`, if any.
+ *
+ * Reads a source map inlined as a data URL or referenced by the file's `sourceMappingURL` comment, else a sidecar map file at `filePath` with the extension `.map` appended. Caches the result for subsequent invocations.
+ *
+ * @private
+ * @static
+ * @param {string} filePath The path of the generated file.
+ * @returns {Object|null} Returns the parsed source map as an object with the properties `sources`, the resolved source paths, and `lines`, the decoded segments of each generated line, else `null` if there is no (valid) source map.
+ */
+function getSourceMap(filePath) {
+  if (_sourceMapCache.hasOwnProperty(filePath)) {
+    return _sourceMapCache[filePath]
+  }
+
+  var sourceMap = null
+
+  try {
+    var fileContents = fs.readFileSync(filePath, 'utf8')
+    var mapJSON
+    var mapDirPath = nodePath.dirname(filePath)
+
+    // Get the URL in the last `sourceMappingURL` comment, if any.
+    var reSourceMappingURL = /(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s'"*]+)/g
+    var sourceMappingURL
+    var match
+    while (match = reSourceMappingURL.exec(fileContents)) {
+      sourceMappingURL = match[1]
+    }
+
+    if (sourceMappingURL) {
+      var dataURLMatch = /^data:[^,]*?(;base64)?,(.*)$/.exec(sourceMappingURL)
+      if (dataURLMatch) {
+        mapJSON = dataURLMatch[1] ? Buffer.from(dataURLMatch[2], 'base64').toString('utf8') : decodeURIComponent(dataURLMatch[2])
+      } else {
+        var mapPath = nodePath.resolve(mapDirPath, decodeURIComponent(sourceMappingURL))
+        mapJSON = fs.readFileSync(mapPath, 'utf8')
+        mapDirPath = nodePath.dirname(mapPath)
       }
+    } else if (exports.pathExistsSync(filePath + '.map')) {
+      mapJSON = fs.readFileSync(filePath + '.map', 'utf8')
     }
+
+    if (mapJSON) {
+      sourceMap = parseSourceMap(JSON.parse(mapJSON), mapDirPath)
+    }
+  } catch (e) {
+    // Treat unreadable or malformed source maps as absent.
+    sourceMap = null
   }
 
-  return false
+  _sourceMapCache[filePath] = sourceMap
+  return sourceMap
 }
 
 /**
- * Replaces `'~'` in `path` (if present and at the path's start) with the home directory path.
+ * Parses `rawSourceMap`, a version 3 source map, resolving its sources relative to `mapDirPath` and decoding its VLQ mappings.
  *
+ * Does not support indexed source maps (i.e., source maps with `sections`).
+ *
+ * @private
  * @static
- * @memberOf dantil
- * @category File System
- * @param {string} path The file path.
- * @returns {string} Returns `path` with `'~'`, if present, replaced with the home directory path.
- * @example
+ * @param {Object} rawSourceMap The source map JSON object.
+ * @param {string} mapDirPath The path of the directory containing the source map (or the generated file, for inlined source maps).
+ * @returns {Object|null} Returns the parsed source map as an object with the properties `sources` and `lines`, else `null` if `rawSourceMap` is unsupported.
+ */
+function parseSourceMap(rawSourceMap, mapDirPath) {
+  if (rawSourceMap.version !== 3 || typeof rawSourceMap.mappings !== 'string') {
+    return null
+  }
+
+  var sourceRoot = rawSourceMap.sourceRoot || ''
+  var sources = rawSourceMap.sources.map(function (source) {
+    source = sourceRoot + (sourceRoot && sourceRoot[sourceRoot.length - 1] !== '/' ? '/' : '') + source
+
+    // Resolve relative paths, but leave URLs (e.g., 'webpack:///src/foo.js') as-is.
+    return /^[a-z][a-z0-9+.-]*:/i.test(source) ? source : nodePath.resolve(mapDirPath, source)
+  })
+
+  // Decode each segment's relative VLQ fields into absolute values: [ generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex ].
+  var fieldValues = [ 0, 0, 0, 0, 0 ]
+  var lines = rawSourceMap.mappings.split(';').map(function (lineMappings) {
+    // The generated column resets at each line; the other fields are relative to the previous segment in the file.
+    fieldValues[0] = 0
+
+    return lineMappings.split(',').filter(Boolean).map(function (segmentMappings) {
+      var relativeValues = decodeVLQ(segmentMappings)
+      for (var v = 0, relativeValuesLen = relativeValues.length; v < relativeValuesLen; ++v) {
+        fieldValues[v] += relativeValues[v]
+      }
+
+      return fieldValues.slice(0, relativeValues.length)
+    })
+  })
+
+  return {
+    sources: sources,
+    lines: lines,
+  }
+}
+
+/**
+ * The Base64 characters, in order of their values, for `decodeVLQ()`.
  *
- * dantil.expandHomeDir('~/Desktop')
- * // => '/Users/Danny/Desktop'
+ * @private
+ * @type {string}
  */
-exports.expandHomeDir = function (path) {
-  return path.replace(/^~/, process.env[process.platform === 'win32' ? 'USERPROFILE' : 'HOME'])
+var _base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Decodes `string`, a sequence of Base64 VLQ values in a source map's mappings.
+ *
+ * @private
+ * @static
+ * @param {string} string The VLQ-encoded string to decode.
+ * @returns {number[]} Returns the decoded values.
+ */
+function decodeVLQ(string) {
+  var values = []
+  var value = 0
+  var shift = 0
+
+  for (var i = 0, stringLen = string.length; i < stringLen; ++i) {
+    var digit = _base64Chars.indexOf(string[i])
+    if (digit === -1) {
+      throw new Error('Invalid Base64 VLQ character: ' + exports.stylize(string[i]))
+    }
+
+    // The lower five bits are the value; the sixth bit marks continuation.
+    value += (digit & 31) * Math.pow(2, shift)
+
+    if (digit & 32) {
+      shift += 5
+    } else {
+      // The lowest bit of the completed value is the sign.
+      values.push(value % 2 === 1 ? -Math.floor(value / 2) : Math.floor(value / 2))
+      value = 0
+      shift = 0
+    }
+  }
+
+  return values
 }
 
 /**
- * Synchronously resolves `path` to an absolute path.
+ * Gets the structured stack trace as an array of `CallSite` objects, excluding the stack frames for this module and native Node functions.
  *
- * This method is similar to Node's `fs.realpathSync()`, but also expands `'~'` if found in `path`.
+ * @private
+ * @static
+ * @returns {CallSite[]} Returns the structured stack trace.
+ */
+function getStackTraceArray() {
+  var origStackTraceLimit = Error.stackTraceLimit
+  var origPrepareStackTrace = Error.prepareStackTrace
+
+  // Collect all stack frames.
+  Error.stackTraceLimit = Infinity
+
+  // Get a structured stack trace as an `Array` of `CallSite` objects, each of which represents a stack frame, with frames for native Node functions and this file removed.
+  Error.prepareStackTrace = function (error, structuredStackTrace) {
+    return structuredStackTrace.filter(function (frame) {
+      var filePath = frame.getFileName()
+
+      // Skip frames from within this module (i.e., `dantil`).
+      if (filePath === __filename) {
+        return false
+      }
+
+      // Skip frames for native Node functions (e.g., `require()`).
+      if (!/\//.test(filePath)) {
+        return false
+      }
+
+      return true
+    })
+  }
+
+  // Collect the stack trace.
+  var stack = Error().stack
+
+  // Restore stack trace configuration after collecting stack trace.
+  Error.stackTraceLimit = origStackTraceLimit
+  Error.prepareStackTrace = origPrepareStackTrace
+
+  return stack
+}
+
+/**
+ * Stylizes strings for printing to the console using the [`chalk`](https://github.com/chalk/chalk) module.
  *
  * @static
  * @memberOf dantil
- * @category File System
- * @param {string} path The path to resolve.
- * @returns {string} Returns the absolute path.
+ * @category Utility
+ * @type Object
  * @example
  *
- * dantil.realpathSync('~/Desktop/../../Danny')
- * // => '/Users/Danny'
+ * console.log(dantil.colors.red('Error'))
+ * // => Prints red-colored "Error"
  */
-exports.realpathSync = function (path) {
-  return fs.realpathSync(exports.expandHomeDir(path))
-}
+exports.colors = require('chalk')
 
 /**
- * Synchronously checks if `path` exists by checking the file system.
+ * Invokes `func` while synchronously writing the process's `stdout` to a file at `path` instead of the console. Creates the file if it does not exist or truncates the file to zero length if it does exist. Restores `stdout` to the console when `func` returns or if an exception is thrown.
  *
- * Replaces the deprecated `fs.existsSync()` by invoking `fs.accessSync(path)`, which throws an exception when `path` is not found, within a `try...catch` block.
+ * If `func` returns a `Promise`, restores `stdout` when the `Promise` settles. See `dantil.captureOutput()` for other destinations and for capturing `stderr`.
  *
  * @static
  * @memberOf dantil
  * @category File System
- * @param {string} path The path to check.
- * @returns {boolean} Returns `true` if `path` exists, else `false`.
+ * @param {string} path The path where to write `stdout`.
+ * @param {Function} func The function to invoke while writing output to `path`.
+ * @returns {*} Returns the value returned by `func`, if any.
  * @example
  *
- * dantil.pathExistsSync('/etc/passwd')
- * // => true
+ * // Print to console.
+ * console.log('Begin output to file')
  *
- * dantil.pathExistsSync('/wrong/path')
- * // => false
+ * // Redirect `stdout` from console to '~/Desktop/out.txt'.
+ * dantil.stdoutToFile('~/Desktop/out.txt', function () {
+ *   console.log('Numbers:')
+ *   for (var i = 0; i < 100; ++i) {
+ *     console.log(i)
+ *   }
+ * })
+ * // => Restores `stdout` to console and prints "Output saved: ~/Desktop/out.txt"
+ *
+ * // Print to console (after restoring `stdout`).
+ * console.log('Output to file complete')
  */
-exports.pathExistsSync = function (path) {
-  try {
-    fs.accessSync(path)
-    return true
-  } catch (e) {
-    return false
+exports.stdoutToFile = function (path, func) {
+  // Resolve `path`, which may not exist.
+  path = exports.resolvePath(path)
+
+  // Write `stdout` to `path`, without ANSI escape codes for color and formatting.
+  var capture = exports.captureOutput({ path: path }, func)
+
+  if (isThenable(capture)) {
+    return capture.then(function (capture) {
+      exports.log('Output saved:', path)
+      return capture.value
+    })
   }
+
+  exports.log('Output saved:', path)
+
+  return capture.value
 }
 
 /**
- * Pretty-prints the provided values and objects to `stdout`, in color, recursing 2 times while formatting objects (which is the behavior of `console.log()`).
+ * Invokes `func` while capturing the output the process writes to `stdout` and/or `stderr`. Restores the streams when `func` returns or if an exception is thrown. If `func` returns a `Promise`, captures output until the `Promise` settles.
  *
- * Formats plain `Object`s and `Array`s with multi-line string representations on separate lines. Concatenates and formats all other consecutive values on the same line.
+ * Returns the captured output as strings (or `Buffer`s), or writes the output to a file at `options.path`. If `options.tee` is truthy, also writes the output to the console (or the enclosing capture, if nested).
  *
- * If the first argument is of a complex type (e.g., `Object`, `Array`), left-aligns all remaining lines. Otherwise, equally indents each line after the first line, if any. If the first argument has leading whitespace (or is entirely whitespace), prepends all remaining arguments with the same whitespace (as indentation) excluding newline characters.
+ * Captures can be nested and can overlap (e.g., concurrent asynchronous captures): the most recently started active capture receives the output, and passes the output to the capture started before it only if `options.tee` is truthy. Restores each stream after all captures of it end, regardless of the order in which they end.
+ *
+ * Removes ANSI escape codes for color and formatting from the captured output (but not from the console output when teeing) unless `options.colors` is truthy.
  *
  * @static
  * @memberOf dantil
- * @category Console
- * @param {...*} [values] The values and objects to print.
- * @returns {*} Returns the first argument.
+ * @category File System
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.stdout=true] Specify capturing `stdout`.
+ * @param {boolean} [options.stderr=false] Specify capturing `stderr`.
+ * @param {string} [options.path] The path of the file where to write the captured output instead of returning it.
+ * @param {boolean} [options.append] Specify appending to the file at `options.path` instead of truncating it.
+ * @param {boolean} [options.tee] Specify also writing the captured output to the console.
+ * @param {boolean} [options.buffer] Specify returning the captured output as `Buffer`s instead of strings.
+ * @param {boolean} [options.colors] Specify retaining ANSI escape codes in the captured output.
+ * @param {Function} func The function to invoke while capturing output.
+ * @returns {Object|Promise} Returns an object with the properties `value`, the value `func` returns, and `stdout` and `stderr`, the captured output (unless written to `options.path`). If `func` returns a `Promise`, returns a `Promise` for the object with `value` as the `Promise`'s fulfillment value.
  * @example
  *
- * dantil.log({
- *   name: 'Danny',
- *   value: 3,
- *   terms: [ 'confident', 'farseeing', 'capable', 'prudent' ],
- *   exitFunc: process.exit,
+ * // Capture `stdout` as a string.
+ * var capture = dantil.captureOutput(function () {
+ *   dantil.log('Parse complete')
+ *   return 7
+ * })
+ * // => { stdout: 'Parse complete\n', value: 7 }
+ *
+ * // Capture `stdout` and `stderr` of an `async` function while still printing to the console.
+ * dantil.captureOutput({ stderr: true, tee: true }, function () {
+ *   return runBenchmarks()
+ * }).then(function (capture) {
+ *   // ...compare `capture.stdout` to golden output...
+ * })
+ *
+ * // Append output to a file while still printing to the console.
+ * dantil.captureOutput({ path: '~/Desktop/log.txt', append: true, tee: true }, function () {
+ *   // ...long diagnostic run...
+ * })
+ */
+exports.captureOutput = function (options, func) {
+  if (typeof options === 'function') {
+    func = options
+    options = {}
+  } else if (exports.illFormedOpts(_captureOutputSchema, options)) {
+    throw new Error('Ill-formed options')
+  } else if (!options) {
+    options = {}
+  }
+
+  var streamNames = []
+  if (options.stdout !== false) streamNames.push('stdout')
+  if (options.stderr) streamNames.push('stderr')
+
+  var fd
+  if (options.path) {
+    // Create file if does not exist, and truncate the file to zero length (or append to the file, if `options.append`) if it does exist, or throw an exception if `options.path` is a directory.
+    fd = fs.openSync(exports.resolvePath(options.path), options.append ? 'a' : 'w')
+  }
+
+  var chunks = {}
+  // The incomplete ANSI escape code at the end of the output to each stream, if any, which is held back until the next chunk completes it so that escape codes split across writes are removed.
+  var pendingEscapes = {}
+
+  function writeOutput(streamName, buffer) {
+    if (fd === undefined) {
+      chunks[streamName].push(buffer)
+    } else {
+      fs.writeSync(fd, buffer, 0, buffer.length)
+    }
+  }
+
+  var captures = streamNames.map(function (streamName) {
+    chunks[streamName] = []
+    pendingEscapes[streamName] = ''
+
+    var capture = {
+      tee: options.tee,
+      write: function (buffer) {
+        // Remove ANSI escape codes.
+        if (!options.colors) {
+          var string = pendingEscapes[streamName] + buffer.toString()
+          var incompleteEscape = /[\u001b\u009b][[()#;?0-9]*$/.exec(string)
+
+          pendingEscapes[streamName] = incompleteEscape ? incompleteEscape[0] : ''
+          buffer = Buffer.from(exports.colors.stripColor(incompleteEscape ? string.slice(0, incompleteEscape.index) : string))
+        }
+
+        writeOutput(streamName, buffer)
+      },
+    }
+
+    startCapture(streamName, capture)
+    return capture
+  })
+
+  function endCaptures() {
+    for (var c = 0, capturesLen = captures.length; c < capturesLen; ++c) {
+      endCapture(streamNames[c], captures[c])
+
+      // Write any escape code left incomplete as is.
+      if (pendingEscapes[streamNames[c]]) {
+        writeOutput(streamNames[c], Buffer.from(pendingEscapes[streamNames[c]]))
+      }
+    }
+
+    if (fd !== undefined) {
+      fs.closeSync(fd)
+    }
+
+    var result = {}
+    if (fd === undefined) {
+      for (var streamName in chunks) {
+        var buffer = Buffer.concat(chunks[streamName])
+        result[streamName] = options.buffer ? buffer : buffer.toString()
+      }
+    }
+
+    return result
+  }
+
+  try {
+    var returnVal = func()
+  } catch (e) {
+    endCaptures()
+    throw e
+  }
+
+  if (isThenable(returnVal)) {
+    return returnVal.then(function (value) {
+      var result = endCaptures()
+      result.value = value
+      return result
+    }, function (reason) {
+      endCaptures()
+      throw reason
+    })
+  }
+
+  var result = endCaptures()
+  result.value = returnVal
+  return result
+}
+
+/**
+ * The schema for the options object of `dantil.captureOutput()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _captureOutputSchema = {
+  stdout: Boolean,
+  stderr: Boolean,
+  path: String,
+  append: Boolean,
+  tee: Boolean,
+  buffer: Boolean,
+  colors: Boolean,
+}
+
+/**
+ * The active captures of `dantil.captureOutput()` for each process stream, in the order they started, and the streams' original `write()` methods.
+ *
+ * @private
+ * @type {Object}
+ */
+var _outputCaptures = {
+  stdout: [],
+  stderr: [],
+  origWrites: {},
+}
+
+/**
+ * Starts `capture` of the process stream `streamName`, replacing the stream's `write()` method if there are no other active captures of it.
+ *
+ * @private
+ * @static
+ * @param {string} streamName The name of the process stream (i.e., `stdout` or `stderr`).
+ * @param {Object} capture The capture with the method `write()`, invoked with each written chunk as a `Buffer`, and the property `tee`.
+ */
+function startCapture(streamName, capture) {
+  var streamCaptures = _outputCaptures[streamName]
+
+  if (streamCaptures.length === 0) {
+    var stream = process[streamName]
+    _outputCaptures.origWrites[streamName] = stream.write
+
+    stream.write = function (chunk, encoding, callback) {
+      return writeToCapture(streamName, _outputCaptures[streamName].length - 1, chunk, encoding, callback)
+    }
+  }
+
+  streamCaptures.push(capture)
+}
+
+/**
+ * Ends `capture` of the process stream `streamName`, restoring the stream's original `write()` method if there are no other active captures of it.
+ *
+ * @private
+ * @static
+ * @param {string} streamName The name of the process stream (i.e., `stdout` or `stderr`).
+ * @param {Object} capture The capture to end.
+ */
+function endCapture(streamName, capture) {
+  var streamCaptures = _outputCaptures[streamName]
+  streamCaptures.splice(streamCaptures.indexOf(capture), 1)
+
+  if (streamCaptures.length === 0) {
+    process[streamName].write = _outputCaptures.origWrites[streamName]
+  }
+}
+
+/**
+ * Writes `chunk` to the capture of the process stream `streamName` at `captureIndex`, and if that capture tees, to the capture that started before it, or to the stream itself if there are no more captures.
+ *
+ * @private
+ * @static
+ * @param {string} streamName The name of the process stream (i.e., `stdout` or `stderr`).
+ * @param {number} captureIndex The index of the capture in `_outputCaptures[streamName]`.
+ * @param {string|Buffer} chunk The data to write.
+ * @param {string|Function} [encoding] The encoding of `chunk` if a string, or the callback.
+ * @param {Function} [callback] The function to invoke after writing `chunk`.
+ * @returns {boolean} Returns the return value of the stream's `write()` method if written to the stream, else `true`.
+ */
+function writeToCapture(streamName, captureIndex, chunk, encoding, callback) {
+  if (captureIndex < 0) {
+    var stream = process[streamName]
+    return _outputCaptures.origWrites[streamName].call(stream, chunk, encoding, callback)
+  }
+
+  _outputCaptures[streamName][captureIndex].write(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8'))
+
+  if (_outputCaptures[streamName][captureIndex].tee) {
+    return writeToCapture(streamName, captureIndex - 1, chunk, encoding, callback)
+  }
+
+  if (typeof encoding === 'function') {
+    callback = encoding
+  }
+
+  if (callback) {
+    process.nextTick(callback)
+  }
+
+  return true
+}
+
+/**
+ * Stringifies and writes `object` to a JSON file at `path`.
+ *
+ * By default, writes plain JSON, which converts `RegExp` instances to their `source` strings and loses the values `JSON.stringify()` can not represent. If `options.tagged` is truthy, instead encodes those values as tagged objects (e.g., `{ "$type": "Date", "value": "2016-09-03T00:00:00.000Z" }`) that `dantil.readJSONFile()` revives, thereby preserving the following, including when nested:
+ * • `RegExp` instances (with flags), `Date`, `Map`, and `Set` instances.
+ * • `undefined`, `NaN`, `Infinity`, `-Infinity`, `-0`, and `BigInt` values.
+ * • Circular and repeated references to the same object.
+ *
+ * The tagged encoding does not preserve prototypes: it revives all other objects as plain `Object`s. Like `JSON.stringify()`, it omits functions and symbols.
+ *
+ * If `options.atomic` is truthy, writes to a temporary file in the same directory, flushes it to disk, and then renames it to `path`. This ensures that other processes reading `path` never see a partially written file, and that a crash during the write does not truncate an existing file.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The file path to which to write.
+ * @param {Object} object The object to save to `path`.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.tagged] Specify encoding values that JSON can not represent as tagged objects for `dantil.readJSONFile()` to revive.
+ * @param {boolean} [options.atomic] Specify writing the file atomically.
+ * @param {boolean} [options.backup] Specify copying the existing file at `path`, if any, to `path` with the extension `.bak` appended before writing.
+ * @param {boolean} [options.silent] Specify not printing "File saved".
+ * @param {string} [options.indent='\t'] The string with which to indent the JSON (e.g., `'  '`).
+ * @example
+ *
+ * var obj = {
+ *   name: 'foo',
+ *   value: 7,
+ *   list: [ 'apple', 'orange' ]
+ * }
+ *
+ * dantil.writeJSONFile('./myObj.json', obj)
+ * // => Writes file and prints "File saved: /Users/Danny/myObj.json"
+ *
+ * var grammar = {
+ *   rules: new Map([ [ 'nounPhrase', { re: /^(the|a)\b/i, cost: Infinity } ] ]),
+ *   terminals: new Set([ 'the', 'a' ])
+ * }
+ *
+ * dantil.writeJSONFile('./grammar.json', grammar, { tagged: true })
+ * // => Writes file and prints "File saved: /Users/Danny/grammar.json"
+ *
+ * dantil.isDeepEqual(dantil.readJSONFile('./grammar.json', { tagged: true }), grammar)
+ * // => true
+ *
+ * // Atomically replace a file other processes read, keeping the previous version.
+ * dantil.writeJSONFile('./grammar.json', grammar, { atomic: true, backup: true, silent: true, indent: '  ' })
+ */
+exports.writeJSONFile = function (path, object, options) {
+  if (exports.illFormedOpts(_writeJSONFileSchema, options)) {
+    throw new Error('Ill-formed options')
+  } else if (!options) {
+    options = {}
+  }
+
+  // Resolve `path`, which may not exist.
+  path = exports.resolvePath(path)
+
+  var json = stringifyJSONFile(object, options)
+
+  if (options.backup && exports.pathExistsSync(path)) {
+    fs.writeFileSync(path + '.bak', fs.readFileSync(path))
+  }
+
+  if (options.atomic) {
+    var tempPath = getTempFilePath(path)
+
+    try {
+      var fd = fs.openSync(tempPath, 'w', getFileMode(path))
+      fs.writeSync(fd, json)
+      fs.fsyncSync(fd)
+      fs.closeSync(fd)
+      fs.renameSync(tempPath, path)
+    } catch (e) {
+      // Remove the temporary file, if created.
+      try {
+        fs.closeSync(fd)
+      } catch (closeErr) {}
+
+      try {
+        fs.unlinkSync(tempPath)
+      } catch (unlinkErr) {}
+
+      throw e
+    }
+  } else {
+    fs.writeFileSync(path, json)
+  }
+
+  if (!options.silent) {
+    exports.log('File saved:', path)
+  }
+}
+
+/**
+ * The asynchronous version of `dantil.writeJSONFile()`, which accepts the same options.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The file path to which to write.
+ * @param {Object} object The object to save to `path`.
+ * @param {Object} [options] The options object of `dantil.writeJSONFile()`.
+ * @returns {Promise} Returns a `Promise` that is fulfilled after writing the file, or rejected with the error if writing fails.
+ * @example
+ *
+ * dantil.writeJSONFileAsync('./myObj.json', obj, { atomic: true }).then(function () {
+ *   // => Prints "File saved: /Users/Danny/myObj.json"
+ * })
+ */
+exports.writeJSONFileAsync = function (path, object, options) {
+  if (exports.illFormedOpts(_writeJSONFileSchema, options)) {
+    return Promise.reject(new Error('Ill-formed options'))
+  } else if (!options) {
+    options = {}
+  }
+
+  // Resolve `path`, which may not exist.
+  path = exports.resolvePath(path)
+
+  try {
+    var json = stringifyJSONFile(object, options)
+  } catch (e) {
+    return Promise.reject(e)
+  }
+
+  var promise = Promise.resolve()
+
+  if (options.backup) {
+    promise = promise.then(function () {
+      return fsAsync('readFile', path)
+    }).then(function (data) {
+      return fsAsync('writeFile', path + '.bak', data)
+    }, function (err) {
+      // Skip backup if there is no existing file.
+      if (err.code !== 'ENOENT') throw err
+    })
+  }
+
+  if (options.atomic) {
+    var tempPath = getTempFilePath(path)
+    var fd
+
+    promise = promise.then(function () {
+      return fsAsync('open', tempPath, 'w', getFileMode(path))
+    }).then(function (tempFd) {
+      fd = tempFd
+      return fsAsync('write', fd, json)
+    }).then(function () {
+      return fsAsync('fsync', fd)
+    }).then(function () {
+      var closePromise = fsAsync('close', fd)
+      fd = undefined
+      return closePromise
+    }).then(function () {
+      return fsAsync('rename', tempPath, path)
+    }).catch(function (err) {
+      // Remove the temporary file, if created.
+      return (fd === undefined ? Promise.resolve() : fsAsync('close', fd)).then(function () {
+        return fsAsync('unlink', tempPath)
+      }).then(function () {
+        throw err
+      }, function () {
+        throw err
+      })
+    })
+  } else {
+    promise = promise.then(function () {
+      return fsAsync('writeFile', path, json)
+    })
+  }
+
+  return promise.then(function () {
+    if (!options.silent) {
+      exports.log('File saved:', path)
+    }
+  })
+}
+
+/**
+ * The schema for the options object of `dantil.writeJSONFile()` and `dantil.writeJSONFileAsync()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _writeJSONFileSchema = {
+  tagged: Boolean,
+  atomic: Boolean,
+  backup: Boolean,
+  silent: Boolean,
+  indent: String,
+}
+
+/**
+ * Stringifies `object` for `dantil.writeJSONFile()` and `dantil.writeJSONFileAsync()`.
+ *
+ * @private
+ * @static
+ * @param {Object} object The object to stringify.
+ * @param {Object} options The options object of `dantil.writeJSONFile()`.
+ * @returns {string} Returns the JSON string.
+ */
+function stringifyJSONFile(object, options) {
+  var indent = options.indent === undefined ? '\t' : options.indent
+
+  if (options.tagged) {
+    return JSON.stringify(encodeTaggedJSON(object, '', new Map()), null, indent)
+  }
+
+  return JSON.stringify(object, function (key, val) {
+    // Convert RegExp to strings for `JSON.stringify()`.
+    return val instanceof RegExp ? val.source : val
+  }, indent)
+}
+
+/**
+ * The number of temporary file paths `getTempFilePath()` has created, used to create unique paths within this process.
+ *
+ * @private
+ * @type {number}
+ */
+var _tempFileCount = 0
+
+/**
+ * Creates a unique path for a temporary file in the same directory as `path`, for atomically writing `path` by renaming the temporary file.
+ *
+ * @private
+ * @static
+ * @param {string} path The path of the file the temporary file will replace.
+ * @returns {string} Returns the temporary file path.
+ */
+function getTempFilePath(path) {
+  return path + '.' + process.pid + '.' + (++_tempFileCount) + '.tmp'
+}
+
+/**
+ * Gets the permissions of the existing file at `path` to apply to the temporary file that will replace it, else the default permissions if `path` does not exist.
+ *
+ * @private
+ * @static
+ * @param {string} path The file path.
+ * @returns {number} Returns the file mode.
+ */
+function getFileMode(path) {
+  try {
+    return fs.statSync(path).mode & 511
+  } catch (e) {
+    return 438
+  }
+}
+
+/**
+ * Invokes the asynchronous `fs` method `methodName` with the provided arguments, and converts its callback to a `Promise`.
+ *
+ * @private
+ * @static
+ * @param {string} methodName The name of the `fs` method to invoke.
+ * @param {...*} [args] The arguments to pass to the method, excluding the callback.
+ * @returns {Promise} Returns a `Promise` for the method's result.
+ */
+function fsAsync(methodName) {
+  var args = Array.prototype.slice.call(arguments, 1)
+
+  return new Promise(function (resolve, reject) {
+    fs[methodName].apply(fs, args.concat(function (err, result) {
+      if (err) {
+        reject(err)
+      } else {
+        resolve(result)
+      }
+    }))
+  })
+}
+
+/**
+ * Synchronously reads and parses the JSON file at `path`.
+ *
+ * If `options.tagged` is truthy, revives the tagged objects with which `dantil.writeJSONFile()` encodes values that JSON can not represent, thereby returning an object equivalent to the object saved.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path of the JSON file to read.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.tagged] Specify reviving the tagged objects of `dantil.writeJSONFile()`.
+ * @returns {*} Returns the parsed value.
+ * @example
+ *
+ * var obj = { re: /^[a-z]+$/gi, created: new Date(), parent: null }
+ * obj.self = obj
+ *
+ * dantil.writeJSONFile('./myObj.json', obj, { tagged: true })
+ *
+ * var revived = dantil.readJSONFile('./myObj.json', { tagged: true })
+ * // => { re: /^[a-z]+$/gi, created: 2016-09-03T19:04:32.000Z, parent: null, self: [Circular] }
+ *
+ * revived.self === revived
+ * // => true
+ */
+exports.readJSONFile = function (path, options) {
+  if (exports.illFormedOpts(_readJSONFileSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  var value = JSON.parse(fs.readFileSync(exports.realpathSync(path), 'utf8'))
+
+  if (options && options.tagged) {
+    return decodeTaggedJSON(value, '', {})
+  }
+
+  return value
+}
+
+/**
+ * The schema for the options object of `dantil.readJSONFile()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _readJSONFileSchema = {
+  tagged: Boolean,
+}
+
+/**
+ * The value `encodeTaggedJSON()` returns for values that `JSON.stringify()` omits from objects (i.e., functions and symbols).
+ *
+ * @private
+ * @type {Object}
+ */
+var _taggedJSONOmit = {}
+
+/**
+ * Encodes `value` as a JSON-compatible value for `dantil.writeJSONFile()`, converting values that JSON can not represent to tagged objects (i.e., objects with a `$type` property) for `decodeTaggedJSON()` to revive.
+ *
+ * Encodes repeated (including circular) references to the same object as `{ $type: 'Ref', value: pointer }`, where `pointer` is the JSON Pointer (RFC 6901) of the object's first occurrence within the encoded value.
+ *
+ * @private
+ * @static
+ * @param {*} value The value to encode.
+ * @param {string} pointer The JSON Pointer of `value` within the encoded value.
+ * @param {Map} encodedPointers The map of objects already encoded to their JSON Pointers.
+ * @returns {*} Returns the encoded value, or `_taggedJSONOmit` if `value` is a function or symbol.
+ */
+function encodeTaggedJSON(value, pointer, encodedPointers) {
+  var type = typeof value
+
+  if (value === undefined) {
+    return { $type: 'undefined' }
+  }
+
+  if (type === 'number') {
+    if (isNaN(value) || !isFinite(value) || (value === 0 && 1 / value < 0)) {
+      return { $type: 'Number', value: value === 0 ? '-0' : String(value) }
+    }
+
+    return value
+  }
+
+  if (type === 'bigint') {
+    return { $type: 'BigInt', value: String(value) }
+  }
+
+  if (type === 'function' || type === 'symbol') {
+    return _taggedJSONOmit
+  }
+
+  if (value === null || type !== 'object') {
+    return value
+  }
+
+  if (encodedPointers.has(value)) {
+    return { $type: 'Ref', value: encodedPointers.get(value) }
+  }
+
+  // Encode objects with custom JSON representations (e.g., `Buffer`, `URL`) as `JSON.stringify()` does, except `Date`s, which are tagged below.
+  if (typeof value.toJSON === 'function' && !(value instanceof Date)) {
+    var jsonValue = value.toJSON()
+
+    if (jsonValue !== value) {
+      var encodedValue = encodeTaggedJSON(jsonValue, pointer, encodedPointers)
+
+      // Encode repeated references to `value` as references to its JSON representation only if that representation is an object, because `decodeTaggedJSON()` can only resolve references to objects.
+      if (encodedPointers.has(jsonValue)) {
+        encodedPointers.set(value, encodedPointers.get(jsonValue))
+      }
+
+      return encodedValue
+    }
+  }
+
+  encodedPointers.set(value, pointer)
+
+  if (value instanceof Date) {
+    return { $type: 'Date', value: isNaN(value.getTime()) ? null : value.toISOString() }
+  }
+
+  if (value instanceof RegExp) {
+    return { $type: 'RegExp', source: value.source, flags: value.flags }
+  }
+
+  if (value instanceof Map) {
+    return {
+      $type: 'Map',
+      value: Array.from(value).map(function (entry, i) {
+        var entryPointer = pointer + '/value/' + i
+        return [
+          encodeTaggedJSONElement(entry[0], entryPointer + '/0', encodedPointers),
+          encodeTaggedJSONElement(entry[1], entryPointer + '/1', encodedPointers),
+        ]
+      }),
+    }
+  }
+
+  if (value instanceof Set) {
+    return {
+      $type: 'Set',
+      value: Array.from(value).map(function (element, i) {
+        return encodeTaggedJSONElement(element, pointer + '/value/' + i, encodedPointers)
+      }),
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(function (element, i) {
+      return encodeTaggedJSONElement(element, pointer + '/' + i, encodedPointers)
+    })
+  }
+
+  // Escape objects with a `$type` property to distinguish them from tagged objects.
+  var isEscaped = value.hasOwnProperty('$type')
+  var propsPointer = isEscaped ? pointer + '/value' : pointer
+  var encodedObject = {}
+
+  Object.keys(value).forEach(function (key) {
+    var encodedValue = encodeTaggedJSON(value[key], propsPointer + '/' + escapeJSONPointerToken(key), encodedPointers)
+    if (encodedValue !== _taggedJSONOmit) {
+      // Define the property instead of assigning it to preserve own `__proto__` properties instead of setting the prototype.
+      Object.defineProperty(encodedObject, key, { value: encodedValue, enumerable: true, writable: true, configurable: true })
+    }
+  })
+
+  return isEscaped ? { $type: 'Object', value: encodedObject } : encodedObject
+}
+
+/**
+ * Encodes `value` like `encodeTaggedJSON()` as an element of an array, converting functions and symbols to `null` as `JSON.stringify()` does.
+ *
+ * @private
+ * @static
+ * @param {*} value The value to encode.
+ * @param {string} pointer The JSON Pointer of `value` within the encoded value.
+ * @param {Map} encodedPointers The map of objects already encoded to their JSON Pointers.
+ * @returns {*} Returns the encoded value.
+ */
+function encodeTaggedJSONElement(value, pointer, encodedPointers) {
+  var encodedValue = encodeTaggedJSON(value, pointer, encodedPointers)
+  return encodedValue === _taggedJSONOmit ? null : encodedValue
+}
+
+/**
+ * Revives the tagged objects in `value`, the parsed output of `encodeTaggedJSON()`, for `dantil.readJSONFile()`.
+ *
+ * @private
+ * @static
+ * @param {*} value The parsed value to decode.
+ * @param {string} pointer The JSON Pointer of `value` within the parsed value.
+ * @param {Object} decodedObjects The map of JSON Pointers to the objects already decoded, for resolving references.
+ * @returns {*} Returns the decoded value.
+ */
+function decodeTaggedJSON(value, pointer, decodedObjects) {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  // Register each object before decoding its contents to resolve circular references.
+  var decodedValue
+
+  if (Array.isArray(value)) {
+    decodedValue = decodedObjects[pointer] = []
+    value.forEach(function (element, i) {
+      decodedValue[i] = decodeTaggedJSON(element, pointer + '/' + i, decodedObjects)
+    })
+
+    return decodedValue
+  }
+
+  switch (value.$type) {
+    case undefined:
+      return decodeTaggedJSONProps(value, pointer, decodedObjects)
+
+    case 'Object':
+      return decodeTaggedJSONProps(value.value, pointer + '/value', decodedObjects, pointer)
+
+    case 'undefined':
+      return undefined
+
+    case 'Number':
+      return value.value === '-0' ? -0 : Number(value.value)
+
+    case 'BigInt':
+      return BigInt(value.value)
+
+    case 'Ref':
+      if (!decodedObjects.hasOwnProperty(value.value)) {
+        throw new Error('Unresolved tagged JSON reference: ' + exports.stylize(value.value))
+      }
+
+      return decodedObjects[value.value]
+
+    case 'Date':
+      return decodedObjects[pointer] = new Date(value.value === null ? NaN : value.value)
+
+    case 'RegExp':
+      return decodedObjects[pointer] = RegExp(value.source, value.flags)
+
+    case 'Map':
+      decodedValue = decodedObjects[pointer] = new Map()
+      value.value.forEach(function (entry, i) {
+        var entryPointer = pointer + '/value/' + i
+        decodedValue.set(decodeTaggedJSON(entry[0], entryPointer + '/0', decodedObjects), decodeTaggedJSON(entry[1], entryPointer + '/1', decodedObjects))
+      })
+
+      return decodedValue
+
+    case 'Set':
+      decodedValue = decodedObjects[pointer] = new Set()
+      value.value.forEach(function (element, i) {
+        decodedValue.add(decodeTaggedJSON(element, pointer + '/value/' + i, decodedObjects))
+      })
+
+      return decodedValue
+
+    default:
+      throw new Error('Unrecognized tagged JSON type: ' + exports.stylize(value.$type))
+  }
+}
+
+/**
+ * Decodes the properties of `object` like `decodeTaggedJSON()` into a new `Object`.
+ *
+ * @private
+ * @static
+ * @param {Object} object The parsed object of which to decode the properties.
+ * @param {string} pointer The JSON Pointer of `object` within the parsed value.
+ * @param {Object} decodedObjects The map of JSON Pointers to the objects already decoded.
+ * @param {string} [objectPointer=pointer] The JSON Pointer with which to register the decoded object, if different from `pointer` (i.e., for escaped objects).
+ * @returns {Object} Returns the decoded object.
+ */
+function decodeTaggedJSONProps(object, pointer, decodedObjects, objectPointer) {
+  var decodedObject = decodedObjects[objectPointer === undefined ? pointer : objectPointer] = {}
+
+  Object.keys(object).forEach(function (key) {
+    var decodedValue = decodeTaggedJSON(object[key], pointer + '/' + escapeJSONPointerToken(key), decodedObjects)
+
+    // Define the property instead of assigning it to preserve own `__proto__` properties (which `JSON.parse()` creates) instead of setting the prototype.
+    Object.defineProperty(decodedObject, key, { value: decodedValue, enumerable: true, writable: true, configurable: true })
+  })
+
+  return decodedObject
+}
+
+/**
+ * Escapes `token` for use as a reference token in a JSON Pointer (RFC 6901).
+ *
+ * @private
+ * @static
+ * @param {string} token The token to escape.
+ * @returns {string} Returns the escaped token.
+ */
+function escapeJSONPointerToken(token) {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * Gets the file path, line number, and column number in the format `filePath:lineNumber:columnNumber` of each occurrence of `value` in the source file at `filePath`. This is useful for error reporting.
+ *
+ * If `value` is a `RegExp`, gets each match of `value` within each line of the file. Otherwise, gets each occurrence of `value` as a string. Includes every occurrence within a line.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} filePath The path of the source file to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.structured] Specify returning each match as an object with the properties `filePath`, `lineNumber`, `columnNumber`, and `match` (the matched text) instead of a string.
+ * @returns {Array} Returns the set of matched file paths, line numbers, and column numbers.
+ * @example
+ *
+ * ```
+ * The contents of `foo.js`:
+ * ```js
+ * var list = [
+ *   { name: 'lorem', num: 2 },
+ *   { name: 'lorem ipsum', num: 5 },
+ *   { name: 'ipsum', num: 3 }
+ * ]
+ * ```
+ * The contents of `bar.js`:
+ * ```js
+ * dantil.pathAndLineNumbersOf('./foo.js', 'ipsum')
+ * // => [ '/Users/Danny/foo.js:3:18', '/Users/Danny/foo.js:4:12' ]
+ *
+ * // Enclose sought value to distinguish `ipsum` from `'ipsum'`.
+ * dantil.pathAndLineNumbersOf('./foo.js', '\'ipsum\'')
+ * // => [ '/Users/Danny/foo.js:4:11' ]
+ *
+ * // Search with a `RegExp`.
+ * dantil.pathAndLineNumbersOf('./foo.js', /num: [2-3]/)
+ * // => [ '/Users/Danny/foo.js:2:20', '/Users/Danny/foo.js:4:20' ]
+ *
+ * // Get each match as an object, including multiple matches on the same line.
+ * dantil.pathAndLineNumbersOf('./foo.js', /lorem|ipsum/, { structured: true })
+ * // => [
+ * //   { filePath: '/Users/Danny/foo.js', lineNumber: 2, columnNumber: 12, match: 'lorem' },
+ * //   { filePath: '/Users/Danny/foo.js', lineNumber: 3, columnNumber: 12, match: 'lorem' },
+ * //   { filePath: '/Users/Danny/foo.js', lineNumber: 3, columnNumber: 18, match: 'ipsum' },
+ * //   { filePath: '/Users/Danny/foo.js', lineNumber: 4, columnNumber: 12, match: 'ipsum' }
+ * // ]
+ */
+exports.pathAndLineNumbersOf = function (filePath, value, options) {
+  if (exports.illFormedOpts(_pathAndLineNumbersOfSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  var matches = []
+
+  basePathAndLineNumbersOf(filePath, value, options, function (pathAndLineNumber) {
+    matches.push(pathAndLineNumber)
+  })
+
+  return matches
+}
+
+/**
+ * Gets the file path, line number, and column number in the format `filePath:lineNumber:columnNumber` of the first occurrence of `value` in the source file at `filePath`. This is useful for error reporting.
+ *
+ * If `subValue` is provided, gets the location of the first occurrence of `subValue` after the end of the first occurrence of `value` (i.e., excluding occurrences within the text `value` matches). This is useful for using `value` to distinguish multiple occurrences of `subValue` in the file.
+ *
+ * Like `dantil.pathAndLineNumbersOf()`, `value` and `subValue` can be `RegExp`s.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} filePath The path of the source file to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @param {*} [subValue] The second value or `RegExp` for which to search, starting after the end of the first occurrence of `value`.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.structured] Specify returning the match as an object with the properties `filePath`, `lineNumber`, `columnNumber`, and `match` (the matched text) instead of a string.
+ * @returns {string|Object|undefined} Returns the matched file path, line number, and column number, else `undefined`.
+ * @example
+ *
+ * ```
+ * The contents of `foo.js`:
+ * ```js
+ * var list = [
+ *   {
+ *     name: 'lorem',
+ *     num: 2
+ *   }, {
+ *     name: 'lorem ipsum',
+ *     num: 5
+ *   }, {
+ *     name: 'ipsum',
+ *     num: 3
+ *   }
+ * ]
+ * ```
+ * The contents of `bar.js`:
+ * ```js
+ * dantil.firstPathAndLineNumberOf('./foo.js', 'ipsum')
+ * // => '/Users/Danny/foo.js:6:18',
+ *
+ * // Get location of first occurrence of `num` after `ipsum`.
+ * dantil.firstPathAndLineNumberOf('./foo.js', 'ipsum', 'num')
+ * // => '/Users/Danny/foo.js:7:5',
+ *
+ * // Enclose sought value to distinguish `ipsum` from `'ipsum'`.
+ * dantil.firstPathAndLineNumberOf('./foo.js', '\'ipsum\'')
+ * // => '/Users/Danny/foo.js:9:11'
+ *
+ * dantil.firstPathAndLineNumberOf('./foo.js', /num: \d/, { structured: true })
+ * // => { filePath: '/Users/Danny/foo.js', lineNumber: 4, columnNumber: 5, match: 'num: 2' }
+ */
+exports.firstPathAndLineNumberOf = function (filePath, value, subValue, options) {
+  // Check if `options` was passed as the third argument.
+  if (options === undefined && isPlainObject(subValue)) {
+    options = subValue
+    subValue = undefined
+  }
+
+  if (exports.illFormedOpts(_pathAndLineNumbersOfSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  var match
+
+  if (subValue) {
+    // Find first occurrence of `subValue` after the end of the first occurrence of `value`.
+    matchesOf(exports.realpathSync(filePath), value, function (valueMatch) {
+      basePathAndLineNumbersOf(filePath, subValue, options, function (pathAndLineNumber) {
+        match = pathAndLineNumber
+        return true
+      }, valueMatch.lineNumber, valueMatch.columnNumber + valueMatch.match.length)
+
+      // Stop after the first occurrence of `value`, because searching after any later occurrence can not find an earlier `subValue`.
+      return true
+    })
+  } else {
+    // Find first occurrence of `value`.
+    basePathAndLineNumbersOf(filePath, value, options, function (pathAndLineNumber) {
+      match = pathAndLineNumber
+      return true
+    })
+  }
+
+  return match
+}
+
+/**
+ * A batch version of `dantil.firstPathAndLineNumberOf()` which gets the location of the first occurrence of each of `values` in the source file at `filePath` in a single pass through the file. This is useful for reporting many errors against the same file.
+ *
+ * Each element of `values` is either a value (or `RegExp`) for which to search, or a `[ value, subValue ]` pair for which to get the first occurrence of `subValue` after the end of the first occurrence of `value`, like `dantil.firstPathAndLineNumberOf()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} filePath The path of the source file to search.
+ * @param {Array} values The values, `RegExp`s, and `[ value, subValue ]` pairs for which to search.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.structured] Specify returning each match as an object with the properties `filePath`, `lineNumber`, `columnNumber`, and `match` (the matched text) instead of a string.
+ * @returns {Array} Returns the matched locations in the same order as `values`, with `undefined` for each element without a match.
+ * @example
+ *
+ * ```
+ * The contents of `foo.js`:
+ * ```js
+ * var list = [
+ *   {
+ *     name: 'lorem',
+ *     num: 2
+ *   }, {
+ *     name: 'lorem ipsum',
+ *     num: 5
+ *   }, {
+ *     name: 'ipsum',
+ *     num: 3
+ *   }
+ * ]
+ * ```
+ * The contents of `bar.js`:
+ * ```js
+ * dantil.firstPathAndLineNumberOfEach('./foo.js', [ 'lorem', [ 'ipsum', 'num' ], /num: 3/, 'dolor' ])
+ * // => [
+ * //   '/Users/Danny/foo.js:3:12',
+ * //   '/Users/Danny/foo.js:7:5',
+ * //   '/Users/Danny/foo.js:10:5',
+ * //   undefined
+ * // ]
+ */
+exports.firstPathAndLineNumberOfEach = function (filePath, values, options) {
+  if (exports.illFormedOpts(_pathAndLineNumbersOfSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  // Resolve `filePath` if relative.
+  filePath = exports.realpathSync(filePath)
+
+  var structured = options && options.structured
+  var fileLines = getFileIndex(filePath).lines
+  // Fill with `undefined` instead of holes for the values without a match.
+  var matches = Array.from(values, function () {})
+
+  // The searches yet to match, each with `value` and, for pairs, `subValue` and the location of the first occurrence of `value` once found.
+  var searches = values.map(function (value, i) {
+    var isPair = Array.isArray(value)
+    return {
+      index: i,
+      value: isPair ? value[0] : value,
+      subValue: isPair ? value[1] : undefined,
+      valueMatch: undefined,
+    }
+  })
+
+  for (var l = 0, fileLinesLen = fileLines.length; l < fileLinesLen && searches.length > 0; ++l) {
+    var line = fileLines[l]
+
+    searches = searches.filter(function (search) {
+      var fromIndex = 0
+
+      if (!search.valueMatch) {
+        var valueMatch = matchesInLine(line, search.value)[0]
+        if (!valueMatch) return true
+
+        if (!search.subValue) {
+          matches[search.index] = createLineMatch(filePath, l, valueMatch, structured)
+          return false
+        }
+
+        // Search for `subValue` after the end of `value`, beginning with this line.
+        search.valueMatch = valueMatch
+        fromIndex = valueMatch.index + valueMatch.text.length
+      }
+
+      var subValueMatch = matchesInLine(line, search.subValue).filter(function (lineMatch) {
+        return lineMatch.index >= fromIndex
+      })[0]
+
+      if (subValueMatch) {
+        matches[search.index] = createLineMatch(filePath, l, subValueMatch, structured)
+        return false
+      }
+
+      return true
+    })
+  }
+
+  return matches
+}
+
+/**
+ * Creates the location of `lineMatch`, a match of `matchesInLine()` in the line at index `lineIndex` in the file at `filePath`, in the format `filePath:lineNumber:columnNumber`, or as an object if `structured` is truthy.
+ *
+ * @private
+ * @static
+ * @param {string} filePath The resolved file path.
+ * @param {number} lineIndex The index of the line of `lineMatch`.
+ * @param {Object} lineMatch The match within the line.
+ * @param {boolean} [structured] Specify creating an object with the properties `filePath`, `lineNumber`, `columnNumber`, and `match`.
+ * @returns {string|Object} Returns the location.
+ */
+function createLineMatch(filePath, lineIndex, lineMatch, structured) {
+  // Add 1 to line and column indexes because line and column numbers begin at 1.
+  if (structured) {
+    return {
+      filePath: filePath,
+      lineNumber: lineIndex + 1,
+      columnNumber: lineMatch.index + 1,
+      match: lineMatch.text,
+    }
+  }
+
+  return filePath + ':' + (lineIndex + 1) + ':' + (lineMatch.index + 1)
+}
+
+/**
+ * Gets the file path, line number, and column number in the format `filePath:lineNumber:columnNumber` of the property or element at `keyPath` in the JSON or JavaScript object literal in the source file at `filePath`. This is useful for error reporting when the key path of an invalid value is known, because, unlike `dantil.firstPathAndLineNumberOf()`, it distinguishes properties with the same key in different objects.
+ *
+ * Gets the location of the property's key if the last key in `keyPath` is an object property, else the location of the element's value if an array index.
+ *
+ * Searches the root literal of the file: the root value of a JSON file, else the object or array literal assigned to `module.exports` or following `export default`, else the only object or array literal assigned to a variable outside of any function or block. Returns `undefined` if the root literal is ambiguous (e.g., `module.exports` is assigned more than once, or the file assigns several top-level literals and exports none). Tolerates JavaScript syntax within the literal, including comments, unquoted, single-quoted, and numeric keys (e.g., `0x10`), trailing commas, and non-literal values. Can not search computed keys (e.g., `[key]: value`).
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} filePath The path of the source file to search.
+ * @param {Array} keyPath The keys (i.e., property names and array indexes) of the value to locate, starting at the root literal.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.structured] Specify returning the location as an object with the properties `filePath`, `lineNumber`, and `columnNumber` instead of a string.
+ * @returns {string|Object|undefined} Returns the location of the value at `keyPath`, else `undefined` if not found.
+ * @example
+ *
+ * ```
+ * The contents of `grammar.js`:
+ * ```js
+ * module.exports = {
+ *   rules: {
+ *     // The rules for noun phrases.
+ *     nounPhrase: [
+ *       { rhs: [ 'det', 'noun' ], text: 'the {noun}' },
+ *       { rhs: [ 'noun' ], text: '{noun}' },
+ *       { rhs: [ 'pronoun' ], text: 3 },
+ *     ],
+ *   },
+ * }
+ * ```
+ * The contents of `validate.js`:
+ * ```js
+ * dantil.pathAndLineNumberOfKeyPath('./grammar.js', [ 'rules', 'nounPhrase', 2, 'text' ])
+ * // => '/Users/Danny/grammar.js:7:29'
+ *
+ * dantil.pathAndLineNumberOfKeyPath('./grammar.js', [ 'rules', 'nounPhrase', 1 ], { structured: true })
+ * // => { filePath: '/Users/Danny/grammar.js', lineNumber: 6, columnNumber: 7 }
+ */
+exports.pathAndLineNumberOfKeyPath = function (filePath, keyPath, options) {
+  if (exports.illFormedOpts(_pathAndLineNumbersOfSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  // Resolve `filePath` if relative.
+  filePath = exports.realpathSync(filePath)
+
+  var fileIndex = getFileIndex(filePath)
+  var tokens = fileIndex.literalTokens || (fileIndex.literalTokens = tokenizeLiteralSource(fileIndex.source))
+
+  var rootIndex = findRootLiteralToken(tokens)
+  if (rootIndex === -1) return
+
+  var tokenIndex = findKeyPathToken(tokens, rootIndex, keyPath)
+  if (tokenIndex === -1) return
+
+  var position = getLineAndColumn(fileIndex, tokens[tokenIndex].index)
+
+  if (options && options.structured) {
+    return {
+      filePath: filePath,
+      lineNumber: position.lineNumber,
+      columnNumber: position.columnNumber,
+    }
+  }
+
+  return filePath + ':' + position.lineNumber + ':' + position.columnNumber
+}
+
+/**
+ * Gets the index of the token in `tokens` that starts the root literal of the file for `dantil.pathAndLineNumberOfKeyPath()`: the first token, if an object or array literal (i.e., a JSON file), else the literal assigned to `module.exports` or following `export default`, else the only literal assigned to a variable outside of any brackets.
+ *
+ * @private
+ * @static
+ * @param {Object[]} tokens The tokens of `tokenizeLiteralSource()`.
+ * @returns {number} Returns the index of the root literal's opening token, else `-1` if there is none or it is ambiguous.
+ */
+function findRootLiteralToken(tokens) {
+  function isLiteralStart(token) {
+    return !!token && token.type === 'punctuator' && (token.value === '{' || token.value === '[')
+  }
+
+  function isAssignment(index) {
+    var token = tokens[index]
+    var prevToken = tokens[index - 1]
+    var nextToken = tokens[index + 1]
+
+    // Exclude comparisons (e.g., `==`, `<=`) and arrow functions, which `tokenizeLiteralSource()` splits into single-character punctuators.
+    return !!token && token.value === '=' && !(prevToken && /^[=!<>]$/.test(prevToken.value)) && !(nextToken && /^[=>]$/.test(nextToken.value))
+  }
+
+  if (isLiteralStart(tokens[0])) {
+    return 0
+  }
+
+  var exportIndexes = []
+  var assignedIndexes = []
+  var depth = 0
+
+  for (var t = 0, tokensLen = tokens.length; t < tokensLen; ++t) {
+    var token = tokens[t]
+
+    if (token.type === 'word') {
+      if (token.value === 'module.exports' && isAssignment(t + 1)) {
+        exportIndexes.push(t + 2)
+      } else if (token.value === 'export' && tokens[t + 1] && tokens[t + 1].value === 'default') {
+        exportIndexes.push(t + 2)
+      }
+    } else if (token.type === 'punctuator') {
+      if (depth === 0 && isLiteralStart(token) && isAssignment(t - 1)) {
+        assignedIndexes.push(t)
+      }
+
+      if (/^[{[(]$/.test(token.value)) {
+        ++depth
+      } else if (/^[}\])]$/.test(token.value)) {
+        --depth
+      }
+    }
+  }
+
+  if (exportIndexes.length > 0) {
+    return exportIndexes.length === 1 && isLiteralStart(tokens[exportIndexes[0]]) ? exportIndexes[0] : -1
+  }
+
+  return assignedIndexes.length === 1 ? assignedIndexes[0] : -1
+}
+
+/**
+ * Gets the index of the token in `tokens` for the property or element at `keyPath` within the object or array literal that starts at `tokens[startIndex]`, for `dantil.pathAndLineNumberOfKeyPath()`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} tokens The tokens of `tokenizeLiteralSource()`.
+ * @param {number} startIndex The index of the token that starts the value to search.
+ * @param {Array} keyPath The keys of the value to locate.
+ * @returns {number} Returns the index of the property's key token or the element's first token, else `-1` if not found.
+ */
+function findKeyPathToken(tokens, startIndex, keyPath) {
+  var key = keyPath[0]
+  var openToken = tokens[startIndex]
+  var i = startIndex + 1
+
+  if (openToken.value === '{') {
+    while (i < tokens.length && tokens[i].value !== '}') {
+      var keyToken = tokens[i]
+      var memberEndIndex
+
+      if (tokens[i + 1] && tokens[i + 1].value === ':' && (keyToken.type === 'string' || keyToken.type === 'word')) {
+        // A `key: value` property.
+        var valueIndex = i + 2
+        memberEndIndex = skipLiteralValue(tokens, valueIndex)
+
+        if (keyToken.key === String(key)) {
+          return keyPath.length === 1 ? i : findKeyPathToken(tokens, valueIndex, keyPath.slice(1))
+        }
+      } else {
+        // Skip shorthand properties, methods, spread properties, and computed keys.
+        memberEndIndex = skipLiteralValue(tokens, i)
+      }
+
+      i = tokens[memberEndIndex] && tokens[memberEndIndex].value === ',' ? memberEndIndex + 1 : memberEndIndex
+    }
+  } else if (openToken.value === '[') {
+    var elementIndex = 0
+
+    while (i < tokens.length && tokens[i].value !== ']') {
+      // Array holes (e.g., `[ 1, , 3 ]`) have no token.
+      var elementEndIndex = tokens[i].value === ',' ? i : skipLiteralValue(tokens, i)
+
+      if (elementIndex === Number(key) && elementEndIndex !== i) {
+        return keyPath.length === 1 ? i : findKeyPathToken(tokens, i, keyPath.slice(1))
+      }
+
+      ++elementIndex
+      i = tokens[elementEndIndex] && tokens[elementEndIndex].value === ',' ? elementEndIndex + 1 : elementEndIndex
+    }
+  }
+
+  return -1
+}
+
+/**
+ * Gets the index of the token that ends the value or object member that starts at `tokens[startIndex]` (i.e., the next `,` or unmatched closing bracket, excluding those within nested brackets).
+ *
+ * @private
+ * @static
+ * @param {Object[]} tokens The tokens of `tokenizeLiteralSource()`.
+ * @param {number} startIndex The index of the value's first token.
+ * @returns {number} Returns the index of the token that ends the value, or `tokens.length` if none.
+ */
+function skipLiteralValue(tokens, startIndex) {
+  var depth = 0
+
+  for (var i = startIndex, tokensLen = tokens.length; i < tokensLen; ++i) {
+    var value = tokens[i].value
+
+    if (tokens[i].type === 'punctuator') {
+      if (value === '{' || value === '[' || value === '(') {
+        ++depth
+      } else if (value === '}' || value === ']' || value === ')') {
+        if (depth === 0) return i
+        --depth
+      } else if (value === ',' && depth === 0) {
+        return i
+      }
+    }
+  }
+
+  return tokens.length
+}
+
+/**
+ * Tokenizes `source`, JSON or JavaScript, for searching its object and array literals. Skips whitespace and comments. Does not fully parse JavaScript: it only distinguishes strings, template literals, regular expression literals, words (i.e., identifiers, keywords, and numbers), and single-character punctuators.
+ *
+ * @private
+ * @static
+ * @param {string} source The source code to tokenize.
+ * @returns {Object[]} Returns the tokens as objects with the properties `type`, `value` (the token's text), `index` (the offset in `source`), and for strings and words, `key` (the value as a property name).
+ */
+function tokenizeLiteralSource(source) {
+  var tokens = []
+  var i = 0
+  var sourceLen = source.length
+
+  while (i < sourceLen) {
+    var char = source[i]
+    var startIndex = i
+
+    if (/\s/.test(char)) {
+      ++i
+      continue
+    }
+
+    if (char === '/' && source[i + 1] === '/') {
+      // Skip line comment.
+      i = source.indexOf('\n', i)
+      if (i === -1) break
+      continue
+    }
+
+    if (char === '/' && source[i + 1] === '*') {
+      // Skip block comment.
+      i = source.indexOf('*/', i + 2)
+      if (i === -1) break
+      i += 2
+      continue
+    }
+
+    if (char === '\'' || char === '"') {
+      i = skipQuoted(source, i, char)
+      var raw = source.slice(startIndex, i)
+      tokens.push({ type: 'string', value: raw, index: startIndex, key: unescapeStringLiteral(raw.slice(1, -1)) })
+      continue
+    }
+
+    if (char === '`') {
+      i = skipTemplateLiteral(source, i)
+      tokens.push({ type: 'template', value: source.slice(startIndex, i), index: startIndex })
+      continue
+    }
+
+    var prevToken = tokens[tokens.length - 1]
+    if (char === '/' && (!prevToken || (prevToken.type === 'punctuator' && !/[)\]}]/.test(prevToken.value)) || /^(?:return|typeof|case|in|of)$/.test(prevToken.value))) {
+      // Skip regular expression literal, including any flags.
+      i = skipRegExpLiteral(source, i)
+      tokens.push({ type: 'regexp', value: source.slice(startIndex, i), index: startIndex })
+      continue
+    }
+
+    var wordMatch = /^[\w$.]+/.exec(source.slice(i, i + 256))
+    if (wordMatch) {
+      i += wordMatch[0].length
+      tokens.push({ type: 'word', value: wordMatch[0], index: startIndex, key: getWordKey(wordMatch[0]) })
+      continue
+    }
+
+    ++i
+    tokens.push({ type: 'punctuator', value: char, index: startIndex })
+  }
+
+  return tokens
+}
+
+/**
+ * Gets the property name that `word`, an identifier or numeric literal, denotes as a key in an object literal. Normalizes numeric literals as JavaScript does (e.g., `0x10` denotes `'16'`, and `1.50` denotes `'1.5'`).
+ *
+ * @private
+ * @static
+ * @param {string} word The identifier or numeric literal.
+ * @returns {string} Returns the property name.
+ */
+function getWordKey(word) {
+  if (/^(?:0[xob][\da-f_]+|[\d_]*\.?[\d_]+(?:e[+-]?\d+)?\.?)$/i.test(word)) {
+    var number = Number(word.replace(/_/g, ''))
+    if (!isNaN(number)) {
+      return String(number)
+    }
+  }
+
+  return word
+}
+
+/**
+ * Gets the index after the string literal that starts at `source[startIndex]`, enclosed by `quote`.
+ *
+ * @private
+ * @static
+ * @param {string} source The source code.
+ * @param {number} startIndex The index of the opening quote.
+ * @param {string} quote The quote character.
+ * @returns {number} Returns the index after the closing quote.
+ */
+function skipQuoted(source, startIndex, quote) {
+  for (var i = startIndex + 1, sourceLen = source.length; i < sourceLen; ++i) {
+    if (source[i] === '\\') {
+      ++i
+    } else if (source[i] === quote || source[i] === '\n') {
+      return i + 1
+    }
+  }
+
+  return source.length
+}
+
+/**
+ * Gets the index after the template literal that starts at `source[startIndex]`, including any nested template literals within its substitutions.
+ *
+ * @private
+ * @static
+ * @param {string} source The source code.
+ * @param {number} startIndex The index of the opening backtick.
+ * @returns {number} Returns the index after the closing backtick.
+ */
+function skipTemplateLiteral(source, startIndex) {
+  for (var i = startIndex + 1, sourceLen = source.length; i < sourceLen; ++i) {
+    var char = source[i]
+    if (char === '\\') {
+      ++i
+    } else if (char === '`') {
+      return i + 1
+    } else if (char === '$' && source[i + 1] === '{') {
+      // Skip the substitution, accounting for nested braces, strings, and template literals.
+      var depth = 0
+      for (i += 1; i < sourceLen; ++i) {
+        char = source[i]
+        if (char === '{') {
+          ++depth
+        } else if (char === '}') {
+          if (--depth === 0) break
+        } else if (char === '\'' || char === '"') {
+          i = skipQuoted(source, i, char) - 1
+        } else if (char === '`') {
+          i = skipTemplateLiteral(source, i) - 1
+        }
+      }
+    }
+  }
+
+  return source.length
+}
+
+/**
+ * Gets the index after the regular expression literal, including any flags, that starts at `source[startIndex]`.
+ *
+ * @private
+ * @static
+ * @param {string} source The source code.
+ * @param {number} startIndex The index of the opening slash.
+ * @returns {number} Returns the index after the literal.
+ */
+function skipRegExpLiteral(source, startIndex) {
+  var inCharClass = false
+
+  for (var i = startIndex + 1, sourceLen = source.length; i < sourceLen; ++i) {
+    var char = source[i]
+    if (char === '\\') {
+      ++i
+    } else if (char === '[') {
+      inCharClass = true
+    } else if (char === ']') {
+      inCharClass = false
+    } else if (char === '\n') {
+      return i
+    } else if (char === '/' && !inCharClass) {
+      // Skip flags.
+      for (++i; i < sourceLen && /\w/.test(source[i]); ++i);
+      return i
+    }
+  }
+
+  return source.length
+}
+
+/**
+ * Unescapes the contents of a single- or double-quoted string literal.
+ *
+ * @private
+ * @static
+ * @param {string} string The contents of the string literal, excluding the quotes.
+ * @returns {string} Returns the unescaped string.
+ */
+function unescapeStringLiteral(string) {
+  var escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' }
+
+  return string.replace(/\\(?:u\{([\da-fA-F]+)\}|u([\da-fA-F]{4})|x([\da-fA-F]{2})|\r?\n|([\s\S]))/g, function (match, codePoint, unicode, hex, char) {
+    if (codePoint) return String.fromCodePoint(parseInt(codePoint, 16))
+    if (unicode || hex) return String.fromCharCode(parseInt(unicode || hex, 16))
+    if (char === undefined) return ''
+    return escapes.hasOwnProperty(char) ? escapes[char] : char
+  })
+}
+
+/**
+ * Gets the line number and column number of the character at `index` in the source of `fileIndex`.
+ *
+ * @private
+ * @static
+ * @param {Object} fileIndex The file index of `getFileIndex()`.
+ * @param {number} index The index of the character in the file's source.
+ * @returns {Object} Returns the position as an object with the properties `lineNumber` and `columnNumber`, both beginning at 1.
+ */
+function getLineAndColumn(fileIndex, index) {
+  // Binary search for the last line that starts at or before `index`.
+  var lineStartIndexes = fileIndex.lineStartIndexes
+  var low = 0
+  var high = lineStartIndexes.length - 1
+
+  while (low < high) {
+    var mid = Math.ceil((low + high) / 2)
+    if (lineStartIndexes[mid] <= index) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+
+  return {
+    lineNumber: low + 1,
+    columnNumber: index - lineStartIndexes[low] + 1,
+  }
+}
+
+/**
+ * The file indexes of `getFileIndex()`, keyed by the files' paths.
+ *
+ * @private
+ * @type {Object}
+ */
+var _fileIndexCache = {}
+
+/**
+ * Gets the index of the source file at `filePath` for repeated source location lookups (e.g., `dantil.pathAndLineNumbersOf()`), which contains the file's source, lines, and the index at which each line starts.
+ *
+ * Caches the index, and reads the file again only if its modification time or size changes. Other functions can store data derived from the source on the index (e.g., tokens), which the cache discards with the index.
+ *
+ * @private
+ * @static
+ * @param {string} filePath The resolved path of the file.
+ * @returns {Object} Returns the file index as an object with the properties `source`, `lines`, and `lineStartIndexes`.
+ */
+function getFileIndex(filePath) {
+  var stats = fs.statSync(filePath)
+  var mtime = stats.mtime.getTime()
+  var fileIndex = _fileIndexCache[filePath]
+
+  if (fileIndex && fileIndex.mtime === mtime && fileIndex.size === stats.size) {
+    return fileIndex
+  }
+
+  var source = fs.readFileSync(filePath, 'utf8')
+  var lines = source.split('\n')
+  var lineStartIndexes = new Array(lines.length)
+
+  for (var l = 0, lineStartIndex = 0, linesLen = lines.length; l < linesLen; ++l) {
+    lineStartIndexes[l] = lineStartIndex
+    lineStartIndex += lines[l].length + 1
+  }
+
+  return _fileIndexCache[filePath] = {
+    mtime: mtime,
+    size: stats.size,
+    source: source,
+    lines: lines,
+    lineStartIndexes: lineStartIndexes,
+  }
+}
+
+/**
+ * Gets the file path, line number, and column number of each occurrence of `value` in the source files matching `patterns`, grouped by file. `patterns` can contain file paths, directory paths, and glob patterns (e.g., `'grammar/*.js'`). Searches directories recursively, and skips `.git` directories and binary files.
+ *
+ * Like `dantil.pathAndLineNumbersOf()`, `value` can be a `RegExp`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string|string[]} patterns The file paths, directory paths, and glob patterns of the files to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.gitignore] Specify skipping the files and directories which the `.gitignore` files in the searched directories, and in their ancestor directories within the same Git repository, ignore.
+ * @param {boolean} [options.structured] Specify returning each match as an object with the properties `filePath`, `lineNumber`, `columnNumber`, and `match` (the matched text) instead of a string.
+ * @returns {Object} Returns an object mapping the path of each file with at least one match to an array of its matches in the format `filePath:lineNumber:columnNumber`, ordered by file path.
+ * @example
+ *
+ * dantil.searchFiles('./grammar', 'nounPhrase')
+ * // => {
+ * //   '/Users/Danny/grammar/rules.js': [
+ * //     '/Users/Danny/grammar/rules.js:4:7',
+ * //     '/Users/Danny/grammar/rules.js:12:24'
+ * //   ],
+ * //   '/Users/Danny/grammar/verbs.js': [
+ * //     '/Users/Danny/grammar/verbs.js:30:11'
+ * //   ]
+ * // }
+ *
+ * dantil.searchFiles([ 'grammar/*.js', 'lib' ], /\bnoun\w+/, { gitignore: true })
+ * // => ...
+ */
+exports.searchFiles = function (patterns, value, options) {
+  if (exports.illFormedOpts(_searchFilesSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  var results = {}
+
+  baseSearchFiles(patterns, value, options, function (filePath, fileMatches) {
+    results[filePath] = fileMatches
+  })
+
+  return results
+}
+
+/**
+ * The schema for the options object of `dantil.searchFiles()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _searchFilesSchema = {
+  gitignore: Boolean,
+  structured: Boolean,
+}
+
+/**
+ * Pretty-prints the occurrences of `value` in the source files matching `patterns`, grouped by file, with the matched text highlighted within each line. Accepts the same arguments as `dantil.searchFiles()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string|string[]} patterns The file paths, directory paths, and glob patterns of the files to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.gitignore] Specify skipping the files and directories which the `.gitignore` files in the searched directories, and in their ancestor directories within the same Git repository, ignore.
+ * @returns {number} Returns the number of matches found.
+ * @example
+ *
+ * dantil.logSearchResults('./grammar', 'nounPhrase')
+ * // => Prints:
+ * // /Users/Danny/grammar/rules.js
+ * //     4:7  var nounPhrase = g.newSymbol('noun', 'phrase')
+ * //   12:24  var subject = g.newSymbol('subject').addRule({ rhs: [ nounPhrase ] })
+ * //
+ * // /Users/Danny/grammar/verbs.js
+ * //   30:11  rhs: [ nounPhrase, verb ]
+ */
+exports.logSearchResults = function (patterns, value, options) {
+  if (exports.illFormedOpts(_logSearchResultsSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  var matchCount = 0
+
+  baseSearchFiles(patterns, value, {
+    gitignore: options && options.gitignore,
+    structured: true,
+  }, function (filePath, fileMatches, fileLines) {
+    // Align the lines by the widest `lineNumber:columnNumber` in the file.
+    var positions = fileMatches.map(function (match) {
+      return match.lineNumber + ':' + match.columnNumber
+    })
+    var positionWidth = Math.max.apply(null, positions.map(function (position) {
+      return position.length
+    }))
+
+    // Separate each file's matches with a blank line.
+    if (matchCount > 0) {
+      exports.log()
+    }
+
+    exports.log(exports.colors.cyan(formatLocation(filePath)))
+
+    fileMatches.forEach(function (match, m) {
+      var line = fileLines[match.lineNumber - 1]
+      var matchIndex = match.columnNumber - 1
+      var highlightedLine = line.slice(0, matchIndex) + exports.colors.red(match.match) + line.slice(matchIndex + match.match.length)
+
+      exports.log('  ' + exports.colors.grey(padStart(positions[m], positionWidth)) + '  ' + highlightedLine)
+    })
+
+    matchCount += fileMatches.length
+  })
+
+  return matchCount
+}
+
+/**
+ * The schema for the options object of `dantil.logSearchResults()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _logSearchResultsSchema = {
+  gitignore: Boolean,
+}
+
+/**
+ * The base implementation of `dantil.searchFiles()` and `dantil.logSearchResults()` which finds the occurrences of `value` in the source files matching `patterns`, skipping binary files (i.e., files that contain a null byte). Invokes `iteratee` per file with at least one match, in order of file path, with three arguments: (filePath, fileMatches, fileLines).
+ *
+ * Reads each file without caching its index with `getFileIndex()`, because searches can read many files (e.g., within `node_modules`) that are not searched again.
+ *
+ * @private
+ * @static
+ * @param {string|string[]} patterns The file paths, directory paths, and glob patterns of the files to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @param {Object} [options] The options object of `dantil.searchFiles()`.
+ * @param {Function} iteratee The function invoked per file with at least one match.
+ */
+function baseSearchFiles(patterns, value, options, iteratee) {
+  var structured = options && options.structured
+
+  getSearchFilePaths(patterns, options && options.gitignore).forEach(function (filePath) {
+    var buffer = fs.readFileSync(filePath)
+
+    // Skip binary files.
+    if (buffer.indexOf(0) !== -1) return
+
+    var fileLines = buffer.toString('utf8').split('\n')
+    var fileMatches = []
+
+    matchesInLines(fileLines, value, function (match) {
+      fileMatches.push(structured ? {
+        filePath: filePath,
+        lineNumber: match.lineNumber,
+        columnNumber: match.columnNumber,
+        match: match.match,
+      } : filePath + ':' + match.lineNumber + ':' + match.columnNumber)
+    })
+
+    if (fileMatches.length > 0) {
+      iteratee(filePath, fileMatches, fileLines)
+    }
+  })
+}
+
+/**
+ * Gets the sorted, unique paths of the files matching `patterns` for `dantil.searchFiles()`.
+ *
+ * @private
+ * @static
+ * @param {string|string[]} patterns The file paths, directory paths, and glob patterns of the files to get.
+ * @param {boolean} [gitignore] Specify skipping the files and directories which the `.gitignore` files in the searched directories ignore.
+ * @returns {string[]} Returns the absolute file paths.
+ */
+function getSearchFilePaths(patterns, gitignore) {
+  if (!Array.isArray(patterns)) {
+    patterns = [ patterns ]
+  }
+
+  var filePaths = []
+
+  patterns.forEach(function (pattern) {
+    pattern = exports.expandHomeDir(pattern)
+
+    if (isGlobPattern(pattern)) {
+      // Search the deepest directory without glob characters for paths matching the glob.
+      var globPath = nodePath.resolve(pattern)
+      var reGlob = globToRegExp(globPath)
+      var segments = globPath.split('/')
+      var globIndex = segments.findIndex(isGlobPattern)
+      var baseDirPath = segments.slice(0, globIndex).join('/') || '/'
+
+      if (exports.pathExistsSync(baseDirPath)) {
+        walkSearchDirectory(baseDirPath, gitignore ? getAncestorGitignoreRules(baseDirPath) : [], gitignore, new Set(), function (filePath) {
+          if (reGlob.test(filePath)) {
+            filePaths.push(filePath)
+          }
+        })
+      }
+    } else {
+      var path = exports.realpathSync(pattern)
+
+      if (fs.statSync(path).isDirectory()) {
+        walkSearchDirectory(path, gitignore ? getAncestorGitignoreRules(path) : [], gitignore, new Set(), function (filePath) {
+          filePaths.push(filePath)
+        })
+      } else {
+        filePaths.push(path)
+      }
+    }
+  })
+
+  // Remove duplicate paths matched by multiple patterns.
+  return Array.from(new Set(filePaths)).sort()
+}
+
+/**
+ * Recursively walks the directory at `dirPath`, skipping `.git` directories. Follows symbolic links to directories, but walks each directory only once to avoid symbolic link cycles. Invokes `iteratee` with one argument: (filePath).
+ *
+ * @private
+ * @static
+ * @param {string} dirPath The absolute path of the directory to walk.
+ * @param {Object[]} gitignoreRules The `.gitignore` rules of the ancestor directories of `dirPath`.
+ * @param {boolean} [gitignore] Specify skipping the files and directories which the `.gitignore` files in the walked directories ignore.
+ * @param {Set} visitedDirPaths The resolved paths of the directories already walked.
+ * @param {Function} iteratee The function invoked per file.
+ */
+function walkSearchDirectory(dirPath, gitignoreRules, gitignore, visitedDirPaths, iteratee) {
+  var realDirPath = fs.realpathSync(dirPath)
+  if (visitedDirPaths.has(realDirPath)) return
+  visitedDirPaths.add(realDirPath)
+
+  if (gitignore) {
+    gitignoreRules = gitignoreRules.concat(getGitignoreRules(dirPath))
+  }
+
+  fs.readdirSync(dirPath).sort().forEach(function (name) {
+    if (name === '.git') return
+
+    var path = nodePath.join(dirPath, name)
+    var stats
+    try {
+      stats = fs.statSync(path)
+    } catch (e) {
+      // Skip broken symbolic links.
+      return
+    }
+
+    var isDirectory = stats.isDirectory()
+    if (gitignore && isGitignored(gitignoreRules, path, isDirectory)) return
+
+    if (isDirectory) {
+      walkSearchDirectory(path, gitignoreRules, gitignore, visitedDirPaths, iteratee)
+    } else if (stats.isFile()) {
+      iteratee(path)
+    }
+  })
+}
+
+/**
+ * Gets the rules of the `.gitignore` files in the ancestor directories of the directory at `dirPath` within the same Git repository (i.e., up to the nearest ancestor directory that contains `.git`). Returns no rules if `dirPath` is not within a repository.
+ *
+ * @private
+ * @static
+ * @param {string} dirPath The absolute path of the directory.
+ * @returns {Object[]} Returns the rules of `getGitignoreRules()`, ordered from the outermost directory.
+ */
+function getAncestorGitignoreRules(dirPath) {
+  var ancestorDirPaths = []
+  var path = dirPath
+
+  while (!exports.pathExistsSync(nodePath.join(path, '.git'))) {
+    var parentPath = nodePath.dirname(path)
+
+    // Return no rules outside of a repository.
+    if (parentPath === path) return []
+
+    ancestorDirPaths.unshift(parentPath)
+    path = parentPath
+  }
+
+  return ancestorDirPaths.reduce(function (rules, ancestorDirPath) {
+    return rules.concat(getGitignoreRules(ancestorDirPath))
+  }, [])
+}
+
+/**
+ * Gets the rules of the `.gitignore` file in the directory at `dirPath`, if any.
+ *
+ * @private
+ * @static
+ * @param {string} dirPath The absolute path of the directory.
+ * @returns {Object[]} Returns the rules as objects with the properties `dirPath`, `re`, `negate`, and `dirOnly`.
+ */
+function getGitignoreRules(dirPath) {
+  var gitignorePath = nodePath.join(dirPath, '.gitignore')
+  if (!exports.pathExistsSync(gitignorePath)) {
+    return []
+  }
+
+  var rules = []
+
+  fs.readFileSync(gitignorePath, 'utf8').split('\n').forEach(function (pattern) {
+    pattern = pattern.replace(/\r$/, '').replace(/([^\\])\s+$/, '$1')
+
+    // Skip blank lines and comments.
+    if (pattern === '' || pattern[0] === '#') return
+
+    var rule = {
+      dirPath: dirPath,
+      negate: pattern[0] === '!',
+      dirOnly: false,
+    }
+
+    if (rule.negate) {
+      pattern = pattern.slice(1)
+    }
+
+    if (pattern[pattern.length - 1] === '/') {
+      rule.dirOnly = true
+      pattern = pattern.slice(0, -1)
+    }
+
+    // Match patterns without a non-trailing slash against the base name at any depth; otherwise, match relative to `dirPath`.
+    if (pattern.indexOf('/') === -1) {
+      pattern = '**/' + pattern
+    } else if (pattern[0] === '/') {
+      pattern = pattern.slice(1)
+    }
+
+    rule.re = globToRegExp(pattern.replace(/\\(.)/g, '$1'))
+    rules.push(rule)
+  })
+
+  return rules
+}
+
+/**
+ * Checks if `gitignoreRules` ignore the file or directory at `path`. The last matching rule takes precedence.
+ *
+ * @private
+ * @static
+ * @param {Object[]} gitignoreRules The rules of `getGitignoreRules()`, ordered from the outermost directory.
+ * @param {string} path The absolute path to check.
+ * @param {boolean} isDirectory Specify `path` is a directory.
+ * @returns {boolean} Returns `true` if `path` is ignored, else `false`.
+ */
+function isGitignored(gitignoreRules, path, isDirectory) {
+  var ignored = false
+
+  gitignoreRules.forEach(function (rule) {
+    if (rule.dirOnly && !isDirectory) return
+
+    if (rule.re.test(nodePath.relative(rule.dirPath, path))) {
+      ignored = !rule.negate
+    }
+  })
+
+  return ignored
+}
+
+/**
+ * The schema for the options object of `dantil.pathAndLineNumbersOf()` and `dantil.firstPathAndLineNumberOf()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _pathAndLineNumbersOfSchema = {
+  structured: Boolean,
+}
+
+/**
+ * The base implementation of `dantil.pathAndLineNumbersOf()` and `dantil.firstPathAndLineNumberOf()` which finds occurrences of `value` in the source file at `filePath`. Stops iteration once `iteratee` returns truthy. Invokes `iteratee` with the path, line number, and column number in the format `filePath:lineNumber:columnNumber` (or as an object, if `options.structured` is truthy) as the only argument: (pathAndLineNumber).
+ *
+ * @private
+ * @static
+ * @param {string} filePath The path of the source file to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @param {Object} [options] The options object of `dantil.pathAndLineNumbersOf()`.
+ * @param {Function} iteratee The function invoked per match until it returns truthy.
+ * @param {number} [fromLine=1] The line number at which to start searching forward in the file at `filePath`.
+ * @param {number} [fromColumn=1] The column number in line `fromLine` at which to start searching.
+ * @returns {boolean} Returns `true` if `iteratee` is invoked and returns truthy, else `false`.
+ */
+function basePathAndLineNumbersOf(filePath, value, options, iteratee, fromLine, fromColumn) {
+  // Resolve `filePath` if relative.
+  filePath = exports.realpathSync(filePath)
+
+  var structured = options && options.structured
+
+  return matchesOf(filePath, value, function (match) {
+    // Exit if `iteratee` returns truthy.
+    if (structured) {
+      return iteratee({
+        filePath: filePath,
+        lineNumber: match.lineNumber,
+        columnNumber: match.columnNumber,
+        match: match.match,
+      })
+    }
+
+    return iteratee(filePath + ':' + match.lineNumber + ':' + match.columnNumber)
+  }, fromLine, fromColumn)
+}
+
+/**
+ * Finds the occurrences of `value` in the source file at `filePath`, including multiple occurrences within a line. Stops iteration once `iteratee` returns truthy. Invokes `iteratee` with one argument: (match), an object with the properties `lineNumber`, `columnNumber`, and `match` (the matched text).
+ *
+ * @private
+ * @static
+ * @param {string} filePath The path of the source file to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @param {Function} iteratee The function invoked per match until it returns truthy.
+ * @param {number} [fromLine=1] The line number at which to start searching forward in the file at `filePath`.
+ * @param {number} [fromColumn=1] The column number in line `fromLine` at which to start searching.
+ * @returns {boolean} Returns `true` if `iteratee` is invoked and returns truthy, else `false`.
+ */
+function matchesOf(filePath, value, iteratee, fromLine, fromColumn) {
+  return matchesInLines(getFileIndex(filePath).lines, value, iteratee, fromLine, fromColumn)
+}
+
+/**
+ * Finds the occurrences of `value` in `fileLines`, the lines of a source file, like `matchesOf()`.
+ *
+ * @private
+ * @static
+ * @param {string[]} fileLines The lines to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @param {Function} iteratee The function invoked per match until it returns truthy.
+ * @param {number} [fromLine=1] The line number at which to start searching forward in `fileLines`.
+ * @param {number} [fromColumn=1] The column number in line `fromLine` at which to start searching.
+ * @returns {boolean} Returns `true` if `iteratee` is invoked and returns truthy, else `false`.
+ */
+function matchesInLines(fileLines, value, iteratee, fromLine, fromColumn) {
+  // Find occurrences of `value` in `fileLines`.
+  for (var l = fromLine ? fromLine - 1 : 0, fileLinesLen = fileLines.length; l < fileLinesLen; ++l) {
+    var lineMatches = matchesInLine(fileLines[l], value)
+
+    for (var m = 0, lineMatchesLen = lineMatches.length; m < lineMatchesLen; ++m) {
+      var lineMatch = lineMatches[m]
+
+      // Skip matches before `fromColumn` in the first line searched.
+      if (fromColumn && l === fromLine - 1 && lineMatch.index < fromColumn - 1) {
+        continue
+      }
+
+      // Add 1 to line and column indexes because line and column numbers begin at 1.
+      if (iteratee({ lineNumber: l + 1, columnNumber: lineMatch.index + 1, match: lineMatch.text })) {
+        // Exit if `iteratee` returns truthy.
+        return true
+      }
+    }
+  }
+
+  return false
+}
+
+/**
+ * Finds the non-overlapping occurrences of `value` in `line`.
+ *
+ * @private
+ * @static
+ * @param {string} line The line to search.
+ * @param {*} value The value or `RegExp` for which to search.
+ * @returns {Object[]} Returns the matches as objects with the properties `index` and `text`.
+ */
+function matchesInLine(line, value) {
+  var matches = []
+
+  if (value instanceof RegExp) {
+    // Copy `value` with the global flag to iterate through every match without mutating `value.lastIndex`.
+    var reGlobal = RegExp(value.source, value.flags.indexOf('g') === -1 ? value.flags + 'g' : value.flags)
+    var match
+    while (match = reGlobal.exec(line)) {
+      matches.push({ index: match.index, text: match[0] })
+
+      // Avoid an infinite loop on zero-length matches.
+      if (match[0].length === 0) {
+        ++reGlobal.lastIndex
+      }
+    }
+  } else {
+    var string = String(value)
+    var index = line.indexOf(string)
+    while (index !== -1) {
+      matches.push({ index: index, text: string })
+      index = line.indexOf(string, index + (string.length || 1))
+    }
+  }
+
+  return matches
+}
+
+/**
+ * Checks if `value` is a plain object (i.e., created by the `Object` constructor or an object literal).
+ *
+ * @private
+ * @static
+ * @param {*} value The value to check.
+ * @returns {boolean} Returns `true` if `value` is a plain object, else `false`.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+/**
+ * Replaces `'~'` or `'~user'` in `path` (if present and at the path's start) with the home directory path of the current user or of `user`, respectively. Leaves `'~user'` as is if the home directory of `user` is not found.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The file path.
+ * @returns {string} Returns `path` with `'~'` or `'~user'`, if present, replaced with the home directory path.
+ * @example
+ *
+ * dantil.expandHomeDir('~/Desktop')
+ * // => '/Users/Danny/Desktop'
+ *
+ * dantil.expandHomeDir('~alice/Desktop')
+ * // => '/home/alice/Desktop'
+ */
+exports.expandHomeDir = function (path) {
+  return path.replace(/^~([^\/\\]*)(?=$|[\/\\])/, function (tilde, userName) {
+    return (userName ? getUserHomeDir(userName) : getHomeDir()) || tilde
+  })
+}
+
+/**
+ * Gets the home directory path of the current user.
+ *
+ * @private
+ * @static
+ * @returns {string} Returns the home directory path.
+ */
+function getHomeDir() {
+  return process.env[process.platform === 'win32' ? 'USERPROFILE' : 'HOME']
+}
+
+/**
+ * Gets the home directory path of the user named `userName` from `/etc/passwd`, if present.
+ *
+ * @private
+ * @static
+ * @param {string} userName The user name.
+ * @returns {string|undefined} Returns the home directory path if found, else `undefined`.
+ */
+function getUserHomeDir(userName) {
+  try {
+    var passwdLines = fs.readFileSync('/etc/passwd', 'utf8').split('\n')
+    for (var l = 0, passwdLinesLen = passwdLines.length; l < passwdLinesLen; ++l) {
+      // Each line has the format "name:password:UID:GID:GECOS:directory:shell".
+      var fields = passwdLines[l].split(':')
+      if (fields[0] === userName && fields[5]) {
+        return fields[5]
+      }
+    }
+  } catch (e) {}
+}
+
+/**
+ * Expands `'~'` and `'~user'` (like `dantil.expandHomeDir()`) and the environment variables in the forms `$VAR` and `${VAR}` in `path`. Leaves references to undefined environment variables as is.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The file path.
+ * @returns {string} Returns the expanded path.
+ * @example
+ *
+ * dantil.expandPath('$HOME/Desktop')
+ * // => '/Users/Danny/Desktop'
+ *
+ * dantil.expandPath('~/${PROJECT}/out-$UNDEFINED_VAR.txt')
+ * // => '/Users/Danny/dantil/out-$UNDEFINED_VAR.txt'
+ */
+exports.expandPath = function (path) {
+  return exports.expandHomeDir(path).replace(/\$(?:\{(\w+)\}|(\w+))/g, function (reference, bracedName, name) {
+    var value = process.env[bracedName || name]
+    return value === undefined ? reference : value
+  })
+}
+
+/**
+ * Resolves `path` to an absolute, normalized path, whether or not `path` exists, after expanding `path` with `dantil.expandPath()`. Resolves symbolic links in the longest portion of `path` that exists, like `dantil.realpathSync()`.
+ *
+ * In contrast to `dantil.realpathSync()`, does not throw an exception if `path` does not exist, which is useful for resolving the path of a file to create.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to resolve.
+ * @returns {string} Returns the absolute path.
+ * @example
+ *
+ * dantil.resolvePath('~/Desktop/../Documents/new-dir/./out.json')
+ * // => '/Users/Danny/Documents/new-dir/out.json'
+ */
+exports.resolvePath = function (path) {
+  path = nodePath.resolve(exports.expandPath(path))
+
+  // Resolve the longest existing ancestor of `path`, and append the remaining segments which do not exist.
+  var missingSegments = []
+  var existingPath = path
+
+  while (true) {
+    try {
+      return nodePath.join.apply(null, [ fs.realpathSync(existingPath) ].concat(missingSegments))
+    } catch (e) {
+      var parentPath = nodePath.dirname(existingPath)
+
+      // Return the normalized path if no ancestor is resolvable (e.g., the root is inaccessible).
+      if (parentPath === existingPath) {
+        return path
+      }
+
+      missingSegments.unshift(nodePath.basename(existingPath))
+      existingPath = parentPath
+    }
+  }
+}
+
+/**
+ * Replaces the home directory path in `path` (if present and at the path's start) with `'~'`. This is the inverse of `dantil.expandHomeDir()`, and is useful for shortening paths for display.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The file path.
+ * @returns {string} Returns `path` with the home directory path, if present, replaced with `'~'`.
+ * @example
+ *
+ * dantil.contractHomeDir('/Users/Danny/Desktop')
+ * // => '~/Desktop'
+ *
+ * dantil.contractHomeDir('/Users/DannyNemer/Desktop')
+ * // => '/Users/DannyNemer/Desktop'
+ */
+exports.contractHomeDir = function (path) {
+  var homeDir = getHomeDir()
+
+  if (homeDir && path.indexOf(homeDir) === 0 && (path.length === homeDir.length || path[homeDir.length] === nodePath.sep)) {
+    return '~' + path.slice(homeDir.length)
+  }
+
+  return path
+}
+
+/**
+ * Formats `path` for display: relative to the current working directory if `path` is within it, else with the home directory contracted to `'~'` (via `dantil.contractHomeDir()`). `path` can include a trailing `:lineNumber:columnNumber`, such as the locations `dantil.getLocation()` returns.
+ *
+ * See `dantil.setRelativeLocationPaths()` to print locations in this format.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The absolute path to format.
+ * @returns {string} Returns the formatted path.
+ * @example
+ *
+ * process.cwd()
+ * // => '/Users/Danny/dantil'
+ *
+ * dantil.formatPath('/Users/Danny/dantil/lib/foo.js:12:3')
+ * // => 'lib/foo.js:12:3'
+ *
+ * dantil.formatPath('/Users/Danny/Desktop/bar.js')
+ * // => '~/Desktop/bar.js'
+ *
+ * dantil.formatPath('/usr/local/lib/baz.js')
+ * // => '/usr/local/lib/baz.js'
+ */
+exports.formatPath = function (path) {
+  var relativePath = nodePath.relative(process.cwd(), path)
+
+  if (relativePath && !nodePath.isAbsolute(relativePath) && relativePath.split(nodePath.sep)[0] !== '..') {
+    return relativePath
+  }
+
+  return exports.contractHomeDir(path)
+}
+
+/**
+ * Synchronously resolves `path` to an absolute path.
+ *
+ * This method is similar to Node's `fs.realpathSync()`, but also expands `'~'` if found in `path`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to resolve.
+ * @returns {string} Returns the absolute path.
+ * @example
+ *
+ * dantil.realpathSync('~/Desktop/../../Danny')
+ * // => '/Users/Danny'
+ */
+exports.realpathSync = function (path) {
+  return fs.realpathSync(exports.expandHomeDir(path))
+}
+
+/**
+ * Synchronously checks if `path` exists by checking the file system.
+ *
+ * Replaces the deprecated `fs.existsSync()` by invoking `fs.accessSync(path)`, which throws an exception when `path` is not found, within a `try...catch` block.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to check.
+ * @returns {boolean} Returns `true` if `path` exists, else `false`.
+ * @example
+ *
+ * dantil.pathExistsSync('/etc/passwd')
+ * // => true
+ *
+ * dantil.pathExistsSync('/wrong/path')
+ * // => false
+ */
+exports.pathExistsSync = function (path) {
+  try {
+    fs.accessSync(path)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * The asynchronous version of `dantil.pathExistsSync()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to check.
+ * @returns {Promise} Returns a `Promise` for `true` if `path` exists, else `false`.
+ * @example
+ *
+ * dantil.pathExists('/etc/passwd').then(function (exists) {
+ *   // => true
+ * })
+ */
+exports.pathExists = function (path) {
+  return fsAsync('access', path).then(function () {
+    return true
+  }, function () {
+    return false
+  })
+}
+
+/**
+ * Synchronously gets the type of the file system entry at `path`. Does not follow symbolic links, so that a symbolic link's type is `'symlink'`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to check.
+ * @returns {string|undefined} Returns `'file'`, `'directory'`, `'symlink'`, or `'other'` (e.g., a socket), else `undefined` if `path` does not exist.
+ * @example
+ *
+ * dantil.pathTypeSync('~/Desktop')
+ * // => 'directory'
+ *
+ * dantil.pathTypeSync('/etc/passwd')
+ * // => 'file'
+ *
+ * dantil.pathTypeSync('/wrong/path')
+ * // => undefined
+ */
+exports.pathTypeSync = function (path) {
+  try {
+    return getPathType(fs.lstatSync(exports.expandHomeDir(path)))
+  } catch (e) {
+    if (isMissingPathError(e)) return
+    throw e
+  }
+}
+
+/**
+ * The asynchronous version of `dantil.pathTypeSync()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to check.
+ * @returns {Promise} Returns a `Promise` for `'file'`, `'directory'`, `'symlink'`, or `'other'`, else `undefined` if `path` does not exist.
+ * @example
+ *
+ * dantil.pathType('~/Desktop').then(function (type) {
+ *   // => 'directory'
+ * })
+ */
+exports.pathType = function (path) {
+  return fsAsync('lstat', exports.expandHomeDir(path)).then(getPathType, function (err) {
+    if (isMissingPathError(err)) return
+    throw err
+  })
+}
+
+/**
+ * Gets the type of the file system entry that `stats` describes for `dantil.pathTypeSync()`.
+ *
+ * @private
+ * @static
+ * @param {fs.Stats} stats The `fs.lstat()` result.
+ * @returns {string} Returns `'file'`, `'directory'`, `'symlink'`, or `'other'`.
+ */
+function getPathType(stats) {
+  if (stats.isSymbolicLink()) return 'symlink'
+  if (stats.isDirectory()) return 'directory'
+  if (stats.isFile()) return 'file'
+  return 'other'
+}
+
+/**
+ * Checks if `error` is an `fs` exception for a path that does not exist.
+ *
+ * @private
+ * @static
+ * @param {Error} error The exception to check.
+ * @returns {boolean} Returns `true` if `error` indicates a missing path, else `false`.
+ */
+function isMissingPathError(error) {
+  return error.code === 'ENOENT' || error.code === 'ENOTDIR'
+}
+
+/**
+ * Synchronously checks the process's permissions for `path`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to check.
+ * @returns {Object|undefined} Returns an object with the boolean properties `readable`, `writable`, and `executable`, else `undefined` if `path` does not exist.
+ * @example
+ *
+ * dantil.pathPermissionsSync('/etc/passwd')
+ * // => { readable: true, writable: false, executable: false }
+ *
+ * dantil.pathPermissionsSync('/wrong/path')
+ * // => undefined
+ */
+exports.pathPermissionsSync = function (path) {
+  path = exports.expandHomeDir(path)
+
+  if (!exports.pathExistsSync(path)) return
+
+  var permissions = {}
+  _permissionModes.forEach(function (permissionMode) {
+    try {
+      fs.accessSync(path, fs.constants[permissionMode.mode])
+      permissions[permissionMode.name] = true
+    } catch (e) {
+      permissions[permissionMode.name] = false
+    }
+  })
+
+  return permissions
+}
+
+/**
+ * The asynchronous version of `dantil.pathPermissionsSync()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to check.
+ * @returns {Promise} Returns a `Promise` for an object with the boolean properties `readable`, `writable`, and `executable`, else `undefined` if `path` does not exist.
+ * @example
+ *
+ * dantil.pathPermissions('/usr/bin/env').then(function (permissions) {
+ *   // => { readable: true, writable: false, executable: true }
+ * })
+ */
+exports.pathPermissions = function (path) {
+  path = exports.expandHomeDir(path)
+
+  return exports.pathExists(path).then(function (exists) {
+    if (!exists) return
+
+    return Promise.all(_permissionModes.map(function (permissionMode) {
+      return fsAsync('access', path, fs.constants[permissionMode.mode]).then(function () {
+        return true
+      }, function () {
+        return false
+      })
+    })).then(function (results) {
+      var permissions = {}
+      _permissionModes.forEach(function (permissionMode, i) {
+        permissions[permissionMode.name] = results[i]
+      })
+      return permissions
+    })
+  })
+}
+
+/**
+ * The permissions `dantil.pathPermissionsSync()` checks, with the names of their `fs.constants` modes.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var _permissionModes = [
+  { name: 'readable', mode: 'R_OK' },
+  { name: 'writable', mode: 'W_OK' },
+  { name: 'executable', mode: 'X_OK' },
+]
+
+/**
+ * Synchronously creates the directory at `path` and any parent directories that do not exist, like `mkdir -p`. Does nothing if the directory already exists.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path of the directory to create.
+ * @param {number} [mode=0o777] The permissions of the directories created (before the process's umask).
+ * @returns {string} Returns the absolute path of the directory.
+ * @example
+ *
+ * dantil.mkdirpSync('~/Desktop/out/2016/logs')
+ * // => '/Users/Danny/Desktop/out/2016/logs'
+ */
+exports.mkdirpSync = function (path, mode) {
+  path = nodePath.resolve(exports.expandHomeDir(path))
+
+  try {
+    fs.mkdirSync(path, mode)
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      // Create the parent directory, then retry.
+      exports.mkdirpSync(nodePath.dirname(path), mode)
+      fs.mkdirSync(path, mode)
+    } else if (e.code !== 'EEXIST' || !fs.statSync(path).isDirectory()) {
+      throw e
+    }
+  }
+
+  return path
+}
+
+/**
+ * The asynchronous version of `dantil.mkdirpSync()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path of the directory to create.
+ * @param {number} [mode=0o777] The permissions of the directories created (before the process's umask).
+ * @returns {Promise} Returns a `Promise` for the absolute path of the directory.
+ * @example
+ *
+ * dantil.mkdirp('~/Desktop/out/2016/logs').then(function (dirPath) {
+ *   // => '/Users/Danny/Desktop/out/2016/logs'
+ * })
+ */
+exports.mkdirp = function (path, mode) {
+  path = nodePath.resolve(exports.expandHomeDir(path))
+
+  return fsAsync('mkdir', path, mode).catch(function (err) {
+    if (err.code === 'ENOENT') {
+      // Create the parent directory, then retry.
+      return exports.mkdirp(nodePath.dirname(path), mode).then(function () {
+        return fsAsync('mkdir', path, mode)
+      })
+    }
+
+    if (err.code === 'EEXIST') {
+      return fsAsync('stat', path).then(function (stats) {
+        if (!stats.isDirectory()) throw err
+      })
+    }
+
+    throw err
+  }).then(function () {
+    return path
+  })
+}
+
+/**
+ * Synchronously removes the file, symbolic link, or directory (recursively) at `path`, like `rm -rf`. Removes symbolic links themselves, not their targets. Does nothing if `path` does not exist.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to remove.
+ * @returns {boolean} Returns `true` if `path` existed and was removed, else `false`.
+ * @example
+ *
+ * dantil.removeSync('~/Desktop/out')
+ * // => true
+ *
+ * dantil.removeSync('~/Desktop/out')
+ * // => false
+ */
+exports.removeSync = function (path) {
+  path = getRemovablePath(path)
+
+  var pathType = exports.pathTypeSync(path)
+  if (!pathType) {
+    return false
+  }
+
+  if (pathType === 'directory') {
+    fs.readdirSync(path).forEach(function (name) {
+      exports.removeSync(nodePath.join(path, name))
+    })
+
+    fs.rmdirSync(path)
+  } else {
+    fs.unlinkSync(path)
+  }
+
+  return true
+}
+
+/**
+ * The asynchronous version of `dantil.removeSync()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} path The path to remove.
+ * @returns {Promise} Returns a `Promise` for `true` if `path` existed and was removed, else `false`.
+ * @example
+ *
+ * dantil.remove('~/Desktop/out').then(function (removed) {
+ *   // => true
+ * })
+ */
+exports.remove = function (path) {
+  try {
+    path = getRemovablePath(path)
+  } catch (e) {
+    return Promise.reject(e)
+  }
+
+  return exports.pathType(path).then(function (pathType) {
+    if (!pathType) {
+      return false
+    }
+
+    if (pathType === 'directory') {
+      return fsAsync('readdir', path).then(function (names) {
+        return Promise.all(names.map(function (name) {
+          return exports.remove(nodePath.join(path, name))
+        }))
+      }).then(function () {
+        return fsAsync('rmdir', path)
+      }).then(function () {
+        return true
+      })
+    }
+
+    return fsAsync('unlink', path).then(function () {
+      return true
+    })
+  })
+}
+
+/**
+ * Resolves `path` for `dantil.removeSync()` and `dantil.remove()`, and throws an exception if `path` is a root directory, which is almost certainly a mistake.
+ *
+ * @private
+ * @static
+ * @param {string} path The path to remove.
+ * @returns {string} Returns the absolute path.
+ */
+function getRemovablePath(path) {
+  path = nodePath.resolve(exports.expandHomeDir(path))
+
+  if (path === nodePath.parse(path).root) {
+    exports.logError('Refusing to remove root directory:', exports.stylize(path))
+    throw new Error('Refusing to remove root directory')
+  }
+
+  return path
+}
+
+/**
+ * Synchronously copies the file, symbolic link, or directory (recursively) at `srcPath` to `destPath`, like `cp -R`. Creates the parent directories of `destPath` if they do not exist, overwrites existing files (including read-only files), and preserves file permissions. Copies symbolic links themselves, not their targets. Throws an exception for other types of files, such as FIFOs and sockets.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} srcPath The path of the file or directory to copy.
+ * @param {string} destPath The path of the copy.
+ * @returns {string} Returns the absolute path of the copy.
+ * @example
+ *
+ * dantil.copySync('./grammar', '~/Desktop/backup/grammar')
+ * // => '/Users/Danny/Desktop/backup/grammar'
+ */
+exports.copySync = function (srcPath, destPath) {
+  var paths = getCopyPaths(srcPath, destPath)
+
+  exports.mkdirpSync(nodePath.dirname(paths.dest))
+  copyPathSync(paths.src, paths.dest)
+
+  return paths.dest
+}
+
+/**
+ * Synchronously copies the file, symbolic link, or directory (recursively) at `srcPath` to `destPath` for `dantil.copySync()`.
+ *
+ * @private
+ * @static
+ * @param {string} srcPath The absolute path to copy.
+ * @param {string} destPath The absolute path of the copy.
+ */
+function copyPathSync(srcPath, destPath) {
+  var stats = fs.lstatSync(srcPath)
+  assertCopyableStats(srcPath, stats)
+
+  if (stats.isDirectory()) {
+    // Remove an existing file or symbolic link (even to a directory) instead of copying into it.
+    if (exports.pathTypeSync(destPath) !== 'directory') {
+      exports.removeSync(destPath)
+    }
+
+    // Keep the directory writable until its contents are copied, then apply the source's mode (which might be read-only).
+    exports.mkdirpSync(destPath)
+    fs.chmodSync(destPath, stats.mode & 511 | 448)
+
+    fs.readdirSync(srcPath).forEach(function (name) {
+      copyPathSync(nodePath.join(srcPath, name), nodePath.join(destPath, name))
+    })
+
+    fs.chmodSync(destPath, stats.mode & 511)
+  } else if (stats.isSymbolicLink()) {
+    var linkTarget = fs.readlinkSync(srcPath)
+    exports.removeSync(destPath)
+    fs.symlinkSync(linkTarget, destPath)
+  } else {
+    // Remove an existing copy, which might be read-only, instead of writing over it.
+    exports.removeSync(destPath)
+    fs.writeFileSync(destPath, fs.readFileSync(srcPath))
+    fs.chmodSync(destPath, stats.mode & 511)
+  }
+}
+
+/**
+ * The asynchronous version of `dantil.copySync()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string} srcPath The path of the file or directory to copy.
+ * @param {string} destPath The path of the copy.
+ * @returns {Promise} Returns a `Promise` for the absolute path of the copy.
+ * @example
+ *
+ * dantil.copy('./grammar', '~/Desktop/backup/grammar').then(function (copyPath) {
+ *   // => '/Users/Danny/Desktop/backup/grammar'
+ * })
+ */
+exports.copy = function (srcPath, destPath) {
+  try {
+    var paths = getCopyPaths(srcPath, destPath)
+  } catch (e) {
+    return Promise.reject(e)
+  }
+
+  return exports.mkdirp(nodePath.dirname(paths.dest)).then(function () {
+    return copyPath(paths.src, paths.dest)
+  }).then(function () {
+    return paths.dest
+  })
+}
+
+/**
+ * Copies the file, symbolic link, or directory (recursively) at `srcPath` to `destPath` for `dantil.copy()`.
+ *
+ * @private
+ * @static
+ * @param {string} srcPath The absolute path to copy.
+ * @param {string} destPath The absolute path of the copy.
+ * @returns {Promise} Returns a `Promise` that resolves once copied.
+ */
+function copyPath(srcPath, destPath) {
+  return fsAsync('lstat', srcPath).then(function (stats) {
+    assertCopyableStats(srcPath, stats)
+
+    if (stats.isDirectory()) {
+      // Remove an existing file or symbolic link (even to a directory) instead of copying into it.
+      return exports.pathType(destPath).then(function (destPathType) {
+        if (destPathType !== 'directory') {
+          return exports.remove(destPath)
+        }
+      }).then(function () {
+        // Keep the directory writable until its contents are copied, then apply the source's mode (which might be read-only).
+        return exports.mkdirp(destPath)
+      }).then(function () {
+        return fsAsync('chmod', destPath, stats.mode & 511 | 448)
+      }).then(function () {
+        return fsAsync('readdir', srcPath)
+      }).then(function (names) {
+        return Promise.all(names.map(function (name) {
+          return copyPath(nodePath.join(srcPath, name), nodePath.join(destPath, name))
+        }))
+      }).then(function () {
+        return fsAsync('chmod', destPath, stats.mode & 511)
+      })
+    }
+
+    if (stats.isSymbolicLink()) {
+      return fsAsync('readlink', srcPath).then(function (linkTarget) {
+        return exports.remove(destPath).then(function () {
+          return fsAsync('symlink', linkTarget, destPath)
+        })
+      })
+    }
+
+    // Remove an existing copy, which might be read-only, instead of writing over it.
+    return exports.remove(destPath).then(function () {
+      return fsAsync('readFile', srcPath)
+    }).then(function (data) {
+      return fsAsync('writeFile', destPath, data)
+    }).then(function () {
+      return fsAsync('chmod', destPath, stats.mode & 511)
+    })
+  })
+}
+
+/**
+ * Checks if `stats` describes a file, directory, or symbolic link, which `copyPathSync()` and `copyPath()` can copy, and throws an exception for other types (e.g., FIFOs, sockets, and devices).
+ *
+ * @private
+ * @static
+ * @param {string} srcPath The absolute path to copy.
+ * @param {fs.Stats} stats The `fs.Stats` of `srcPath`.
+ */
+function assertCopyableStats(srcPath, stats) {
+  if (!stats.isFile() && !stats.isDirectory() && !stats.isSymbolicLink()) {
+    exports.logError('Can not copy a path that is not a file, directory, or symbolic link:', exports.stylize(srcPath))
+    throw new Error('Can not copy special file')
+  }
+}
+
+/**
+ * Resolves `srcPath` and `destPath` for `dantil.copySync()` and `dantil.copy()`, and throws an exception if `destPath` is within `srcPath`, which would copy the directory into itself indefinitely.
+ *
+ * @private
+ * @static
+ * @param {string} srcPath The path to copy.
+ * @param {string} destPath The path of the copy.
+ * @returns {Object} Returns an object with the absolute paths `src` and `dest`.
+ */
+function getCopyPaths(srcPath, destPath) {
+  var paths = {
+    src: nodePath.resolve(exports.expandHomeDir(srcPath)),
+    dest: nodePath.resolve(exports.expandHomeDir(destPath)),
+  }
+
+  if (paths.dest === paths.src || paths.dest.indexOf(paths.src + nodePath.sep) === 0) {
+    exports.logError('Can not copy a path to itself or within itself:', exports.stylize(paths.src), '->', exports.stylize(paths.dest))
+    throw new Error('Can not copy a path to itself')
+  }
+
+  return paths
+}
+
+/**
+ * Synchronously searches for the file or directory named `names` in the current working directory (or `options.cwd`) and then each of its ancestor directories, like how Node resolves `node_modules`. If `names` is an array, gets the first name found in the closest directory.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string|string[]} names The name (or names) for which to search.
+ * @param {Object} [options] The options object.
+ * @param {string} [options.cwd=process.cwd()] The directory at which to start searching.
+ * @returns {string|undefined} Returns the absolute path of the first match, else `undefined` if not found.
+ * @example
+ *
+ * process.cwd()
+ * // => '/Users/Danny/dantil/lib'
+ *
+ * dantil.findUpSync('package.json')
+ * // => '/Users/Danny/dantil/package.json'
+ *
+ * dantil.findUpSync([ '.eslintrc.js', '.eslintrc.json' ], { cwd: '~/Desktop' })
+ * // => undefined
+ */
+exports.findUpSync = function (names, options) {
+  if (exports.illFormedOpts(_findUpSchema, options)) {
+    throw new Error('Ill-formed options')
+  }
+
+  if (!Array.isArray(names)) {
+    names = [ names ]
+  }
+
+  var dirPath = nodePath.resolve(exports.expandHomeDir(options && options.cwd || '.'))
+
+  while (true) {
+    for (var n = 0, namesLen = names.length; n < namesLen; ++n) {
+      var path = nodePath.join(dirPath, names[n])
+      if (exports.pathExistsSync(path)) {
+        return path
+      }
+    }
+
+    var parentPath = nodePath.dirname(dirPath)
+    if (parentPath === dirPath) {
+      return
+    }
+
+    dirPath = parentPath
+  }
+}
+
+/**
+ * The asynchronous version of `dantil.findUpSync()`, which accepts the same options.
+ *
+ * @static
+ * @memberOf dantil
+ * @category File System
+ * @param {string|string[]} names The name (or names) for which to search.
+ * @param {Object} [options] The options object.
+ * @param {string} [options.cwd=process.cwd()] The directory at which to start searching.
+ * @returns {Promise} Returns a `Promise` for the absolute path of the first match, else `undefined` if not found.
+ * @example
+ *
+ * dantil.findUp('package.json').then(function (packagePath) {
+ *   // => '/Users/Danny/dantil/package.json'
+ * })
+ */
+exports.findUp = function (names, options) {
+  if (exports.illFormedOpts(_findUpSchema, options)) {
+    return Promise.reject(new Error('Ill-formed options'))
+  }
+
+  if (!Array.isArray(names)) {
+    names = [ names ]
+  }
+
+  function findInDir(dirPath) {
+    return Promise.all(names.map(function (name) {
+      return exports.pathExists(nodePath.join(dirPath, name))
+    })).then(function (results) {
+      var index = results.indexOf(true)
+      if (index !== -1) {
+        return nodePath.join(dirPath, names[index])
+      }
+
+      var parentPath = nodePath.dirname(dirPath)
+      if (parentPath !== dirPath) {
+        return findInDir(parentPath)
+      }
+    })
+  }
+
+  return findInDir(nodePath.resolve(exports.expandHomeDir(options && options.cwd || '.')))
+}
+
+/**
+ * The schema for the options object of `dantil.findUpSync()` and `dantil.findUp()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _findUpSchema = {
+  cwd: String,
+}
+
+/**
+ * Creates a logger with the same methods as the `dantil` Console category (e.g., `log()`, `logError()`, `logWarningAndPath()`), which write to `options.stream` instead of `stdout` and `stderr`, and print only the messages at or above `options.level`.
+ *
+ * The levels, from least to most verbose, are `'silent'`, `'error'`, `'warn'`, `'info'`, and `'debug'`. `logError()`, `logErrorAndPath()`, and `logErrorWithNewLine()` print at `'error'`, `logWarning()` and `logWarningAndPath()` at `'warn'`, and all other methods at `'info'`. The default level is the value of the environment variable `DANTIL_LOG_LEVEL`, if set, else `'debug'` if `DANTIL_DEBUG` is set (see `dantil.debug()`), else `'info'`. The `dantil` methods themselves use the default level, which enables silencing `dantil` (e.g., when used within a library) by setting `DANTIL_LOG_LEVEL=silent`.
+ *
+ * **JSON output:** If `options.json` is truthy (or `DANTIL_LOG_FORMAT=json` for the `dantil` methods), each method invocation that prints output prints a single line of JSON instead of formatted text (and invocations that print nothing or only blank lines, such as `logLineIf(false)`, `groupEnd()`, and `log()` without arguments, print no JSON), ignoring `options.colors` and `options.prefix`. Each object has the properties `time` (ISO 8601), `level`, `label` (e.g., `'Error'`, if any), `location` (the location the method prints, e.g., for `logErrorAndPath()`, else the invocation location), `message` (the text without color), and `args` (the arguments, serialized safely: functions, symbols, `Error`s, circular references, and other values JSON can not represent become descriptive strings or objects). This is useful for collecting the output of batch jobs in CI.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {Object} [options] The options object.
+ * @param {Object} [options.stream] The writable stream to which to print. If not provided, prints to `stdout` (and `stderr` for `logStderr()`).
+ * @param {string} [options.level] The least severe level to print. If not provided, uses the environment variable `DANTIL_LOG_LEVEL` when printing.
+ * @param {boolean} [options.colors=true] Specify `false` to remove ANSI escape codes for color and formatting from the output.
+ * @param {string} [options.prefix] The string with which to prefix each line of output.
+ * @param {boolean} [options.json] Specify printing each message as a JSON object on a single line (NDJSON) instead of formatted text. If not provided, prints JSON if the environment variable `DANTIL_LOG_FORMAT` is `'json'`. See "JSON output" above.
+ * @returns {Object} Returns the logger.
+ * @example
+ *
+ * var logger = dantil.createLogger({
+ *   stream: fs.createWriteStream('build.log'),
+ *   level: 'warn',
+ *   colors: false,
+ *   prefix: '[build] ',
+ * })
+ *
+ * logger.log('Compiling grammar')
+ * // => Prints nothing, because `'info'` is below `'warn'`
+ *
+ * logger.logWarning('Unused rule:', 'nounPhrase')
+ * // => Writes "[build] Warning: Unused rule: nounPhrase" to build.log
+ *
+ * var ciLogger = dantil.createLogger({ json: true })
+ *
+ * ciLogger.logErrorAndPath('Rule text is not a string:', 9)
+ * // => Prints: {"time":"2016-05-01T21:04:17.012Z","level":"error","label":"Error","location":"/Users/Danny/grammar.js:12:9","message":"Rule text is not a string: 9","args":["Rule text is not a string:",9]}
+ */
+exports.createLogger = function (options) {
+  if (exports.illFormedOpts(_createLoggerSchema, options)) {
+    throw new Error('Ill-formed options')
+  } else if (!options) {
+    options = {}
+  }
+
+  var loggerConfig = {
+    stream: options.stream,
+    level: options.level,
+    colors: options.colors,
+    prefix: options.prefix,
+    json: options.json,
+  }
+
+  var logger = {}
+
+  Object.keys(_consoleMethods).forEach(function (methodName) {
+    var method = _consoleMethods[methodName]
+
+    logger[methodName] = function () {
+      return invokeConsoleMethod(loggerConfig, method.level, method.func, arguments)
+    }
+  })
+
+  return logger
+}
+
+/**
+ * The log levels of `dantil.createLogger()`, mapped to their verbosity.
+ *
+ * @private
+ * @type {Object}
+ */
+var _logLevels = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4,
+}
+
+/**
+ * The schema for the options object of `dantil.createLogger()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _createLoggerSchema = {
+  stream: Object,
+  level: { values: Object.keys(_logLevels) },
+  colors: Boolean,
+  prefix: String,
+  json: Boolean,
+}
+
+/**
+ * The configuration of the default logger, which the `dantil` Console methods use: prints to `stdout` and `stderr` at the level of `DANTIL_LOG_LEVEL`, in the format of `DANTIL_LOG_FORMAT`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _defaultLogger = {}
+
+/**
+ * The Console methods that `dantil.createLogger()` binds to each logger, keyed by method name, defined with `consoleMethod()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _consoleMethods = {}
+
+/**
+ * The logger configuration and level of the outermost Console method currently executing, if any. Nested Console method invocations (e.g., `dantil.logError()` invoking `dantil.log()`) write with the same logger and level as the outermost invocation.
+ *
+ * @private
+ * @type {Object|undefined}
+ */
+var _activeLogCall
+
+/**
+ * Defines the Console method `methodName`, which prints at `level` with the default logger, and which `dantil.createLogger()` binds to each logger it creates.
+ *
+ * @private
+ * @static
+ * @param {string} methodName The name of the method.
+ * @param {string} level The level at which the method prints.
+ * @param {Function} func The method's implementation.
+ * @returns {Function} Returns the method for the default logger.
+ */
+function consoleMethod(methodName, level, func) {
+  _consoleMethods[methodName] = {
+    level: level,
+    func: func,
+  }
+
+  return function () {
+    return invokeConsoleMethod(_defaultLogger, level, func, arguments)
+  }
+}
+
+/**
+ * Invokes the Console method implementation `func` with `args`, printing with `loggerConfig` at `level`, unless within another Console method invocation, in which case prints with the outer invocation's logger and level.
+ *
+ * @private
+ * @static
+ * @param {Object} loggerConfig The logger configuration.
+ * @param {string} level The level at which to print.
+ * @param {Function} func The function to invoke.
+ * @param {Array|Arguments} [args] The arguments to pass to `func`.
+ * @returns {*} Returns the value `func` returns.
+ */
+function invokeConsoleMethod(loggerConfig, level, func, args) {
+  if (_activeLogCall) {
+    return func.apply(null, args)
+  }
+
+  var logCall = _activeLogCall = {
+    logger: loggerConfig,
+    level: level,
+    json: isJSONLogger(loggerConfig),
+    output: [],
+  }
+
+  try {
+    var value = func.apply(null, args)
+  } finally {
+    _activeLogCall = undefined
+  }
+
+  // Print the output of the invocation, if any (e.g., not for `dantil.logLineIf(false)` or `dantil.groupEnd()`), as a single JSON object.
+  if (logCall.json && logCall.output.length > 0) {
+    writeLogRecord(logCall, args)
+  }
+
+  return value
+}
+
+/**
+ * Adds the properties of `annotation` (e.g., `label`, `location`, and `values`) to the Console method invocation currently executing for `writeLogRecord()`, excluding properties another method within the same invocation has already added.
+ *
+ * @private
+ * @static
+ * @param {Object} annotation The properties to add.
+ */
+function annotateLogCall(annotation) {
+  if (_activeLogCall) {
+    Object.keys(annotation).forEach(function (key) {
+      if (_activeLogCall[key] === undefined) {
+        _activeLogCall[key] = annotation[key]
+      }
+    })
+  }
+}
+
+/**
+ * Prints the output of the Console method invocation `logCall` as a single line of JSON, for loggers in JSON mode.
+ *
+ * @private
+ * @static
+ * @param {Object} logCall The completed Console method invocation.
+ * @param {Array|Arguments} [args] The arguments passed to the method.
+ */
+function writeLogRecord(logCall, args) {
+  var values = logCall.values || Array.from(args || [])
+
+  // Use `logCall.values`, if annotated, to exclude the label and location from the message.
+  var message = logCall.values ? prettify(values) : logCall.output.join('\n')
+
+  var record = {
+    time: new Date().toISOString(),
+    level: logCall.level,
+    label: logCall.label,
+    location: logCall.location || exports.getLocation(),
+    message: exports.colors.stripColor(message).trim(),
+    args: values.map(function (value) {
+      return toLogJSON(value, [])
+    }),
+  }
+
+  writeAboveProgress(logCall.logger.stream || process[logCall.streamName || 'stdout'], JSON.stringify(record) + '\n')
+}
+
+/**
+ * Converts `value` to a JSON-compatible value for `writeLogRecord()`, representing values JSON can not represent (e.g., functions, `Error`s, and circular references) as descriptive strings or objects.
+ *
+ * @private
+ * @static
+ * @param {*} value The value to convert.
+ * @param {Object[]} ancestors The objects containing `value`, for detecting circular references.
+ * @returns {*} Returns the JSON-compatible value.
+ */
+function toLogJSON(value, ancestors) {
+  var type = typeof value
+
+  if (value === undefined) return 'undefined'
+  if (type === 'number') return isFinite(value) ? value : String(value)
+  if (type === 'bigint') return value + 'n'
+  if (type === 'symbol') return value.toString()
+  if (type === 'function') return '[Function' + (value.name ? ': ' + value.name : '') + ']'
+  if (value === null || type !== 'object') return value
+
+  if (ancestors.indexOf(value) !== -1) {
+    return '[Circular]'
+  }
+
+  ancestors = ancestors.concat([ value ])
+
+  if (value instanceof Error) {
+    var error = {
+      name: value.name,
+      message: value.message,
+      stack: value.stack,
+    }
+
+    Object.keys(value).forEach(function (key) {
+      error[key] = toLogJSON(value[key], ancestors)
+    })
+
+    return error
+  }
+
+  if (value instanceof Date) return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()
+  if (value instanceof RegExp) return String(value)
+
+  if (value instanceof Map || value instanceof Set || Array.isArray(value)) {
+    return Array.from(value).map(function (element) {
+      return toLogJSON(element, ancestors)
+    })
+  }
+
+  // Convert objects with custom JSON representations (e.g., `Buffer`) as `JSON.stringify()` does.
+  if (typeof value.toJSON === 'function') {
+    return toLogJSON(value.toJSON(), ancestors)
+  }
+
+  var object = {}
+  Object.keys(value).forEach(function (key) {
+    object[key] = toLogJSON(value[key], ancestors)
+  })
+
+  return object
+}
+
+/**
+ * Checks if the logger configuration `loggerConfig` prints JSON, defaulting to whether the environment variable `DANTIL_LOG_FORMAT` is `'json'`.
+ *
+ * @private
+ * @static
+ * @param {Object} loggerConfig The logger configuration.
+ * @returns {boolean} Returns `true` if `loggerConfig` prints JSON, else `false`.
+ */
+function isJSONLogger(loggerConfig) {
+  if (loggerConfig.json !== undefined) {
+    return loggerConfig.json
+  }
+
+  return process.env.DANTIL_LOG_FORMAT === 'json'
+}
+
+/**
+ * Checks if the logger of the Console method invocation `logCall` prints messages at the invocation's level.
+ *
+ * @private
+ * @static
+ * @param {Object} logCall The Console method invocation.
+ * @returns {boolean} Returns `true` if the level is enabled, else `false`.
+ */
+function isLogLevelEnabled(logCall) {
+  return _logLevels[logCall.level] <= _logLevels[getLogLevel(logCall.logger)]
+}
+
+/**
+ * Gets the level of the logger configuration `loggerConfig`, defaulting to the environment variable `DANTIL_LOG_LEVEL`, else `'debug'` if the environment variable `DANTIL_DEBUG` is set, else `'info'`.
+ *
+ * @private
+ * @static
+ * @param {Object} loggerConfig The logger configuration.
+ * @returns {string} Returns the level.
+ */
+function getLogLevel(loggerConfig) {
+  if (loggerConfig.level) {
+    return loggerConfig.level
+  }
+
+  var envLevel = process.env.DANTIL_LOG_LEVEL
+  if (_logLevels.hasOwnProperty(envLevel)) {
+    return envLevel
+  }
+
+  // Print `dantil.debug()` messages if enabled with `DANTIL_DEBUG`.
+  return process.env.DANTIL_DEBUG ? 'debug' : 'info'
+}
+
+/**
+ * Creates a function that prints the provided values like `dantil.log()`, prefixed with `namespace` and followed by the time elapsed since the last message in `namespace`, but only if the environment variable `DANTIL_DEBUG` enables `namespace`. This is useful for tracing a subsystem without adding and removing log statements.
+ *
+ * `DANTIL_DEBUG` is a list of namespace patterns, separated by commas or spaces, where `*` matches any characters and a leading `-` excludes the matching namespaces (e.g., `DANTIL_DEBUG=parser:*,-parser:lexer`). Prints at the `'debug'` level (see `dantil.createLogger()`), which is the default level when `DANTIL_DEBUG` is set and `DANTIL_LOG_LEVEL` is not.
+ *
+ * The returned function has the properties `namespace` and `enabled`, which indicates whether `DANTIL_DEBUG` currently enables `namespace`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {string} namespace The namespace of the messages (e.g., `'parser:lexer'`).
+ * @returns {Function} Returns the function that prints messages in `namespace`, which returns its first argument.
+ * @example
+ *
+ * ```
+ * The contents of `parser.js`:
+ * ```js
+ * var debug = dantil.debug('parser:reduce')
+ *
+ * debug('Reducing', rule.lhs, rule.rhs)
+ * // => Prints: parser:reduce Reducing nounPhrase [ 'det', 'noun' ] +0ms
+ *
+ * debug('Reduced', count, 'rules')
+ * // => Prints: parser:reduce Reduced 12 rules +31ms
+ * ```
+ * Run with:
+ * ```
+ * DANTIL_DEBUG=parser:*,-parser:lexer node parser.js
+ */
+exports.debug = function (namespace) {
+  var color = _debugColors[hashString(namespace) % _debugColors.length]
+
+  var debug = function () {
+    if (!isDebugNamespaceEnabled(namespace)) {
+      return arguments[0]
+    }
+
+    var values = Array.from(arguments)
+
+    // Get the time elapsed since the last message in `namespace`, including messages from other functions for the same namespace.
+    var now = Date.now()
+    var elapsed = now - (_debugTimes[namespace] || now)
+    _debugTimes[namespace] = now
+
+    return invokeConsoleMethod(_defaultLogger, 'debug', function () {
+      annotateLogCall({ label: namespace, values: values.slice() })
+
+      var prefix = exports.colors.bold[color](namespace)
+      var suffix = exports.colors[color]('+' + (elapsed < 1000 ? elapsed + 'ms' : (elapsed / 1000).toFixed(1) + 's'))
+      exports.log.apply(null, [ prefix ].concat(values, suffix))
+
+      return values[0]
+    })
+  }
+
+  debug.namespace = namespace
+
+  Object.defineProperty(debug, 'enabled', {
+    get: function () {
+      return isDebugNamespaceEnabled(namespace)
+    },
+  })
+
+  return debug
+}
+
+/**
+ * The colors with which `dantil.debug()` stylizes namespaces, chosen for each namespace by its hash.
+ *
+ * @private
+ * @type {string[]}
+ */
+var _debugColors = [ 'cyan', 'green', 'yellow', 'blue', 'magenta', 'red' ]
+
+/**
+ * The times (in milliseconds) at which `dantil.debug()` last printed a message in each namespace, keyed by namespace.
+ *
+ * @private
+ * @type {Object}
+ */
+var _debugTimes = {}
+
+/**
+ * The patterns parsed from the environment variable `DANTIL_DEBUG`, cached until the variable changes.
+ *
+ * @private
+ * @type {Object}
+ */
+var _debugPatterns = {
+  env: '',
+  include: [],
+  exclude: [],
+}
+
+/**
+ * Checks if the environment variable `DANTIL_DEBUG` enables `namespace` for `dantil.debug()`.
+ *
+ * @private
+ * @static
+ * @param {string} namespace The namespace to check.
+ * @returns {boolean} Returns `true` if `namespace` is enabled, else `false`.
+ */
+function isDebugNamespaceEnabled(namespace) {
+  var env = process.env.DANTIL_DEBUG || ''
+
+  // Parse `DANTIL_DEBUG` if changed since last checked.
+  if (env !== _debugPatterns.env) {
+    _debugPatterns = {
+      env: env,
+      include: [],
+      exclude: [],
+    }
+
+    env.split(/[\s,]+/).forEach(function (pattern) {
+      if (!pattern) return
+
+      var isExclusion = pattern[0] === '-'
+      if (isExclusion) {
+        pattern = pattern.slice(1)
+      }
+
+      var rePattern = RegExp('^' + pattern.replace(/[\\^$.+?()[\]{}|\/]/g, '\\$&').replace(/\*/g, '.*') + '$')
+      _debugPatterns[isExclusion ? 'exclude' : 'include'].push(rePattern)
+    })
+  }
+
+  function matchesNamespace(rePattern) {
+    return rePattern.test(namespace)
+  }
+
+  return _debugPatterns.include.some(matchesNamespace) && !_debugPatterns.exclude.some(matchesNamespace)
+}
+
+/**
+ * Generates a non-negative integer hash of `string`.
+ *
+ * @private
+ * @static
+ * @param {string} string The string to hash.
+ * @returns {number} Returns the hash.
+ */
+function hashString(string) {
+  var hash = 0
+
+  for (var i = 0, stringLen = string.length; i < stringLen; ++i) {
+    hash = (hash * 31 + string.charCodeAt(i)) | 0
+  }
+
+  return Math.abs(hash)
+}
+
+/**
+ * Pretty-prints the provided values and objects to `stdout`, in color, recursing 2 times while formatting objects (which is the behavior of `console.log()`).
+ *
+ * Formats plain `Object`s and `Array`s with multi-line string representations on separate lines. Concatenates and formats all other consecutive values on the same line.
+ *
+ * If the first argument is of a complex type (e.g., `Object`, `Array`), left-aligns all remaining lines. Otherwise, equally indents each line after the first line, if any. If the first argument has leading whitespace (or is entirely whitespace), prepends all remaining arguments with the same whitespace (as indentation) excluding newline characters.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values and objects to print.
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * dantil.log({
+ *   name: 'Danny',
+ *   value: 3,
+ *   terms: [ 'confident', 'farseeing', 'capable', 'prudent' ],
+ *   exitFunc: process.exit,
+ *   deepObject: {
+ *     nestedArray: [ [ 1 ] ],
+ *     nestedObject: { obj: { str: 'string', num: 2, bool: true, arr: [ 1, 2, 3, 4, 5, 6, 7 ] } }
+ *   }
+ * })
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-log-example.jpg" alt="dantil.log() example output"/>
+ * ```
+ */
+exports.log = consoleMethod('log', 'info', function () {
+  writeToProcessStream('stdout', prettify(arguments))
+  return arguments[0]
+})
+
+/**
+ * A version of `dantil.log()` that recurses indefinitely while formatting objects. This is useful for inspecting large, complicated objects.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values and objects to print.
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * dantil.dir({
+ *   name: 'Danny',
+ *   value: 3,
+ *   terms: [ 'confident', 'farseeing', 'capable', 'prudent' ],
+ *   exitFunc: process.exit,
+ *   deepObject: {
+ *     nestedArray: [ [ 1 ] ],
+ *     nestedObject: { obj: { str: 'string', num: 2, bool: true, arr: [ 1, 2, 3, 4, 5, 6, 7 ] } }
+ *   }
+ * })
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-dir-example.jpg" alt="dantil.dir() example output"/>
+ * ```
+ */
+exports.dir = consoleMethod('dir', 'info', function () {
+  // Recurse indefinitely while formatting objects.
+  writeToProcessStream('stdout', prettify(arguments, { depth: null }))
+  return arguments[0]
+})
+
+/**
+ * Prints `object` like `dantil.log()` but recurses `depth` times while formatting. This is useful for inspecting large, complicated objects.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {Object} object The object to print.
+ * @param {number} depth The number of times to recurse while formatting `object`.
+ * @returns {Object} Returns `object`.
+ * @example
+ *
+ * var obj = {
+ *   name: 'Danny',
+ *   nestedObj: { array: [ { isGood: false } ] }
+ * }
+ *
+ * dantil.logObjectAtDepth(obj, 1)
+ * dantil.logObjectAtDepth(obj, 2)
+ * dantil.logObjectAtDepth(obj, 3)
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logObjectAtDepth-example.jpg" alt="dantil.logObjectAtDepth() example output"/>
+ * ```
+ */
+exports.logObjectAtDepth = consoleMethod('logObjectAtDepth', 'info', function (object, depth) {
+  writeToProcessStream('stdout', prettify([ object ], { depth: depth }))
+  return object
+})
+
+/**
+ * Prints the provided values like `dantil.log()`, preceded by this method's invocation location.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values and objects to print.
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * dantil.logWithLine({
+ *   name: 'Danny',
+ *   value: 3,
+ *   terms: [ 'confident', 'farseeing', 'capable', 'prudent' ],
+ *   exitFunc: process.exit,
+ *   deepObject: {
+ *     nestedArray: [ [ 1 ] ],
+ *     nestedObject: { obj: { str: 'string', num: 2, bool: true, arr: [ 1, 2, 3, 4, 5, 6, 7 ] } }
+ *   }
+ * })
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logWithLine-example.jpg" alt="dantil.logWithLine() example output"/>
+ * ```
+ */
+exports.logWithLine = consoleMethod('logWithLine', 'info', function () {
+  exports.log(exports.colors.grey(formatLocation(exports.getLocation())))
+  return exports.log.apply(null, arguments)
+})
+
+/**
+ * Prints the provided values like `dantil.dir()`, preceded by this method's invocation location.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values and objects to print.
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * dantil.dirWithLine({
+ *   name: 'Danny',
+ *   value: 3,
+ *   terms: [ 'confident', 'farseeing', 'capable', 'prudent' ],
+ *   exitFunc: process.exit,
  *   deepObject: {
  *     nestedArray: [ [ 1 ] ],
  *     nestedObject: { obj: { str: 'string', num: 2, bool: true, arr: [ 1, 2, 3, 4, 5, 6, 7 ] } }
  *   }
  * })
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-log-example.jpg" alt="dantil.log() example output"/>
- * ```
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-dirWithLine-example.jpg" alt="dantil.dirWithLine() example output"/>
+ * ```
+ */
+exports.dirWithLine = consoleMethod('dirWithLine', 'info', function () {
+  exports.log(exports.colors.grey(formatLocation(exports.getLocation())))
+  return exports.dir.apply(null, arguments)
+})
+
+/**
+ * A version of `dantil.log()` that prints to `stderr`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values and objects to print.
+ * @returns {*} Returns the first argument.
+ */
+exports.logStderr = consoleMethod('logStderr', 'info', function () {
+  writeToProcessStream('stderr', prettify(arguments))
+  return arguments[0]
+})
+
+/**
+ * Writes `string` with a trailing newline to `processStreamName`.
+ *
+ * @private
+ * @static
+ * @param {string} processStreamName The name of the writable process stream (e.g., `stout`, `stderr`).
+ * @param {string} string The string to print.
+ */
+function writeToProcessStream(processStreamName, string) {
+  var writableStream = process[processStreamName]
+  if (!writableStream) {
+    throw new Error('Unrecognized process stream: ' + exports.stylize(processStreamName))
+  }
+
+  // Write with the logger and level of the Console method currently executing, if any.
+  var logCall = _activeLogCall || { logger: _defaultLogger, level: 'info' }
+  var loggerConfig = logCall.logger
+
+  if (!isLogLevelEnabled(logCall)) {
+    return
+  }
+
+  // Collect the output for `invokeConsoleMethod()` to print as JSON, excluding blank lines (e.g., from `dantil.log()` without arguments).
+  if (logCall.json) {
+    if (/\S/.test(string)) {
+      logCall.output.push(string)
+      logCall.streamName = logCall.streamName || processStreamName
+    }
+
+    return
+  }
+
+  var groups = getLogGroups(loggerConfig)
+  if (groups.length > 0) {
+    // Count the lines within the outermost collapsed group, if any, instead of printing them.
+    var collapsedGroup = groups.find(function (group) {
+      return group.collapsed
+    })
+
+    if (collapsedGroup) {
+      collapsedGroup.lineCount += string.split('\n').length
+      return
+    }
+
+    // Indent each non-empty line by two spaces for each open group.
+    string = string.replace(/^(?!$)/gm, new Array(groups.length + 1).join('  '))
+  }
+
+  if (loggerConfig.colors === false) {
+    string = exports.colors.stripColor(string)
+  }
+
+  if (loggerConfig.prefix) {
+    string = loggerConfig.prefix + string.replace(/\n/g, '\n' + loggerConfig.prefix)
+  }
+
+  writeAboveProgress(loggerConfig.stream || writableStream, string + '\n')
+}
+
+/**
+ * Increases the indentation of all subsequent output (from `dantil.log()`, `dantil.dir()`, `dantil.logError()`, etc.) by two spaces until `dantil.groupEnd()` closes the group. If provided, prints `values` like `dantil.log()` before indenting. Groups can be nested.
+ *
+ * This is useful for printing readable output from recursive algorithms.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values and objects to print as the group's label.
+ * @example
+ *
+ * dantil.group('Parsing "red apples"')
+ * dantil.log('Reduced', 'adjective')
+ * dantil.group('Expanding nounPhrase')
+ * dantil.logWarning('Ambiguous rule')
+ * dantil.groupEnd()
+ * dantil.log({ cost: 1.5 })
+ * dantil.groupEnd()
+ * // => Prints:
+ * // Parsing "red apples"
+ * //   Reduced adjective
+ * //   Expanding nounPhrase
+ * //     Warning: Ambiguous rule
+ * //   { cost: 1.5 }
+ */
+exports.group = consoleMethod('group', 'info', function () {
+  if (arguments.length > 0) {
+    exports.log.apply(null, arguments)
+  }
+
+  getLogGroups().push({ collapsed: false })
+})
+
+/**
+ * A version of `dantil.group()` that prints none of the output within the group. Instead, when `dantil.groupEnd()` closes the group, prints `values` followed by the number of lines of output within the group.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values and objects to print as the group's label.
+ * @example
+ *
+ * dantil.group('Parsing "red apples"')
+ * dantil.groupCollapsed('Expanding nounPhrase')
+ * expandNounPhrase() // Prints 212 lines.
+ * dantil.groupEnd()
+ * dantil.groupEnd()
+ * // => Prints:
+ * // Parsing "red apples"
+ * //   Expanding nounPhrase [212 lines]
+ */
+exports.groupCollapsed = consoleMethod('groupCollapsed', 'info', function () {
+  getLogGroups().push({
+    collapsed: true,
+    label: Array.from(arguments),
+    lineCount: 0,
+  })
+})
+
+/**
+ * Closes the innermost group that `dantil.group()` or `dantil.groupCollapsed()` opened, decreasing the indentation of subsequent output. If the group is collapsed, prints its label and number of lines. Does nothing if there is no open group.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @example
+ *
+ * dantil.group('Rules')
+ * dantil.log('nounPhrase')
+ * dantil.groupEnd()
+ * dantil.log('Done')
+ * // => Prints:
+ * // Rules
+ * //   nounPhrase
+ * // Done
+ */
+exports.groupEnd = consoleMethod('groupEnd', 'info', function () {
+  var group = getLogGroups().pop()
+
+  if (group && group.collapsed) {
+    var lineCountString = exports.colors.grey('[' + group.lineCount + (group.lineCount === 1 ? ' line]' : ' lines]'))
+    exports.log.apply(null, group.label.concat(lineCountString))
+  }
+})
+
+/**
+ * Gets the stack of open groups of the logger of the Console method currently executing, which `dantil.group()` and `dantil.groupCollapsed()` open.
+ *
+ * @private
+ * @static
+ * @param {Object} [loggerConfig] The logger configuration. If not provided, uses the logger of the Console method currently executing, else the default logger.
+ * @returns {Object[]} Returns the stack of groups, ordered from outermost to innermost.
+ */
+function getLogGroups(loggerConfig) {
+  if (!loggerConfig) {
+    loggerConfig = _activeLogCall ? _activeLogCall.logger : _defaultLogger
+  }
+
+  return loggerConfig.groups || (loggerConfig.groups = [])
+}
+
+/**
+ * Formats the provided values and objects in color for pretty-printing, recursing `options.depth` times while formatting objects.
+ *
+ * Formats plain `Object` and `Array` instances with multi-line string representations on separate lines. Concatenates and formats all other consecutive values on the same line.
+ *
+ * If the first argument is of a complex type (e.g., `Object`, `Array`), left-aligns all remaining lines. Otherwise, equally indents each line after the first line, if any. If the first argument has leading whitespace (or is entirely whitespace), prepends all remaining arguments with the same whitespace (as indentation) excluding newline characters.
+ *
+ * @private
+ * @static
+ * @param {Array} args The values and objects to format.
+ * @param {Object} [options] The options object.
+ * @param {number} [options.depth=2] The number of times to recurse while formating `args`. Pass `null` to recurse indefinitely.
+ * @param {number} [options.stylizeStings=false] Specify stylizing strings in `args`. This does not apply to `Object` properties.
+ * @returns {string} Returns the formatted string.
+ */
+function prettify(args, options) {
+  if (!options) {
+    options = {}
+  }
+
+  var stylizeOptions = {
+    // Number of times to recurse while formatting; defaults to 2.
+    depth: options.depth,
+    // Format in color if the terminal supports color.
+    colors: exports.colors.supportsColor,
+  }
+
+  // Use `RegExp()` to get correct `reMultiLined.source`.
+  var reMultiLined = RegExp('\n', 'g')
+  var reWhitespaceOnly = /^\s+$/
+  var indent = '  '
+  var prevArgIsSeperateLine = false
+
+  var argsArray = Array.prototype.slice.call(args)
+
+  // Remove any leading newline characters in the first argument, and prepend them to the remainder of the formatted arguments instead of including the characters in the indentation of each argument (as occurs with other whitespace characters in the first argument).
+  var firstArg = argsArray[0]
+  var leadingNewlines = ''
+  if (/^\n+/.test(firstArg)) {
+    var lastNewlineIdx = firstArg.lastIndexOf('\n')
+    if (lastNewlineIdx === firstArg.length - 1) {
+      argsArray.shift()
+    } else {
+      argsArray[0] = firstArg.slice(lastNewlineIdx + 1)
+      firstArg = firstArg.slice(0, lastNewlineIdx + 1)
+    }
+
+    leadingNewlines = firstArg
+  }
+
+  return leadingNewlines + argsArray.reduce(function (formattedArgs, arg, i, args) {
+    var argIsString = typeof arg === 'string'
+
+    // Parse numbers passed as string for styling.
+    if (argIsString && /^\S+$/.test(arg) && !isNaN(arg)) {
+      arg = parseFloat(arg)
+      argIsString = false
+    }
+
+    // Do not stylize strings passed as arguments (i.e., not `Object` properties). This also preserves any already-stylized arguments.
+    var formattedArg = !options.stylizeStings && argIsString ? arg : exports.stylize(arg, stylizeOptions)
+
+    if (i === 0) {
+      // Extend indent for remaining arguments with the first argument's leading whitespace, if any.
+      if (argIsString) {
+        // Get the substring of leading whitespace characters from the start of the string, up to the first non-whitespace character, if any.
+        var firstNonWhitespaceIndex = arg.search(/[^\s]/)
+        arg = arg.slice(0, firstNonWhitespaceIndex === -1 ? arg.length : firstNonWhitespaceIndex)
+
+        // JavaScript will not properly indent if '\t' is appended to spaces (i.e., reverse order as here).
+        // If the first argument is entirely whitespace, indent all remaining arguments with that whitespace.
+        indent = reWhitespaceOnly.test(formattedArg) ? arg : arg + indent
+
+        // If first argument is entirely whitespace, exclude from output because it serves only to set indentation of all remaining arguments.
+        if (reWhitespaceOnly.test(formattedArg)) {
+          // Force the next argument to be pushed to `formattedArgs` to avoid concatenating with `undefined` (because `formattedArgs` remains empty).
+          prevArgIsSeperateLine = true
+        } else {
+          formattedArgs.push(formattedArg)
+        }
+      } else {
+        formattedArgs.push(formattedArg)
+
+        if (arg instanceof Object) {
+          // Do not indent remaining arguments if the first argument is of a complex type.
+          indent = ''
+
+          // Format the complex type on a separate line.
+          prevArgIsSeperateLine = true
+        }
+      }
+    } else if (arg instanceof Object && (!Array.isArray(arg) || reMultiLined.test(formattedArg) || args[0] instanceof Object)) {
+      // Format plain `Object`s, `Array`s with multi-line string representations, and `Array`s when the first argument is of a complex type on separate lines.
+      formattedArgs.push(indent + formattedArg.replace(reMultiLined, reMultiLined.source + indent))
+      prevArgIsSeperateLine = true
+    } else if (prevArgIsSeperateLine) {
+      // Format anything that follows a multi-line string representations on a new line.
+      formattedArgs.push(indent + formattedArg)
+      prevArgIsSeperateLine = false
+    } else {
+      // Concatenate all consecutive primitive data types.
+      formattedArgs[formattedArgs.length - 1] += ' ' + formattedArg
+    }
+
+    return formattedArgs
+  }, []).join('\n')
+}
+
+/**
+ * Formats `value` in color for pretty-printing, recursing `options.depth` times while formatting.
+ *
+ * This method is similar to Node's `util.inspect()`, but formats in color by default if the terminal supports color, and formats values with the formatters of `dantil.registerFormatter()`.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {*} value The object or value to stylize.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.colors=true] Specify coloring the string for pretty-printing.
+ * @param {number} [options.depth=2] The number of times to recurse while formating `value` if of a complex type. Pass `null` to recurse indefinitely.
+ * @returns {string} Returns a stylized string representation of `value`.
+ */
+exports.stylize = function (value, options) {
+  if (!options) {
+    options = {}
+  }
+
+  // Print in color if the terminal supports color.
+  if (options.colors !== false) {
+    options.colors = exports.colors.supportsColor
+  }
+
+  // Apply the formatters of `dantil.registerFormatter()`.
+  if (_formatters.length > 0) {
+    value = substituteFormatted(value, options.depth === null ? Infinity : options.depth === undefined ? 2 : options.depth)
+  }
+
+  return util.inspect(value, options)
+}
+
+/**
+ * Registers `format` to format values of `type` wherever this module pretty-prints values: `dantil.stylize()`, `dantil.log()`, `dantil.dir()`, `dantil.logObjectAtDepth()`, and the other methods that print with them, as well as `dantil.diffObjects()`. This is useful for printing instances of domain classes (e.g., parse nodes) compactly instead of as every property.
+ *
+ * If `type` is a function, it is a class (or constructor), and `format` applies to its instances. To format the values for which a predicate returns truthy instead, pass `type` as `{ predicate: predicate }`. (`{ class: type }` is equivalent to `type`.)
+ *
+ * `format` is invoked with one argument: (value). If `format` returns a string, prints the string as is in place of the value. Otherwise, prints the object `format` returns in place of the value, formatting values within it with the registered formatters. Applies formatters to values within plain objects and arrays, and checks the most recently registered formatters first.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {Function|Object} type The class of the values to format, or an object with either the property `class` or the property `predicate`.
+ * @param {Function} format The function invoked per value to format that returns a string or a substitute object to print.
+ * @returns {Function} Returns the function that unregisters `format`.
+ * @example
+ *
+ * function GrammarSymbol(name, rules) {
+ *   this.name = name
+ *   this.rules = rules
+ * }
+ *
+ * GrammarSymbol.prototype.toString = function () {
+ *   return '[' + this.name + ']'
+ * }
+ *
+ * dantil.registerFormatter(GrammarSymbol, function (symbol) {
+ *   return dantil.colors.cyan(symbol.toString())
+ * })
+ *
+ * dantil.log({ start: new GrammarSymbol('start', []) })
+ * // => Prints: { start: [start] }
+ *
+ * // Print objects with a `semantic` property without the property.
+ * var unregister = dantil.registerFormatter({
+ *   predicate: function (value) {
+ *     return value instanceof Object && 'semantic' in value
+ *   },
+ * }, function (node) {
+ *   return { text: node.text, children: node.children }
+ * })
+ *
+ * // Stop formatting the objects.
+ * unregister()
+ */
+exports.registerFormatter = function (type, format) {
+  var typeObject = typeof type === 'function' ? { class: type } : Object(type)
+  var isClass = typeof typeObject.class === 'function' && typeObject.class.prototype instanceof Object
+  var isPredicate = typeof typeObject.predicate === 'function'
+
+  // Require either a class, which must have a `prototype` for `instanceof` (unlike arrow functions), or a predicate, but not both.
+  if ((isClass ? typeObject.predicate !== undefined : !isPredicate || typeObject.class !== undefined) || typeof format !== 'function') {
+    exports.logError('Formatter type must be a class or an object with either `class` or `predicate`, and format must be a function:', exports.stylize(type), exports.stylize(format))
+    throw new Error('Ill-formed formatter')
+  }
+
+  var formatter = {
+    class: typeObject.class,
+    predicate: typeObject.predicate,
+    format: format,
+  }
+
+  _formatters.push(formatter)
+
+  return function () {
+    var index = _formatters.indexOf(formatter)
+    if (index !== -1) {
+      _formatters.splice(index, 1)
+    }
+  }
+}
+
+/**
+ * The formatters `dantil.registerFormatter()` registered, in order of registration.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var _formatters = []
+
+/**
+ * Gets the most recently registered formatter of `dantil.registerFormatter()` that applies to `value`.
+ *
+ * @private
+ * @static
+ * @param {*} value The value to check.
+ * @returns {Function|undefined} Returns the formatter's function, if any, else `undefined`.
+ */
+function getFormatter(value) {
+  for (var f = _formatters.length - 1; f >= 0; --f) {
+    var formatter = _formatters[f]
+
+    // Invoke the predicate without the formatter as `this`.
+    if (formatter.class ? value instanceof formatter.class : formatter.predicate.call(undefined, value)) {
+      return formatter.format
+    }
+  }
+}
+
+/**
+ * Replaces `value` and the values within it with the results of the formatters of `dantil.registerFormatter()`, for `dantil.stylize()`. Replaces strings the formatters return with objects that `util.inspect()` prints as the strings as is. Copies plain objects and arrays instead of mutating them, and recurses `depth` times.
+ *
+ * @private
+ * @static
+ * @param {*} value The value to format.
+ * @param {number} depth The number of times to recurse into plain objects and arrays.
+ * @param {Map} [copies] The copies of the plain objects and arrays already recursed into, keyed by original, to preserve circular references.
+ * @returns {*} Returns `value`, or its substitute.
+ */
+function substituteFormatted(value, depth, copies) {
+  var format = getFormatter(value)
+  if (format) {
+    value = format(value)
+
+    if (typeof value === 'string') {
+      var formatted = {}
+      var string = value
+      formatted[util.inspect.custom] = function () {
+        return string
+      }
+
+      return formatted
+    }
+  }
+
+  if (depth < 0 || !(Array.isArray(value) || isPlainObject(value))) {
+    return value
+  }
+
+  if (!copies) {
+    copies = new Map()
+  } else if (copies.has(value)) {
+    return copies.get(value)
+  }
+
+  var copy = Array.isArray(value) ? [] : {}
+  copies.set(value, copy)
+
+  Object.keys(value).forEach(function (key) {
+    copy[key] = substituteFormatted(value[key], depth - 1, copies)
+  })
+
+  return copy
+}
+
+/**
+ * Prints the provided values like `dantil.log()` prepended with red-colored "Error: ".
+ *
+ * If the first character of the first value is a newline character, moves the character to before "Error: ".
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values to print following "Error: ".
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * dantil.logError('Failed', numTestsFailed, 'of', tests.length, 'tests')
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logError-example.jpg" alt="dantil.logError() example output"/>
+ * ```
+ */
+exports.logError = consoleMethod('logError', 'error', logWithColoredLabel.bind(null, 'Error', 'red'))
+
+/**
+ * Prints the provided values like `dantil.logError()`, followed by a trailing newline.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values to print following "Error: ".
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * dantil.logErrorWithNewLine('Failed', numTestsFailed, 'of', tests.length, 'tests')
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logErrorWithNewLine-example.jpg" alt="dantil.logErrorWithNewLine() example output"/>
+ * ```
+ */
+exports.logErrorWithNewLine = consoleMethod('logErrorWithNewLine', 'error', function () {
+  return exports.logError.apply(null, Array.from(arguments).concat('\n'))
+})
+
+/**
+ * Prints the provided values like `dantil.log()` prepended with yellow-colored "Warning: ".
+ *
+ * If the first character of the first value is a newline character, moves the character to before "Warning: ".
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values to print following "Warning: ".
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * dantil.logWarning('Missing property:', obj)
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logWarning-example.jpg" alt="dantil.logWarning() example output"/>
+ * ```
+ */
+exports.logWarning = consoleMethod('logWarning', 'warn', logWithColoredLabel.bind(null, 'Warning', 'yellow'))
+
+/**
+ * Prints the provided values like `dantil.log()` prepended with green-colored "Success: ".
+ *
+ * If the first character of the first value is a newline character, moves the character to before "Success: ".
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {...*} [values] The values to print following "Success: ".
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * dantil.logSuccess(tests.length, 'tests passed')
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logSuccess-example.jpg" alt="dantil.logSuccess() example output"/>
+ * ```
+ */
+exports.logSuccess = consoleMethod('logSuccess', 'info', logWithColoredLabel.bind(null, 'Success', 'green'))
+
+/**
+ * Prints `values` to `stdout` like `dantil.log()` prepended with `label` (e.g., `'Error'`) colored `color` (e.g., `'red'`).
+ *
+ * @private
+ * @static
+ * @param {string} label The label to prepend to `values` (e.g., `'Error'`).
+ * @param {string} color The color to stylize `label`.
+ * @param {...*} [values] The values to print following `label`.
+ * @returns {*} Returns the first printed value.
+ */
+function logWithColoredLabel(label, color) {
+  var values = Array.from(arguments).slice(2)
+  annotateLogCall({ label: label, values: values.slice() })
+
+  exports.log.apply(null, prependColoredLabel(label, color, values))
+  return values[0]
+}
+
+/**
+ * Prepends `label` (e.g., `'Error'`) colored `color` (e.g., `'red'`) to `values`.
+ *
+ * If the first character of the first value in `values` is '\n', moves the character to before `label`. Appends a colon to `label` if it is not already the string's last character.
+ *
+ * @private
+ * @static
+ * @param {string} label The label to prepend to `values` (e.g., `'Error'`).
+ * @param {string} color The color to stylize `label`.
+ * @param {*[]} values The values to follow `label`.
+ * @returns {Array} Returns the array of `label` followed by the contents of `values`.
+ */
+function prependColoredLabel(label, color, values) {
+  // Temporarily remove ':', if any, to avoid coloring it.
+  if (label[label.length - 1] === ':') {
+    label = label.slice(0, -1)
+  }
+
+  // If the first character of the first value in `values` is '\n', move the character to before `label`.
+  var firstVal = values[0]
+  if (firstVal) {
+    if (firstVal === '\n' && values.length !== 1) {
+      // First value is '\n' and is not the only value.
+      values.shift()
+      label = '\n' + label
+    } else if (firstVal[0] === '\n') {
+      // First value begins with '\n'.
+      values[0] = firstVal.slice(1)
+      label = '\n' + label
+    }
+  }
+
+  // Color `label` and append `values`.
+  return [ exports.colors[color](label) + ':' ].concat(values)
+}
+
+/**
+ * Prints the provided values in an error message like `dantil.logError()` followed by the file path and line number of the function call that invoked the currently executing module.
+ *
+ * If enabled with `dantil.setCodeFrameLines()`, also prints the source code surrounding that location.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {boolean} [logThisLine] Specify logging the line where this method is called instead of the line which invoked the currently executing module.
+ * @param {...*} [values] The values to print following "Error: ".
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * ```
+ * The contents of `foo.js`:
+ * ```js
+ * dantil.logErrorAndPath('Failed', numTestsFailed, 'of', tests.length, 'tests')
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logErrorAndPath-example.jpg" alt="dantil.logErrorAndPath() example output"/>
+ * ```
+ */
+exports.logErrorAndPath = consoleMethod('logErrorAndPath', 'error', logColoredLabelAndPath.bind(null, 'Error', 'red'))
+
+/**
+ * Prints the provided values in a warning message like `dantil.logWarning()` followed by the file path and line number of the function call that invoked the currently executing module.
+ *
+ * If enabled with `dantil.setCodeFrameLines()`, also prints the source code surrounding that location.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {boolean} [logThisLine] Specify logging the line where this method is called instead of the line which invoked the currently executing module.
+ * @param {...*} [values] The values to print following "Warning: ".
+ * @returns {*} Returns the first argument.
+ * @example
+ *
+ * ```
+ * The contents of `foo.js`:
+ * ```js
+ * var badObj = { name: 'danny', age: undefined }
+ * dantil.logWarningAndPath('Property undefined:', badObj)
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logWarningAndPath-example.jpg" alt="dantil.logWarningAndPath() example output"/>
+ * ```
+ */
+exports.logWarningAndPath = consoleMethod('logWarningAndPath', 'warn', logColoredLabelAndPath.bind(null, 'Warning', 'yellow'))
+
+/**
+ * Prints `values` to `stdout` like `dantil.log()` prepended with `label` colored `color`, like `logWithColoredLabel()`, and followed by the file path and line number of the function call that invoked the currently executing module.
+ *
+ * @private
+ * @static
+ * @param {string} label The label to prepend to `value` (e.g., `'Error'`).
+ * @param {string} color The color to stylize `label`.
+ * @param {boolean} [logThisLine] Specify logging the line where this function is called instead of the line which invoked the currently executing module.
+ * @param {...*} [values] The values to print following `label`.
+ * @returns {*} Returns the first value following `label`.
+ */
+function logColoredLabelAndPath(label, color, logThisLine) {
+  var location
+  // Check `logThisLine` equality strictly to avoid checking truthiness of the function's trailing arguments.
+  if (logThisLine !== true) {
+    location = exports.getModuleCallerLocationInfo()
+  }
+
+  // If `logThisLine` is `true` or this function was invoked via the main module without a parent module, then print the line where this function was called.
+  if (!location) {
+    location = exports.getLocationInfo()
+  }
+
+  var pathAndLineNumber = location.filePath + ':' + location.lineNumber + ':' + location.columnNumber
+
+  // Check arity.
+  var args = Array.prototype.slice.call(arguments, typeof logThisLine === 'boolean' ? 3 : 2)
+  annotateLogCall({ label: label, location: pathAndLineNumber, values: args.slice() })
+
+  pathAndLineNumber = formatLocation(pathAndLineNumber)
+  if (args.length > 0) {
+    logWithColoredLabel.apply(null, [ label, color ].concat(args))
+    exports.log('  ' + pathAndLineNumber)
+  } else {
+    logWithColoredLabel(label, color, pathAndLineNumber)
+  }
+
+  // Print the source code surrounding the location, if enabled with `dantil.setCodeFrameLines()` and the source file is readable.
+  if (_codeFrameLines > 0 && exports.pathExistsSync(location.filePath)) {
+    var codeFrame = exports.codeFrame(location.filePath, location.lineNumber, location.columnNumber, _codeFrameLines)
+    exports.log('  ' + codeFrame.replace(/\n/g, '\n  '))
+  }
+
+  // Print trailing newline.
+  exports.log()
+
+  return args[0]
+}
+
+/**
+ * Sets the number of lines of source code for `dantil.logErrorAndPath()` and `dantil.logWarningAndPath()` to print before and after the location they print, formatted like `dantil.codeFrame()`. Pass `0` to disable (the default).
+ *
+ * This is useful for reporting mistakes in hand-edited files without having to open the file to see what the location refers to.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {number} [linesAround=2] The number of lines to print before and after each location's line.
+ * @example
+ *
+ * dantil.setCodeFrameLines(1)
+ *
+ * ```
+ * The contents of `grammar.js`:
+ * ```js
+ * grammar.addRule({
+ *   rhs: [ 'nounPhrase', 'verbPhrase' ],
+ *   text: 9,
+ * })
+ * ```
+ * The contents of `grammar-builder.js`:
+ * ```js
+ * exports.addRule = function (rule) {
+ *   if (typeof rule.text !== 'string') {
+ *     dantil.logErrorAndPath('Rule text is not a string:', rule.text)
+ *     // => Prints: Error: Rule text is not a string: 9
+ *     //              /Users/Danny/grammar.js:1:9
+ *     //              > 1 | grammar.addRule({
+ *     //                  |         ^
+ *     //                2 |   rhs: [ 'nounPhrase', 'verbPhrase' ],
+ *   }
+ * }
+ */
+exports.setCodeFrameLines = function (linesAround) {
+  _codeFrameLines = linesAround === undefined ? 2 : linesAround
+}
+
+/**
+ * The number of lines of source code for `dantil.logErrorAndPath()` and `dantil.logWarningAndPath()` to print before and after the location they print, set with `dantil.setCodeFrameLines()`.
+ *
+ * @private
+ * @type {number}
+ */
+var _codeFrameLines = 0
+
+/**
+ * Sets whether the methods that print locations (e.g., `dantil.logErrorAndPath()`, `dantil.logWithLine()`, and `dantil.logPathAndObject()`) print file paths relative to the current working directory (or with the home directory contracted to `'~'`), formatted with `dantil.formatPath()`, instead of absolute paths (the default).
+ *
+ * This only affects printed output; methods that return locations, such as `dantil.getLocation()`, always return absolute paths.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {boolean} [enable=true] Specify printing relative paths.
+ * @example
+ *
+ * ```
+ * The contents of `/Users/Danny/dantil/lib/foo.js`:
+ * ```js
+ * dantil.logWarningAndPath('Deprecated rule')
+ * // => Prints: Warning: Deprecated rule
+ * //              /Users/Danny/dantil/lib/foo.js:1:8
+ *
+ * dantil.setRelativeLocationPaths()
+ *
+ * dantil.logWarningAndPath('Deprecated rule')
+ * // => Prints: Warning: Deprecated rule
+ * //              lib/foo.js:5:8
+ */
+exports.setRelativeLocationPaths = function (enable) {
+  _relativeLocationPaths = enable === undefined ? true : !!enable
+}
+
+/**
+ * Indicates whether the methods that print locations print file paths formatted with `dantil.formatPath()`, set with `dantil.setRelativeLocationPaths()`.
+ *
+ * @private
+ * @type {boolean}
+ */
+var _relativeLocationPaths = false
+
+/**
+ * Formats `location` for printing, relative to the current working directory if enabled with `dantil.setRelativeLocationPaths()`.
+ *
+ * @private
+ * @static
+ * @param {string} location The location (or file path) to format.
+ * @returns {string} Returns the formatted location.
+ */
+function formatLocation(location) {
+  return _relativeLocationPaths ? exports.formatPath(location) : location
+}
+
+/**
+ * Creates an excerpt of the source code surrounding line `lineNumber` in the file at `filePath`, stylized for printing like a compiler diagnostic: prefixes each line with its line number, marks and emboldens line `lineNumber`, and if `columnNumber` is provided, marks column `columnNumber` with a caret on the following line.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {string} filePath The path of the source file.
+ * @param {number} lineNumber The line number to mark (beginning at 1).
+ * @param {number} [columnNumber] The column number to mark (beginning at 1).
+ * @param {number} [linesAround=2] The number of lines to include before and after line `lineNumber`.
+ * @returns {string} Returns the stylized excerpt.
+ * @example
+ *
+ * ```
+ * The contents of `foo.js`:
+ * ```js
+ * var list = [
+ *   { name: 'lorem', num: 2 },
+ *   { name: 'ipsum', num: '3' }
+ * ]
+ * ```
+ * The contents of `bar.js`:
+ * ```js
+ * console.log(dantil.codeFrame('./foo.js', 3, 24, 1))
+ * // => Prints:
+ * //      2 |   { name: 'lorem', num: 2 },
+ * //    > 3 |   { name: 'ipsum', num: '3' }
+ * //        |                        ^
+ * //      4 | ]
+ */
+exports.codeFrame = function (filePath, lineNumber, columnNumber, linesAround) {
+  if (linesAround === undefined) {
+    linesAround = 2
+  }
+
+  var fileLines = getFileIndex(exports.realpathSync(filePath)).lines
+  var startLineIndex = Math.max(lineNumber - 1 - linesAround, 0)
+  var endLineIndex = Math.min(lineNumber - 1 + linesAround, fileLines.length - 1)
+  var lineNumberWidth = String(endLineIndex + 1).length
+  var frameLines = []
+
+  for (var l = startLineIndex; l <= endLineIndex; ++l) {
+    // Remove any carriage return of CRLF line endings.
+    var line = fileLines[l].replace(/\r$/, '')
+    var gutter = ' ' + padStart(String(l + 1), lineNumberWidth) + ' | '
+
+    if (l === lineNumber - 1) {
+      frameLines.push(exports.colors.red('>') + exports.colors.grey(gutter) + exports.colors.bold(line))
+
+      if (columnNumber) {
+        // Preserve tabs preceding the column to align the caret with the column.
+        var caretIndent = line.slice(0, columnNumber - 1).replace(/[^\t]/g, ' ')
+        var emptyGutter = ' ' + padStart('', lineNumberWidth) + ' | '
+        frameLines.push(' ' + exports.colors.grey(emptyGutter) + caretIndent + exports.colors.red('^'))
+      }
+    } else {
+      frameLines.push(' ' + exports.colors.grey(gutter) + line)
+    }
+  }
+
+  return frameLines.join('\n')
+}
+
+/**
+ * Pads the start of `string` with spaces if it is shorter than `length`.
+ *
+ * @private
+ * @static
+ * @param {string} string The string to pad.
+ * @param {number} length The padding length.
+ * @returns {string} Returns the padded string.
+ */
+function padStart(string, length) {
+  return Array(Math.max(length - string.length, 0) + 1).join(' ') + string
+}
+
+/**
+ * Prints `object` preceded by the file path and line number of the function call that invoked the currently executing module. Surrounds output with a leading newline and a trailing newline.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {Object} object The object to print.
+ * @param {boolean} [logThisLine] Specify logging the line where this method is called instead of the line which invoked the currently executing module.
+ * @returns {Object} Returns `object`.
+ * @example
+ *
+ * ```
+ * The contents of `foo.js`:
+ * ```js
+ * var obj = {
+ *   values: [1, 2, 3],
+ *   name: 'danny'
+ * }
+ *
+ * dantil.logPathAndObject(obj)
+ * ```
+ * Output:
+ * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logPathAndObject-example.jpg" alt="dantil.logPathAndObject() example output"/>
+ * ```
+ */
+exports.logPathAndObject = consoleMethod('logPathAndObject', 'info', function (object, logThisLine) {
+  var pathAndLineNumber
+  if (!logThisLine) {
+    pathAndLineNumber = exports.getModuleCallerLocation()
+  }
+
+  // If `logThisLine` is `true` or this method was invoked via the main module without a parent module, then print the line where this method was called.
+  if (!pathAndLineNumber) {
+    pathAndLineNumber = exports.getLocation()
+  }
+
+  // Print a leading newline, path and line number, `object`, and a trailing newline.
+  exports.log('\n' + formatLocation(pathAndLineNumber))
+  exports.log('  ', object)
+  exports.log()
+
+  return object
+})
+
+/**
+ * Prints `rows`, an array of objects or arrays, as a table with a column for each property (or index). Formats non-string cell values with `dantil.stylize()`, and aligns columns by the width of their contents as displayed, excluding ANSI escape codes and counting wide characters (e.g., CJK characters and emoji) as two columns.
+ *
+ * Fits the table to `options.maxWidth` (the terminal width, by default) by narrowing the widest columns, and truncating or wrapping the cells that no longer fit.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {Object[]|Array[]} rows The rows to print.
+ * @param {Object} [options] The options object.
+ * @param {Array} [options.columns] The properties (or indexes) of the columns to print, in order. If not provided, prints every property of `rows` in order of appearance.
+ * @param {Object} [options.align] The alignment of each column (`'left'`, `'right'`, or `'center'`), keyed by property. Defaults to `'right'` for columns that only contain numbers, else `'left'`.
+ * @param {string} [options.headerStyle='bold'] The `dantil.colors` style with which to stylize the header row (e.g., `'cyan'` or `'bold.underline'`).
+ * @param {number} [options.maxWidth] The maximum width of the table. Defaults to the width of the terminal to which the logger prints (e.g., `stdout`), if any, else does not limit the width.
+ * @param {string} [options.overflow='truncate'] Specify `'truncate'` to truncate the cells wider than their column with an ellipsis, or `'wrap'` to wrap them onto multiple lines.
+ * @returns {Array} Returns `rows`.
+ * @example
+ *
+ * dantil.logTable([
+ *   { query: 'red apples', parses: 12, cost: 1.5, time: '3ms' },
+ *   { query: 'people who like 寿司', parses: 3, cost: 2.25, time: '11ms' },
+ * ], { columns: [ 'query', 'parses', 'cost' ] })
+ * // => Prints:
+ * // query                │ parses │ cost
+ * // ─────────────────────┼────────┼─────
+ * // red apples           │     12 │  1.5
+ * // people who like 寿司 │      3 │ 2.25
+ */
+exports.logTable = consoleMethod('logTable', 'info', function (rows, options) {
+  if (exports.illFormedOpts(_logTableSchema, options)) {
+    throw new Error('Ill-formed options')
+  } else if (!options) {
+    options = {}
+  }
+
+  annotateLogCall({ values: [ rows ] })
+
+  // Treat non-object rows as rows with a single value.
+  var rowObjects = rows.map(function (row) {
+    return row !== null && typeof row === 'object' ? row : { Value: row }
+  })
+
+  var columns = options.columns || getTableColumns(rowObjects)
+  var align = options.align || {}
+  var headerStyle = (options.headerStyle || 'bold').split('.').reduce(function (style, styleName) {
+    return style[styleName]
+  }, exports.colors)
+
+  var headerCells = columns.map(String)
+  var bodyCells = rowObjects.map(function (row) {
+    return columns.map(function (column) {
+      var value = row[column]
+      if (value === undefined && !row.hasOwnProperty(column)) return ''
+      if (typeof value === 'string') return value
+
+      // Format objects on a single line.
+      return exports.stylize(value, { breakLength: Infinity })
+    })
+  })
+
+  var columnAligns = columns.map(function (column) {
+    if (align[column]) {
+      return align[column]
+    }
+
+    // Right-align columns of numbers.
+    var isNumeric = rowObjects.some(function (row) {
+      return typeof row[column] === 'number'
+    }) && rowObjects.every(function (row) {
+      return typeof row[column] === 'number' || row[column] === undefined
+    })
+
+    return isNumeric ? 'right' : 'left'
+  })
+
+  // Fit the table to the terminal to which the logger prints, which might not be `stdout` (e.g., a logger's `options.stream`).
+  var stream = _activeLogCall.logger.stream || process.stdout
+  var maxWidth = options.maxWidth || stream.columns || Infinity
+  var columnWidths = getTableColumnWidths([ headerCells ].concat(bodyCells), maxWidth)
+  var separator = exports.colors.grey(' │ ')
+
+  function printRow(cells, stylizeCell) {
+    // Split each cell into the lines that fit its column.
+    var cellLines = cells.map(function (cell, c) {
+      return fitToWidth(cell, columnWidths[c], options.overflow === 'wrap')
+    })
+
+    var lineCount = Math.max.apply(null, cellLines.map(function (lines) {
+      return lines.length
+    }))
+
+    for (var l = 0; l < lineCount; ++l) {
+      exports.log(cellLines.map(function (lines, c) {
+        var cellLine = padToWidth(lines[l] || '', columnWidths[c], columnAligns[c])
+        return stylizeCell ? stylizeCell(cellLine) : cellLine
+      }).join(separator).replace(/\s+$/, ''))
+    }
+  }
+
+  printRow(headerCells, headerStyle)
+
+  exports.log(exports.colors.grey(columnWidths.map(function (width) {
+    return new Array(width + 1).join('─')
+  }).join('─┼─')))
+
+  bodyCells.forEach(function (cells) {
+    printRow(cells)
+  })
+
+  return rows
+})
+
+/**
+ * The schema for the options object of `dantil.logTable()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _logTableSchema = {
+  columns: Array,
+  align: Object,
+  headerStyle: String,
+  maxWidth: Number,
+  overflow: { values: [ 'truncate', 'wrap' ] },
+}
+
+/**
+ * Gets the union of the properties of `rows` in order of appearance for `dantil.logTable()`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} rows The rows.
+ * @returns {string[]} Returns the properties.
+ */
+function getTableColumns(rows) {
+  var columns = []
+
+  rows.forEach(function (row) {
+    Object.keys(row).forEach(function (key) {
+      if (columns.indexOf(key) === -1) {
+        columns.push(key)
+      }
+    })
+  })
+
+  return columns
+}
+
+/**
+ * Gets the width of each column of the table of `cellRows` for `dantil.logTable()`, narrowing the widest columns until the table, including the separators between columns, fits `maxWidth`.
+ *
+ * @private
+ * @static
+ * @param {string[][]} cellRows The rows of cell strings, including the header row.
+ * @param {number} maxWidth The maximum width of the table.
+ * @returns {number[]} Returns the column widths.
+ */
+function getTableColumnWidths(cellRows, maxWidth) {
+  var columnWidths = cellRows[0].map(function (cell, c) {
+    return Math.max.apply(null, cellRows.map(function (cells) {
+      return Math.max.apply(null, cells[c].split('\n').map(getStringWidth))
+    }))
+  })
+
+  var separatorsWidth = (columnWidths.length - 1) * 3
+  var tableWidth = separatorsWidth + columnWidths.reduce(function (sum, width) {
+    return sum + width
+  }, 0)
+
+  while (tableWidth > maxWidth) {
+    var widestWidth = Math.max.apply(null, columnWidths)
+
+    // Stop if every column is at the minimum width.
+    if (widestWidth <= _minTableColumnWidth) break
+
+    --columnWidths[columnWidths.indexOf(widestWidth)]
+    --tableWidth
+  }
+
+  return columnWidths
+}
+
+/**
+ * The minimum width to which `dantil.logTable()` narrows a column to fit the table to the maximum width.
+ *
+ * @private
+ * @type {number}
+ */
+var _minTableColumnWidth = 3
+
+/**
+ * Fits `string` to `width` columns for `dantil.logTable()`, either by truncating each line with an ellipsis or by wrapping each line at spaces (where possible) onto multiple lines.
+ *
+ * @private
+ * @static
+ * @param {string} string The string to fit, which may contain ANSI escape codes.
+ * @param {number} width The width to which to fit `string`.
+ * @param {boolean} [wrap] Specify wrapping `string` instead of truncating it.
+ * @returns {string[]} Returns the lines of `string`, each at most `width` columns wide.
+ */
+function fitToWidth(string, width, wrap) {
+  var lines = []
+
+  string.split('\n').forEach(function (line) {
+    while (getStringWidth(line) > width) {
+      if (!wrap) {
+        line = sliceByWidth(line, width - 1).head + '…'
+        break
+      }
+
+      var slice = sliceByWidth(line, width)
+
+      // Break at the last space within `width`, if any.
+      var plainHead = exports.colors.stripColor(slice.head)
+      var spaceIndex = plainHead.lastIndexOf(' ')
+      if (spaceIndex > 0) {
+        slice = sliceByWidth(line, getStringWidth(plainHead.slice(0, spaceIndex + 1)))
+      }
+
+      lines.push(slice.head)
+      line = slice.tail
+    }
+
+    lines.push(line)
+  })
+
+  return lines
+}
+
+/**
+ * Pads `string` with spaces to `width` columns, aligned `align`.
+ *
+ * @private
+ * @static
+ * @param {string} string The string to pad, which may contain ANSI escape codes.
+ * @param {number} width The width to which to pad `string`.
+ * @param {string} [align='left'] The alignment: `'left'`, `'right'`, or `'center'`.
+ * @returns {string} Returns the padded string.
+ */
+function padToWidth(string, width, align) {
+  var padding = Math.max(width - getStringWidth(string), 0)
+  var leftPadding = align === 'right' ? padding : align === 'center' ? Math.floor(padding / 2) : 0
+
+  return new Array(leftPadding + 1).join(' ') + string + new Array(padding - leftPadding + 1).join(' ')
+}
+
+/**
+ * Gets the number of columns `string` occupies in a terminal, excluding ANSI escape codes, counting wide characters (e.g., CJK characters and emoji) as two columns, and counting combining and zero-width characters as zero columns.
+ *
+ * @private
+ * @static
+ * @param {string} string The string to measure.
+ * @returns {number} Returns the width of `string`.
+ */
+function getStringWidth(string) {
+  return Array.from(exports.colors.stripColor(string)).reduce(function (width, char) {
+    return width + getCharWidth(char.codePointAt(0))
+  }, 0)
+}
+
+/**
+ * Gets the number of columns the character with the code point `codePoint` occupies in a terminal for `getStringWidth()`.
+ *
+ * @private
+ * @static
+ * @param {number} codePoint The code point of the character.
+ * @returns {number} Returns `0`, `1`, or `2`.
+ */
+function getCharWidth(codePoint) {
+  // Control, combining, and zero-width characters.
+  if (codePoint < 0x20 || (codePoint >= 0x7F && codePoint < 0xA0) ||
+      (codePoint >= 0x300 && codePoint <= 0x36F) || (codePoint >= 0x200B && codePoint <= 0x200F) ||
+      (codePoint >= 0xFE00 && codePoint <= 0xFE0F)) {
+    return 0
+  }
+
+  // East Asian wide and fullwidth characters, and emoji.
+  if ((codePoint >= 0x1100 && codePoint <= 0x115F) || (codePoint >= 0x2E80 && codePoint <= 0x303E) ||
+      (codePoint >= 0x3041 && codePoint <= 0x33FF) || (codePoint >= 0x3400 && codePoint <= 0x4DBF) ||
+      (codePoint >= 0x4E00 && codePoint <= 0x9FFF) || (codePoint >= 0xA000 && codePoint <= 0xA4CF) ||
+      (codePoint >= 0xAC00 && codePoint <= 0xD7A3) || (codePoint >= 0xF900 && codePoint <= 0xFAFF) ||
+      (codePoint >= 0xFE30 && codePoint <= 0xFE4F) || (codePoint >= 0xFF00 && codePoint <= 0xFF60) ||
+      (codePoint >= 0xFFE0 && codePoint <= 0xFFE6) || (codePoint >= 0x1F300 && codePoint <= 0x1F64F) ||
+      (codePoint >= 0x1F900 && codePoint <= 0x1F9FF) || (codePoint >= 0x20000 && codePoint <= 0x3FFFD)) {
+    return 2
+  }
+
+  return 1
+}
+
+/**
+ * Splits `string` at `width` columns, excluding ANSI escape codes from the width. Resets the styles at the end of the head and reapplies them at the start of the tail so that each part displays as in `string`.
+ *
+ * @private
+ * @static
+ * @param {string} string The string to split, which may contain ANSI escape codes.
+ * @param {number} width The width of the head.
+ * @returns {Object} Returns an object with the properties `head` and `tail`.
+ */
+function sliceByWidth(string, width) {
+  var reAnsi = /\u001b\[[0-9;]*m/g
+  var escapes = ''
+  var headWidth = 0
+  var index = 0
+
+  while (index < string.length) {
+    reAnsi.lastIndex = index
+    var ansiMatch = reAnsi.exec(string)
+    if (ansiMatch && ansiMatch.index === index) {
+      escapes += ansiMatch[0]
+      index += ansiMatch[0].length
+      continue
+    }
+
+    var codePoint = string.codePointAt(index)
+    var charWidth = getCharWidth(codePoint)
+    if (headWidth + charWidth > width) break
+
+    headWidth += charWidth
+    index += codePoint > 0xFFFF ? 2 : 1
+  }
+
+  return {
+    head: string.slice(0, index) + (escapes ? '\u001b[0m' : ''),
+    tail: escapes + string.slice(index),
+  }
+}
+
+/**
+ * Prints `value` as a tree. By default, prints the properties of nested objects and arrays as branches, and the other values as leaves formatted with `dantil.stylize()`. If `options.children` is provided, prints any hierarchy (e.g., a parse tree) with the nodes `options.children` returns for each node.
+ *
+ * Marks circular references with `[Circular]`. This is useful for printing deeply nested structures, which `dantil.dir()` prints across hundreds of lines of braces.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {*} value The object, or the root node of the hierarchy, to print.
+ * @param {Object} [options] The options object.
+ * @param {Function} [options.children] The function invoked per node that returns an array of the node's children, if any.
+ * @param {Function} [options.label] The function invoked per node that returns the node's label. Defaults to strings as is and other nodes formatted with `dantil.stylize()`. Only applies with `options.children`.
+ * @param {number} [options.depth] The number of levels of the tree to print below `value`, after which prints the number of children of the nodes that are not expanded. If not provided, prints the entire tree.
+ * @param {boolean} [options.dedupe] Specify printing the children of each node only at its first occurrence in the tree, and marking later occurrences with `[Printed above]`.
+ * @returns {*} Returns `value`.
+ * @example
+ *
+ * dantil.logTree({
+ *   rule: 'nounPhrase',
+ *   rhs: [ 'det', 'noun' ],
+ *   semantic: { name: 'intersect', args: [] },
+ * })
+ * // => Prints:
+ * // Object
+ * // ├── rule: 'nounPhrase'
+ * // ├── rhs
+ * // │   ├── 0: 'det'
+ * // │   └── 1: 'noun'
+ * // └── semantic
+ * //     ├── name: 'intersect'
+ * //     └── args: []
+ *
+ * dantil.logTree(parseTree, {
+ *   children: function (node) {
+ *     return node.children
+ *   },
+ *   label: function (node) {
+ *     return node.symbol + ' ' + dantil.colors.grey(node.cost)
+ *   },
+ *   depth: 1,
+ * })
+ * // => Prints:
+ * // [start] 3.5
+ * // ├── [nom-users] 1.5 [2 children]
+ * // └── [verb-like] 2 [1 child]
+ */
+exports.logTree = consoleMethod('logTree', 'info', function (value, options) {
+  if (exports.illFormedOpts(_logTreeSchema, options)) {
+    throw new Error('Ill-formed options')
+  } else if (!options) {
+    options = {}
+  }
+
+  annotateLogCall({ values: [ value ] })
+
+  var getChildren = getObjectTreeChildren
+  var getLabel = getObjectTreeLabel
+  var getNodeId = getObjectTreeNodeId
+  var root = { value: value }
+
+  if (options.children) {
+    getChildren = options.children
+    getLabel = options.label || function (node) {
+      return typeof node === 'string' ? node : exports.stylize(node, { depth: 0, breakLength: Infinity })
+    }
+    getNodeId = function (node) {
+      return node
+    }
+    root = value
+  }
+
+  var maxDepth = options.depth === undefined || options.depth === null ? Infinity : options.depth
+  var rootId = getNodeId(root)
+  var ancestorIds = [ rootId ]
+  var printedIds = [ rootId ]
+
+  function logChildren(node, indent, depth) {
+    var children = getChildren(node) || []
+
+    for (var c = 0, childrenLen = children.length; c < childrenLen; ++c) {
+      var child = children[c]
+      var childId = getNodeId(child)
+      var isLast = c === childrenLen - 1
+      var line = indent + (isLast ? '└── ' : '├── ') + getLabel(child)
+
+      if (childId !== undefined && ancestorIds.indexOf(childId) !== -1) {
+        exports.log(line, exports.colors.grey('[Circular]'))
+        continue
+      }
+
+      if (options.dedupe && childId !== undefined && printedIds.indexOf(childId) !== -1) {
+        exports.log(line, exports.colors.grey('[Printed above]'))
+        continue
+      }
+
+      printedIds.push(childId)
+
+      if (depth < maxDepth) {
+        exports.log(line)
+
+        ancestorIds.push(childId)
+        logChildren(child, indent + (isLast ? '    ' : '│   '), depth + 1)
+        ancestorIds.pop()
+      } else {
+        logTreeLeaf(line, child)
+      }
+    }
+  }
+
+  // Print the number of children instead of the children of the nodes at `maxDepth`.
+  function logTreeLeaf(line, node) {
+    var childrenLen = (getChildren(node) || []).length
+    if (childrenLen > 0) {
+      exports.log(line, exports.colors.grey('[' + childrenLen + (childrenLen === 1 ? ' child]' : ' children]')))
+    } else {
+      exports.log(line)
+    }
+  }
+
+  if (maxDepth > 0) {
+    exports.log(getLabel(root))
+    logChildren(root, '', 1)
+  } else {
+    logTreeLeaf(getLabel(root), root)
+  }
+
+  return value
+})
+
+/**
+ * The schema for the options object of `dantil.logTree()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _logTreeSchema = {
+  children: Function,
+  label: Function,
+  depth: Number,
+  dedupe: Boolean,
+}
+
+/**
+ * Gets the children of `node`, a property of an object within the object `dantil.logTree()` prints, as nodes for its properties (or elements), if `node.value` is a non-empty object.
+ *
+ * @private
+ * @static
+ * @param {Object} node The node with the properties `key` (`undefined` for the root) and `value`.
+ * @returns {Object[]|undefined} Returns the child nodes, else `undefined` if `node` is a leaf.
+ */
+function getObjectTreeChildren(node) {
+  var value = node.value
+
+  if (value === null || typeof value !== 'object' || value instanceof Date || value instanceof RegExp || value instanceof Error) {
+    return
+  }
+
+  var children
+
+  if (value instanceof Map) {
+    children = Array.from(value).map(function (entry) {
+      return { key: exports.stylize(entry[0], { breakLength: Infinity }), value: entry[1] }
+    })
+  } else if (value instanceof Set) {
+    children = Array.from(value).map(function (element, i) {
+      return { key: String(i), value: element }
+    })
+  } else {
+    children = Object.keys(value).map(function (key) {
+      return { key: key, value: value[key] }
+    })
+  }
+
+  return children.length > 0 ? children : undefined
+}
+
+/**
+ * Gets the label of `node`, a property of an object within the object `dantil.logTree()` prints: the property's key for branches, and the key and the value formatted with `dantil.stylize()` for leaves. Labels the root by its type (e.g., `Object`, `Array`).
+ *
+ * @private
+ * @static
+ * @param {Object} node The node with the properties `key` (`undefined` for the root) and `value`.
+ * @returns {string} Returns the label.
+ */
+function getObjectTreeLabel(node) {
+  var value = node.value
+
+  if (getObjectTreeChildren(node)) {
+    if (node.key !== undefined) {
+      return node.key
+    }
+
+    var constructor = Object.getPrototypeOf(value) && Object.getPrototypeOf(value).constructor
+    return constructor && constructor.name || 'Object'
+  }
+
+  var stylizedValue = exports.stylize(value, { breakLength: Infinity })
+  return node.key === undefined ? stylizedValue : node.key + ': ' + stylizedValue
+}
+
+/**
+ * Gets the identity of `node`, a property of an object within the object `dantil.logTree()` prints, for detecting circular references: the property's value if an object, else `undefined`.
+ *
+ * @private
+ * @static
+ * @param {Object} node The node with the properties `key` and `value`.
+ * @returns {Object|undefined} Returns the identity of `node`.
+ */
+function getObjectTreeNodeId(node) {
+  var value = node.value
+  return value !== null && typeof value === 'object' ? value : undefined
+}
+
+/**
+ * Creates a progress reporter for long-running loops: a progress bar with the rate and estimated time remaining if `options.total` is provided, else a spinner with the rate and time elapsed.
+ *
+ * If `options.stream` is a terminal, redraws the progress in place on a single line. Otherwise, prints the progress on a new line every `options.interval` milliseconds. The `dantil` Console methods (e.g., `dantil.log()`, `dantil.logError()`) print above the progress while it is active, without corrupting it. Only one progress reporter can be active at a time; creating another ends the previous.
+ *
+ * The returned object has the following methods:
+ * - `tick([count=1], [message])`: Increments the progress by `count`, and if provided, sets the message printed after the progress.
+ * - `update(current, [message])`: Sets the progress to `current`.
+ * - `done([message])`: Prints the final progress (and `message`, if provided) and stops the reporter.
+ *
+ * @static
+ * @memberOf dantil
+ * @category Console
+ * @param {Object} [options] The options object.
+ * @param {number} [options.total] The total number of steps. If not provided, prints a spinner instead of a progress bar.
+ * @param {string} [options.label] The label to print before the progress.
+ * @param {number} [options.width=30] The width of the progress bar.
+ * @param {Object} [options.stream=process.stderr] The writable stream to which to print.
+ * @param {number} [options.interval=5000] The number of milliseconds between printing progress lines if `options.stream` is not a terminal.
+ * @returns {Object} Returns the progress reporter.
+ * @example
+ *
+ * var progress = dantil.createProgress({ total: rules.length, label: 'Generating' })
+ *
+ * rules.forEach(function (rule) {
+ *   if (!isValid(rule)) {
+ *     // Prints above the progress bar.
+ *     dantil.logWarning('Invalid rule:', rule.name)
+ *   }
+ *
+ *   generate(rule)
+ *   progress.tick(1, rule.name)
+ * })
+ * // => Prints: Generating [██████████░░░░░░░░░░░░░░░░░░░░] 34% 340/1000 21.5/s ETA 31s nounPhrase
+ *
+ * progress.done('Generated ' + rules.length + ' rules')
+ */
+exports.createProgress = function (options) {
+  if (exports.illFormedOpts(_createProgressSchema, options)) {
+    throw new Error('Ill-formed options')
+  } else if (!options) {
+    options = {}
+  }
+
+  var stream = options.stream || process.stderr
+  var isTTY = !!stream.isTTY
+  var interval = isTTY ? _progressRedrawInterval : options.interval || 5000
+  var startTime = Date.now()
+  var lastPrintTime = startTime
+  var current = 0
+  var message = ''
+  var frame = 0
+
+  function formatProgress(now) {
+    var elapsed = now - startTime
+    var rate = elapsed > 0 ? current / (elapsed / 1000) : 0
+    var rateString = (rate < 100 ? rate.toFixed(1) : Math.round(rate)) + '/s'
+    var parts = []
+
+    if (options.total) {
+      var ratio = Math.min(Math.max(current / options.total, 0), 1)
+      var barWidth = options.width || 30
+      var filledWidth = Math.round(ratio * barWidth)
+      var bar = exports.colors.green(new Array(filledWidth + 1).join('█')) + exports.colors.grey(new Array(barWidth - filledWidth + 1).join('░'))
+      var eta = rate > 0 ? (options.total - current) / rate * 1000 : Infinity
+
+      parts.push('[' + bar + ']', Math.floor(ratio * 100) + '%', current + '/' + options.total, rateString, 'ETA ' + formatDuration(eta))
+    } else {
+      if (isTTY) {
+        parts.push(exports.colors.cyan(_spinnerFrames[frame % _spinnerFrames.length]))
+      }
+
+      parts.push(String(current), rateString, formatDuration(elapsed) + ' elapsed')
+    }
+
+    if (options.label) {
+      parts.unshift(options.label)
+    }
+
+    if (message) {
+      parts.push(message)
+    }
+
+    var line = parts.join(' ')
+
+    // Truncate the line to the terminal width to keep it on a single line.
+    return isTTY && stream.columns ? sliceByWidth(line, stream.columns - 1).head : line
+  }
+
+  var activeProgress = {
+    stream: stream,
+    isTTY: isTTY,
+    render: function () {
+      stream.write('\r\u001b[K' + formatProgress(Date.now()))
+    },
+    clear: function () {
+      stream.write('\r\u001b[K')
+    },
+  }
+
+  // Print the progress if `interval` has passed since last printed. Invoked on each update because a synchronous loop prevents the timer from firing.
+  function printIfDue() {
+    var now = Date.now()
+    if (now - lastPrintTime < interval) return
+
+    lastPrintTime = now
+    ++frame
+
+    if (isTTY) {
+      activeProgress.render()
+    } else {
+      stream.write(formatProgress(now) + '\n')
+    }
+  }
+
+  // Print periodically even without updates (e.g., to animate the spinner while awaiting asynchronous work), without keeping the process running.
+  var timer = setInterval(printIfDue, interval)
+  if (timer.unref) {
+    timer.unref()
+  }
+
+  if (_activeProgress) {
+    _activeProgress.done()
+  }
+
+  _activeProgress = activeProgress
+
+  if (isTTY) {
+    activeProgress.render()
+  }
+
+  activeProgress.done = function (doneMessage) {
+    clearInterval(timer)
+
+    if (_activeProgress === activeProgress) {
+      _activeProgress = undefined
+    }
+
+    if (doneMessage !== undefined) {
+      message = doneMessage
+    }
+
+    stream.write((isTTY ? '\r\u001b[K' : '') + formatProgress(Date.now()) + '\n')
+  }
+
+  return {
+    tick: function (count, tickMessage) {
+      if (typeof count === 'string') {
+        tickMessage = count
+        count = undefined
+      }
+
+      current += count === undefined ? 1 : count
+      if (tickMessage !== undefined) {
+        message = tickMessage
+      }
+
+      printIfDue()
+    },
+    update: function (newCurrent, updateMessage) {
+      current = newCurrent
+      if (updateMessage !== undefined) {
+        message = updateMessage
+      }
+
+      printIfDue()
+    },
+    done: function (doneMessage) {
+      // Avoid printing the final progress more than once.
+      if (_activeProgress === activeProgress) {
+        activeProgress.done(doneMessage)
+      }
+    },
+  }
+}
+
+/**
+ * The schema for the options object of `dantil.createProgress()`.
+ *
+ * @private
+ * @type {Object}
  */
-exports.log = function () {
-  writeToProcessStream('stdout', prettify(arguments))
-  return arguments[0]
+var _createProgressSchema = {
+  total: Number,
+  label: String,
+  width: Number,
+  stream: Object,
+  interval: Number,
 }
 
 /**
- * A version of `dantil.log()` that recurses indefinitely while formatting objects. This is useful for inspecting large, complicated objects.
- *
- * @static
- * @memberOf dantil
- * @category Console
- * @param {...*} [values] The values and objects to print.
- * @returns {*} Returns the first argument.
- * @example
+ * The progress reporter of `dantil.createProgress()` currently active, if any, which `writeAboveProgress()` clears before printing to its stream and redraws after.
  *
- * dantil.dir({
- *   name: 'Danny',
- *   value: 3,
- *   terms: [ 'confident', 'farseeing', 'capable', 'prudent' ],
- *   exitFunc: process.exit,
- *   deepObject: {
- *     nestedArray: [ [ 1 ] ],
- *     nestedObject: { obj: { str: 'string', num: 2, bool: true, arr: [ 1, 2, 3, 4, 5, 6, 7 ] } }
- *   }
- * })
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-dir-example.jpg" alt="dantil.dir() example output"/>
- * ```
+ * @private
+ * @type {Object|undefined}
  */
-exports.dir = function () {
-  // Recurse indefinitely while formatting objects.
-  writeToProcessStream('stdout', prettify(arguments, { depth: null }))
-  return arguments[0]
-}
+var _activeProgress
 
 /**
- * Prints `object` like `dantil.log()` but recurses `depth` times while formatting. This is useful for inspecting large, complicated objects.
+ * The minimum number of milliseconds between redrawing progress in a terminal for `dantil.createProgress()`.
  *
- * @static
- * @memberOf dantil
- * @category Console
- * @param {Object} object The object to print.
- * @param {number} depth The number of times to recurse while formatting `object`.
- * @returns {Object} Returns `object`.
- * @example
+ * @private
+ * @type {number}
+ */
+var _progressRedrawInterval = 100
+
+/**
+ * The frames of the spinner of `dantil.createProgress()`.
  *
- * var obj = {
- *   name: 'Danny',
- *   nestedObj: { array: [ { isGood: false } ] }
- * }
+ * @private
+ * @type {string[]}
+ */
+var _spinnerFrames = [ '⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏' ]
+
+/**
+ * Formats the number of milliseconds `ms` as a short duration for `dantil.createProgress()` (e.g., `'45s'`, `'3m 07s'`, `'1h 02m'`).
  *
- * dantil.logObjectAtDepth(obj, 1)
- * dantil.logObjectAtDepth(obj, 2)
- * dantil.logObjectAtDepth(obj, 3)
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logObjectAtDepth-example.jpg" alt="dantil.logObjectAtDepth() example output"/>
- * ```
+ * @private
+ * @static
+ * @param {number} ms The number of milliseconds.
+ * @returns {string} Returns the formatted duration, or `'?'` if `ms` is not finite.
  */
-exports.logObjectAtDepth = function (object, depth) {
-  writeToProcessStream('stdout', prettify([ object ], { depth: depth }))
-  return object
+function formatDuration(ms) {
+  if (!isFinite(ms)) {
+    return '?'
+  }
+
+  var seconds = Math.round(ms / 1000)
+  if (seconds < 60) {
+    return seconds + 's'
+  }
+
+  var minutes = Math.floor(seconds / 60)
+  if (minutes < 60) {
+    return minutes + 'm ' + (seconds % 60 < 10 ? '0' : '') + seconds % 60 + 's'
+  }
+
+  return Math.floor(minutes / 60) + 'h ' + (minutes % 60 < 10 ? '0' : '') + minutes % 60 + 'm'
 }
 
 /**
- * Prints the provided values like `dantil.log()`, preceded by this method's invocation location.
+ * Writes `string` to `stream`, first clearing the progress of `dantil.createProgress()` currently active in a terminal, if any, and then redrawing it after `string`. Leaves the progress as is if `stream` prints to another destination (e.g., `process.stdout` while the progress prints to `process.stderr`).
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category Console
- * @param {...*} [values] The values and objects to print.
- * @returns {*} Returns the first argument.
- * @example
- *
- * dantil.logWithLine({
- *   name: 'Danny',
- *   value: 3,
- *   terms: [ 'confident', 'farseeing', 'capable', 'prudent' ],
- *   exitFunc: process.exit,
- *   deepObject: {
- *     nestedArray: [ [ 1 ] ],
- *     nestedObject: { obj: { str: 'string', num: 2, bool: true, arr: [ 1, 2, 3, 4, 5, 6, 7 ] } }
- *   }
- * })
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logWithLine-example.jpg" alt="dantil.logWithLine() example output"/>
- * ```
+ * @param {Object} stream The writable stream.
+ * @param {string} string The string to write.
  */
-exports.logWithLine = function () {
-  exports.log(exports.colors.grey(exports.getLocation()))
-  return exports.log.apply(null, arguments)
+function writeAboveProgress(stream, string) {
+  var progress = _activeProgress
+
+  // Compare file descriptors for different stream objects of the same terminal (e.g., `fs.createWriteStream(null, { fd: 2 })` and `process.stderr`).
+  if (progress && progress.isTTY && (stream === progress.stream || stream.isTTY && typeof stream.fd === 'number' && stream.fd === progress.stream.fd)) {
+    progress.clear()
+    stream.write(string)
+    progress.render()
+  } else {
+    stream.write(string)
+  }
 }
 
 /**
- * Prints the provided values like `dantil.dir()`, preceded by this method's invocation location.
+ * Prints `question` and reads a line of text from `options.input` (the terminal, by default).
+ *
+ * Reads from a shared buffer of the lines of `options.input`, which enables answering consecutive prompts with piped input (e.g., `printf 'yes\nDanny\n' | node script.js`).
  *
  * @static
  * @memberOf dantil
  * @category Console
- * @param {...*} [values] The values and objects to print.
- * @returns {*} Returns the first argument.
+ * @param {string} question The question to print.
+ * @param {Object} [options] The options object.
+ * @param {string} [options.default] The answer if the input is an empty line or ends.
+ * @param {Object} [options.input=process.stdin] The readable stream from which to read the answer.
+ * @param {Object} [options.output=process.stdout] The writable stream to which to print `question`.
+ * @returns {Promise} Returns a `Promise` for the answer, which rejects if `options.input` ends without an answer and `options.default` is not provided.
  * @example
  *
- * dantil.dirWithLine({
- *   name: 'Danny',
- *   value: 3,
- *   terms: [ 'confident', 'farseeing', 'capable', 'prudent' ],
- *   exitFunc: process.exit,
- *   deepObject: {
- *     nestedArray: [ [ 1 ] ],
- *     nestedObject: { obj: { str: 'string', num: 2, bool: true, arr: [ 1, 2, 3, 4, 5, 6, 7 ] } }
- *   }
+ * dantil.prompt('Grammar name:', { default: 'grammar' }).then(function (name) {
+ *   // => Prints: ? Grammar name: (grammar)
+ *   // => Reads "" and returns 'grammar'
  * })
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-dirWithLine-example.jpg" alt="dantil.dirWithLine() example output"/>
- * ```
  */
-exports.dirWithLine = function () {
-  exports.log(exports.colors.grey(exports.getLocation()))
-  return exports.dir.apply(null, arguments)
+exports.prompt = function (question, options) {
+  if (exports.illFormedOpts(_promptSchema, options)) {
+    return Promise.reject(new Error('Ill-formed options'))
+  } else if (!options) {
+    options = {}
+  }
+
+  var hint = options.default === undefined ? '' : exports.colors.grey('(' + options.default + ') ')
+  writePromptQuestion(options, question, hint)
+
+  return readPromptAnswer(options).then(function (line) {
+    if (line === undefined || line === '') {
+      return getPromptDefault(options, line)
+    }
+
+    return line
+  })
 }
 
 /**
- * A version of `dantil.log()` that prints to `stderr`.
+ * The schema for the options object of `dantil.prompt()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var _promptSchema = {
+  default: String,
+  input: Object,
+  output: Object,
+}
+
+/**
+ * Prints `question` and reads a yes or no answer from `options.input` (the terminal, by default), like `dantil.prompt()`. Accepts "y", "yes", "n", and "no", case-insensitive, and asks again after any other answer.
  *
  * @static
  * @memberOf dantil
  * @category Console
- * @param {...*} [values] The values and objects to print.
- * @returns {*} Returns the first argument.
+ * @param {string} question The question to print.
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.default] The answer if the input is an empty line or ends.
+ * @param {Object} [options.input=process.stdin] The readable stream from which to read the answer.
+ * @param {Object} [options.output=process.stdout] The writable stream to which to print `question`.
+ * @returns {Promise} Returns a `Promise` for `true` if the answer is yes, else `false`.
+ * @example
+ *
+ * dantil.confirm('Overwrite the existing file?', { default: false }).then(function (overwrite) {
+ *   // => Prints: ? Overwrite the existing file? (y/N)
+ *   // => Reads "y" and returns true
+ * })
  */
-exports.logStderr = function () {
-  writeToProcessStream('stderr', prettify(arguments))
-  return arguments[0]
+exports.confirm = function (question, options) {
+  if (exports.illFormedOpts(_confirmSchema, options)) {
+    return Promise.reject(new Error('Ill-formed options'))
+  } else if (!options) {
+    options = {}
+  }
+
+  var hint = exports.colors.grey(options.default === undefined ? '(y/n) ' : options.default ? '(Y/n) ' : '(y/N) ')
+
+  function ask() {
+    writePromptQuestion(options, question, hint)
+
+    return readPromptAnswer(options).then(function (line) {
+      if (line === undefined || line === '') {
+        // Ask again after an empty line if there is no default.
+        if (line === '' && options.default === undefined) return ask()
+        return getPromptDefault(options, line)
+      }
+
+      var answer = line.trim().toLowerCase()
+      if (answer === 'y' || answer === 'yes') return true
+      if (answer === 'n' || answer === 'no') return false
+
+      getPromptOutput(options).write(exports.colors.red('Please answer yes or no.') + '\n')
+      return ask()
+    })
+  }
+
+  return ask()
 }
 
 /**
- * Writes `string` with a trailing newline to `processStreamName`.
+ * The schema for the options object of `dantil.confirm()`.
  *
  * @private
- * @static
- * @param {string} processStreamName The name of the writable process stream (e.g., `stout`, `stderr`).
- * @param {string} string The string to print.
+ * @type {Object}
  */
-function writeToProcessStream(processStreamName, string) {
-  var writableStream = process[processStreamName]
-  if (writableStream) {
-    writableStream.write(string + '\n')
-  } else {
-    throw new Error('Unrecognized process stream: ' + exports.stylize(processStreamName))
-  }
+var _confirmSchema = {
+  default: Boolean,
+  input: Object,
+  output: Object,
 }
 
 /**
- * Formats the provided values and objects in color for pretty-printing, recursing `options.depth` times while formatting objects.
- *
- * Formats plain `Object` and `Array` instances with multi-line string representations on separate lines. Concatenates and formats all other consecutive values on the same line.
+ * Prints `question` and `choices`, and reads the selected choice (or choices, if `options.multiple` is truthy) from `options.input` (the terminal, by default).
  *
- * If the first argument is of a complex type (e.g., `Object`, `Array`), left-aligns all remaining lines. Otherwise, equally indents each line after the first line, if any. If the first argument has leading whitespace (or is entirely whitespace), prepends all remaining arguments with the same whitespace (as indentation) excluding newline characters.
+ * In a terminal, selects with the arrow keys, toggles choices with the space bar if `options.multiple` is truthy, and submits with the return key. Otherwise (e.g., with piped input), prints the choices numbered and reads a line with the number of the choice, or with comma-separated numbers if `options.multiple` is truthy.
  *
- * @private
  * @static
- * @param {Array} args The values and objects to format.
+ * @memberOf dantil
+ * @category Console
+ * @param {string} question The question to print.
+ * @param {Array} choices The choices, each a string or an object with the properties `name` (the string to print) and `value` (the value to return).
  * @param {Object} [options] The options object.
- * @param {number} [options.depth=2] The number of times to recurse while formating `args`. Pass `null` to recurse indefinitely.
- * @param {number} [options.stylizeStings=false] Specify stylizing strings in `args`. This does not apply to `Object` properties.
- * @returns {string} Returns the formatted string.
+ * @param {boolean} [options.multiple] Specify selecting any number of choices instead of one.
+ * @param {number} [options.default=0] The index of the choice initially highlighted, and the answer if piped input is an empty line or ends.
+ * @param {number[]} [options.selected] The indexes of the choices initially selected if `options.multiple` is truthy.
+ * @param {Object} [options.input=process.stdin] The readable stream from which to read the answer.
+ * @param {Object} [options.output=process.stdout] The writable stream to which to print `question` and `choices`.
+ * @returns {Promise} Returns a `Promise` for the value of the selected choice, or an array of the values of the selected choices if `options.multiple` is truthy.
+ * @example
+ *
+ * dantil.select('Build which grammar?', [ 'full', 'test', { name: 'both', value: [ 'full', 'test' ] } ]).then(function (grammar) {
+ *   // => Prints: ? Build which grammar? (Use arrow keys)
+ *   //            ❯ full
+ *   //              test
+ *   //              both
+ * })
+ *
+ * dantil.select('Print which stats?', [ 'rules', 'symbols', 'ambiguity' ], { multiple: true, selected: [ 0 ] }).then(function (stats) {
+ *   // => Prints: ? Print which stats? (Use arrow keys, space to select)
+ *   //            ❯ ◉ rules
+ *   //              ◯ symbols
+ *   //              ◯ ambiguity
+ * })
  */
-function prettify(args, options) {
-  if (!options) {
+exports.select = function (question, choices, options) {
+  if (exports.illFormedOpts(_selectSchema, options)) {
+    return Promise.reject(new Error('Ill-formed options'))
+  } else if (!options) {
     options = {}
   }
 
-  var stylizeOptions = {
-    // Number of times to recurse while formatting; defaults to 2.
-    depth: options.depth,
-    // Format in color if the terminal supports color.
-    colors: exports.colors.supportsColor,
-  }
-
-  // Use `RegExp()` to get correct `reMultiLined.source`.
-  var reMultiLined = RegExp('\n', 'g')
-  var reWhitespaceOnly = /^\s+$/
-  var indent = '  '
-  var prevArgIsSeperateLine = false
-
-  var argsArray = Array.prototype.slice.call(args)
-
-  // Remove any leading newline characters in the first argument, and prepend them to the remainder of the formatted arguments instead of including the characters in the indentation of each argument (as occurs with other whitespace characters in the first argument).
-  var firstArg = argsArray[0]
-  var leadingNewlines = ''
-  if (/^\n+/.test(firstArg)) {
-    var lastNewlineIdx = firstArg.lastIndexOf('\n')
-    if (lastNewlineIdx === firstArg.length - 1) {
-      argsArray.shift()
-    } else {
-      argsArray[0] = firstArg.slice(lastNewlineIdx + 1)
-      firstArg = firstArg.slice(0, lastNewlineIdx + 1)
-    }
+  choices = choices.map(function (choice) {
+    return typeof choice === 'object' && choice !== null ? choice : { name: String(choice), value: choice }
+  })
 
-    leadingNewlines = firstArg
+  var input = options.input || process.stdin
+  if (input.isTTY && input.setRawMode) {
+    return selectWithKeys(question, choices, options)
   }
 
-  return leadingNewlines + argsArray.reduce(function (formattedArgs, arg, i, args) {
-    var argIsString = typeof arg === 'string'
-
-    // Parse numbers passed as string for styling.
-    if (argIsString && /^\S+$/.test(arg) && !isNaN(arg)) {
-      arg = parseFloat(arg)
-      argIsString = false
-    }
-
-    // Do not stylize strings passed as arguments (i.e., not `Object` properties). This also preserves any already-stylized arguments.
-    var formattedArg = !options.stylizeStings && argIsString ? arg : exports.stylize(arg, stylizeOptions)
-
-    if (i === 0) {
-      // Extend indent for remaining arguments with the first argument's leading whitespace, if any.
-      if (argIsString) {
-        // Get the substring of leading whitespace characters from the start of the string, up to the first non-whitespace character, if any.
-        var firstNonWhitespaceIndex = arg.search(/[^\s]/)
-        arg = arg.slice(0, firstNonWhitespaceIndex === -1 ? arg.length : firstNonWhitespaceIndex)
+  var output = getPromptOutput(options)
+  var defaultIndex = options.default || 0
+  var hint = exports.colors.grey(options.multiple ? '(comma-separated numbers) ' : '(' + (defaultIndex + 1) + ') ')
 
-        // JavaScript will not properly indent if '\t' is appended to spaces (i.e., reverse order as here).
-        // If the first argument is entirely whitespace, indent all remaining arguments with that whitespace.
-        indent = reWhitespaceOnly.test(formattedArg) ? arg : arg + indent
+  function ask() {
+    output.write(formatPromptQuestion(question) + '\n')
+    choices.forEach(function (choice, i) {
+      output.write('  ' + exports.colors.cyan(i + 1 + ')') + ' ' + choice.name + '\n')
+    })
+    output.write(exports.colors.grey('  Answer: ') + hint)
 
-        // If first argument is entirely whitespace, exclude from output because it serves only to set indentation of all remaining arguments.
-        if (reWhitespaceOnly.test(formattedArg)) {
-          // Force the next argument to be pushed to `formattedArgs` to avoid concatenating with `undefined` (because `formattedArgs` remains empty).
-          prevArgIsSeperateLine = true
-        } else {
-          formattedArgs.push(formattedArg)
+    return readPromptAnswer(options).then(function (line) {
+      var indexes
+      if (line === undefined || line.trim() === '') {
+        if (line === undefined && options.default === undefined && !options.selected) {
+          throw new Error('Input ended before answering prompt')
         }
+
+        indexes = options.multiple ? options.selected || [] : [ defaultIndex ]
       } else {
-        formattedArgs.push(formattedArg)
+        indexes = (options.multiple ? line.split(',') : [ line ]).map(function (number) {
+          return Number(number.trim()) - 1
+        })
+      }
 
-        if (arg instanceof Object) {
-          // Do not indent remaining arguments if the first argument is of a complex type.
-          indent = ''
+      var isValid = indexes.every(function (index) {
+        return index % 1 === 0 && index >= 0 && index < choices.length
+      })
 
-          // Format the complex type on a separate line.
-          prevArgIsSeperateLine = true
-        }
+      if (!isValid) {
+        output.write(exports.colors.red('Please enter ' + (options.multiple ? 'numbers' : 'a number') + ' from 1 to ' + choices.length + '.') + '\n')
+        return ask()
       }
-    } else if (arg instanceof Object && (!Array.isArray(arg) || reMultiLined.test(formattedArg) || args[0] instanceof Object)) {
-      // Format plain `Object`s, `Array`s with multi-line string representations, and `Array`s when the first argument is of a complex type on separate lines.
-      formattedArgs.push(indent + formattedArg.replace(reMultiLined, reMultiLined.source + indent))
-      prevArgIsSeperateLine = true
-    } else if (prevArgIsSeperateLine) {
-      // Format anything that follows a multi-line string representations on a new line.
-      formattedArgs.push(indent + formattedArg)
-      prevArgIsSeperateLine = false
-    } else {
-      // Concatenate all consecutive primitive data types.
-      formattedArgs[formattedArgs.length - 1] += ' ' + formattedArg
-    }
 
-    return formattedArgs
-  }, []).join('\n')
+      return getSelectAnswer(choices, indexes, options.multiple)
+    })
+  }
+
+  return ask()
 }
 
 /**
- * Formats `value` in color for pretty-printing, recursing `options.depth` times while formatting.
+ * The schema for the options object of `dantil.select()`.
  *
- * This method is similar to Node's `util.inspect()`, but formats in color by default if the terminal supports color.
+ * @private
+ * @type {Object}
+ */
+var _selectSchema = {
+  multiple: Boolean,
+  default: Number,
+  selected: { type: Array, arrayType: Number },
+  input: Object,
+  output: Object,
+}
+
+/**
+ * Reads the answer of `dantil.select()` from a terminal in raw mode, selecting with the arrow keys.
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category Console
- * @param {*} value The object or value to stylize.
- * @param {Object} [options] The options object.
- * @param {boolean} [options.colors=true] Specify coloring the string for pretty-printing.
- * @param {number} [options.depth=2] The number of times to recurse while formating `value` if of a complex type. Pass `null` to recurse indefinitely.
- * @returns {string} Returns a stylized string representation of `value`.
+ * @param {string} question The question to print.
+ * @param {Object[]} choices The choices, with the properties `name` and `value`.
+ * @param {Object} options The options object of `dantil.select()`.
+ * @returns {Promise} Returns a `Promise` for the answer.
  */
-exports.stylize = function (value, options) {
-  if (!options) {
-    options = {}
+function selectWithKeys(question, choices, options) {
+  var input = options.input || process.stdin
+  var output = getPromptOutput(options)
+  var cursor = options.default || 0
+  var selected = choices.map(function (choice, i) {
+    return !!options.selected && options.selected.indexOf(i) !== -1
+  })
+  var renderedLinesLen = 0
+
+  function render(lines) {
+    // Move the cursor to the start of the previous render, and clear it.
+    output.write((renderedLinesLen > 1 ? '\u001b[' + (renderedLinesLen - 1) + 'A' : '') + '\r\u001b[J' + lines.join('\n'))
+    renderedLinesLen = lines.length
   }
 
-  // Print in color if the terminal supports color.
-  if (options.colors !== false) {
-    options.colors = exports.colors.supportsColor
+  function renderChoices() {
+    var hint = exports.colors.grey(options.multiple ? '(Use arrow keys, space to select)' : '(Use arrow keys)')
+    render([ formatPromptQuestion(question) + ' ' + hint ].concat(choices.map(function (choice, i) {
+      var isCursor = i === cursor
+      var checkbox = options.multiple ? (selected[i] ? exports.colors.green('◉') : '◯') + ' ' : ''
+      return (isCursor ? exports.colors.cyan('❯') : ' ') + ' ' + checkbox + (isCursor ? exports.colors.cyan(choice.name) : choice.name)
+    })))
   }
 
-  return util.inspect(value, options)
+  return new Promise(function (resolve, reject) {
+    function finish() {
+      input.removeListener('data', onData)
+      input.setRawMode(false)
+      input.pause()
+    }
+
+    function onData(chunk) {
+      var keys = String(chunk).match(/\u001b\[[A-D]|[\s\S]/g) || []
+
+      for (var k = 0, keysLen = keys.length; k < keysLen; ++k) {
+        var key = keys[k]
+
+        if (key === '\u001b[A' || key === 'k') {
+          cursor = (cursor - 1 + choices.length) % choices.length
+        } else if (key === '\u001b[B' || key === 'j') {
+          cursor = (cursor + 1) % choices.length
+        } else if (key === ' ' && options.multiple) {
+          selected[cursor] = !selected[cursor]
+        } else if (key === '\r' || key === '\n') {
+          finish()
+
+          var indexes = options.multiple ? getSelectedIndexes(selected) : [ cursor ]
+          var answerNames = indexes.map(function (index) {
+            return choices[index].name
+          })
+
+          render([ formatPromptQuestion(question) + ' ' + exports.colors.cyan(answerNames.join(', ')) ])
+          output.write('\n')
+
+          return resolve(getSelectAnswer(choices, indexes, options.multiple))
+        } else if (key === '\u0003') {
+          // Reject on Ctrl-C, which does not send `SIGINT` in raw mode.
+          finish()
+          output.write('\n')
+          return reject(new Error('Prompt canceled: ' + question))
+        }
+      }
+
+      renderChoices()
+    }
+
+    input.setRawMode(true)
+    input.on('data', onData)
+    input.resume()
+    renderChoices()
+  })
 }
 
 /**
- * Prints the provided values like `dantil.log()` prepended with red-colored "Error: ".
- *
- * If the first character of the first value is a newline character, moves the character to before "Error: ".
+ * Gets the indexes of the `true` elements of `selected`.
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category Console
- * @param {...*} [values] The values to print following "Error: ".
- * @returns {*} Returns the first argument.
- * @example
- *
- * dantil.logError('Failed', numTestsFailed, 'of', tests.length, 'tests')
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logError-example.jpg" alt="dantil.logError() example output"/>
- * ```
+ * @param {boolean[]} selected The selection state of each choice.
+ * @returns {number[]} Returns the indexes of the selected choices.
  */
-exports.logError = logWithColoredLabel.bind(null, 'Error', 'red')
+function getSelectedIndexes(selected) {
+  return selected.reduce(function (indexes, isSelected, i) {
+    if (isSelected) indexes.push(i)
+    return indexes
+  }, [])
+}
 
 /**
- * Prints the provided values like `dantil.logError()`, followed by a trailing newline.
+ * Gets the answer of `dantil.select()` for the choices at `indexes`.
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category Console
- * @param {...*} [values] The values to print following "Error: ".
- * @returns {*} Returns the first argument.
- * @example
- *
- * dantil.logErrorWithNewLine('Failed', numTestsFailed, 'of', tests.length, 'tests')
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logErrorWithNewLine-example.jpg" alt="dantil.logErrorWithNewLine() example output"/>
- * ```
+ * @param {Object[]} choices The choices, with the properties `name` and `value`.
+ * @param {number[]} indexes The indexes of the selected choices.
+ * @param {boolean} [multiple] Specify returning an array of values.
+ * @returns {*} Returns the value of the selected choice, or an array of values if `multiple` is truthy.
  */
-exports.logErrorWithNewLine = function () {
-  return exports.logError.apply(null, Array.from(arguments).concat('\n'))
+function getSelectAnswer(choices, indexes, multiple) {
+  var values = indexes.map(function (index) {
+    return choices[index].value
+  })
+
+  return multiple ? values : values[0]
 }
 
 /**
- * Prints the provided values like `dantil.log()` prepended with yellow-colored "Warning: ".
- *
- * If the first character of the first value is a newline character, moves the character to before "Warning: ".
+ * Formats `question` for the prompts of `dantil.prompt()`, `dantil.confirm()`, and `dantil.select()`.
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category Console
- * @param {...*} [values] The values to print following "Warning: ".
- * @returns {*} Returns the first argument.
- * @example
- *
- * dantil.logWarning('Missing property:', obj)
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logWarning-example.jpg" alt="dantil.logWarning() example output"/>
- * ```
+ * @param {string} question The question.
+ * @returns {string} Returns the stylized question.
  */
-exports.logWarning = logWithColoredLabel.bind(null, 'Warning', 'yellow')
+function formatPromptQuestion(question) {
+  return exports.colors.green('?') + ' ' + exports.colors.bold(question)
+}
 
 /**
- * Prints the provided values like `dantil.log()` prepended with green-colored "Success: ".
- *
- * If the first character of the first value is a newline character, moves the character to before "Success: ".
+ * Prints `question` followed by `hint` to the output stream of the prompt options `options`, without a trailing newline.
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category Console
- * @param {...*} [values] The values to print following "Success: ".
- * @returns {*} Returns the first argument.
- * @example
- *
- * dantil.logSuccess(tests.length, 'tests passed')
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logSuccess-example.jpg" alt="dantil.logSuccess() example output"/>
- * ```
+ * @param {Object} options The prompt options object.
+ * @param {string} question The question.
+ * @param {string} hint The stylized hint (e.g., the default answer) with a trailing space, if any.
  */
-exports.logSuccess = logWithColoredLabel.bind(null, 'Success', 'green')
+function writePromptQuestion(options, question, hint) {
+  getPromptOutput(options).write(formatPromptQuestion(question) + ' ' + hint)
+}
 
 /**
- * Prints `values` to `stdout` like `dantil.log()` prepended with `label` (e.g., `'Error'`) colored `color` (e.g., `'red'`).
+ * Gets the output stream of the prompt options `options`.
  *
  * @private
  * @static
- * @param {string} label The label to prepend to `values` (e.g., `'Error'`).
- * @param {string} color The color to stylize `label`.
- * @param {...*} [values] The values to print following `label`.
- * @returns {*} Returns the first printed value.
+ * @param {Object} options The prompt options object.
+ * @returns {Object} Returns `options.output`, if provided, else `process.stdout`.
  */
-function logWithColoredLabel(label, color) {
-  var values = Array.from(arguments).slice(2)
-  exports.log.apply(null, prependColoredLabel(label, color, values))
-  return values[0]
+function getPromptOutput(options) {
+  return options.output || process.stdout
 }
 
 /**
- * Prepends `label` (e.g., `'Error'`) colored `color` (e.g., `'red'`) to `values`.
- *
- * If the first character of the first value in `values` is '\n', moves the character to before `label`. Appends a colon to `label` if it is not already the string's last character.
+ * Gets the default answer of the prompt options `options` after reading the empty line or the end of input `line`.
  *
  * @private
  * @static
- * @param {string} label The label to prepend to `values` (e.g., `'Error'`).
- * @param {string} color The color to stylize `label`.
- * @param {*[]} values The values to follow `label`.
- * @returns {Array} Returns the array of `label` followed by the contents of `values`.
+ * @param {Object} options The prompt options object.
+ * @param {string|undefined} line The line read, or `undefined` if the input ended.
+ * @returns {*} Returns `options.default`, or `''` for an empty line without a default.
  */
-function prependColoredLabel(label, color, values) {
-  // Temporarily remove ':', if any, to avoid coloring it.
-  if (label[label.length - 1] === ':') {
-    label = label.slice(0, -1)
+function getPromptDefault(options, line) {
+  if (options.default !== undefined) {
+    return options.default
   }
 
-  // If the first character of the first value in `values` is '\n', move the character to before `label`.
-  var firstVal = values[0]
-  if (firstVal) {
-    if (firstVal === '\n' && values.length !== 1) {
-      // First value is '\n' and is not the only value.
-      values.shift()
-      label = '\n' + label
-    } else if (firstVal[0] === '\n') {
-      // First value begins with '\n'.
-      values[0] = firstVal.slice(1)
-      label = '\n' + label
-    }
+  if (line === undefined) {
+    throw new Error('Input ended before answering prompt')
   }
 
-  // Color `label` and append `values`.
-  return [ exports.colors[color](label) + ':' ].concat(values)
+  return line
 }
 
 /**
- * Prints the provided values in an error message like `dantil.logError()` followed by the file path and line number of the function call that invoked the currently executing module.
+ * Reads the answer to a prompt from the input stream of the prompt options `options`. If the input is not a terminal, which echoes the answer, prints the answer to the output stream to end the prompt line.
  *
+ * @private
  * @static
- * @memberOf dantil
- * @category Console
- * @param {boolean} [logThisLine] Specify logging the line where this method is called instead of the line which invoked the currently executing module.
- * @param {...*} [values] The values to print following "Error: ".
- * @returns {*} Returns the first argument.
- * @example
- *
- * ```
- * The contents of `foo.js`:
- * ```js
- * dantil.logErrorAndPath('Failed', numTestsFailed, 'of', tests.length, 'tests')
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logErrorAndPath-example.jpg" alt="dantil.logErrorAndPath() example output"/>
- * ```
+ * @param {Object} options The prompt options object.
+ * @returns {Promise} Returns a `Promise` for the line read, or `undefined` if the input ended.
  */
-exports.logErrorAndPath = logColoredLabelAndPath.bind(null, 'Error', 'red')
+function readPromptAnswer(options) {
+  var input = options.input || process.stdin
+
+  return readPromptLine(input).then(function (line) {
+    if (!input.isTTY) {
+      getPromptOutput(options).write((line === undefined ? '' : line) + '\n')
+    }
+
+    return line
+  })
+}
 
 /**
- * Prints the provided values in a warning message like `dantil.logWarning()` followed by the file path and line number of the function call that invoked the currently executing module.
- *
- * @static
- * @memberOf dantil
- * @category Console
- * @param {boolean} [logThisLine] Specify logging the line where this method is called instead of the line which invoked the currently executing module.
- * @param {...*} [values] The values to print following "Warning: ".
- * @returns {*} Returns the first argument.
- * @example
+ * The buffered input of the prompts, keyed by input stream, for reading lines across consecutive prompts.
  *
- * ```
- * The contents of `foo.js`:
- * ```js
- * var badObj = { name: 'danny', age: undefined }
- * dantil.logWarningAndPath('Property undefined:', badObj)
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logWarningAndPath-example.jpg" alt="dantil.logWarningAndPath() example output"/>
- * ```
+ * @private
+ * @type {Map}
  */
-exports.logWarningAndPath = logColoredLabelAndPath.bind(null, 'Warning', 'yellow')
+var _promptInputs = new Map()
 
 /**
- * Prints `values` to `stdout` like `dantil.log()` prepended with `label` colored `color`, like `logWithColoredLabel()`, and followed by the file path and line number of the function call that invoked the currently executing module.
+ * Reads the next line from `input` for the prompts, including lines already buffered from `input`. Listens to `input` only while reading, and pauses `input` afterward, so that the process can exit.
  *
  * @private
  * @static
- * @param {string} label The label to prepend to `value` (e.g., `'Error'`).
- * @param {string} color The color to stylize `label`.
- * @param {boolean} [logThisLine] Specify logging the line where this function is called instead of the line which invoked the currently executing module.
- * @param {...*} [values] The values to print following `label`.
- * @returns {*} Returns the first value following `label`.
+ * @param {Object} [input=process.stdin] The readable stream.
+ * @returns {Promise} Returns a `Promise` for the line without the trailing newline, or `undefined` if `input` ended.
  */
-function logColoredLabelAndPath(label, color, logThisLine) {
-  var pathAndLineNumber
-  // Check `logThisLine` equality strictly to avoid checking truthiness of the function's trailing arguments.
-  if (logThisLine !== true) {
-    pathAndLineNumber = exports.getModuleCallerLocation()
+function readPromptLine(input) {
+  if (!input) {
+    input = process.stdin
   }
 
-  // If `logThisLine` is `true` or this function was invoked via the main module without a parent module, then print the line where this function was called.
-  if (!pathAndLineNumber) {
-    pathAndLineNumber = exports.getLocation()
-  }
+  var inputState = _promptInputs.get(input)
+  if (!inputState) {
+    inputState = { buffer: '', ended: !!input.readableEnded }
+    _promptInputs.set(input, inputState)
 
-  // Check arity.
-  var args = Array.prototype.slice.call(arguments, typeof logThisLine === 'boolean' ? 3 : 2)
-  if (args.length > 0) {
-    logWithColoredLabel.apply(null, [ label, color ].concat(args))
-    exports.log('  ' + pathAndLineNumber)
-  } else {
-    logWithColoredLabel(label, color, pathAndLineNumber)
+    // Listen for the end of `input` while not reading, which can follow the last line read.
+    input.once('end', function () {
+      inputState.ended = true
+    })
   }
 
-  // Print trailing newline.
-  exports.log()
-
-  return args[0]
-}
+  function takeLine() {
+    var newlineIndex = inputState.buffer.indexOf('\n')
+    if (newlineIndex !== -1) {
+      var line = inputState.buffer.slice(0, newlineIndex).replace(/\r$/, '')
+      inputState.buffer = inputState.buffer.slice(newlineIndex + 1)
+      return line
+    }
 
-/**
- * Prints `object` preceded by the file path and line number of the function call that invoked the currently executing module. Surrounds output with a leading newline and a trailing newline.
- *
- * @static
- * @memberOf dantil
- * @category Console
- * @param {Object} object The object to print.
- * @param {boolean} [logThisLine] Specify logging the line where this method is called instead of the line which invoked the currently executing module.
- * @returns {Object} Returns `object`.
- * @example
- *
- * ```
- * The contents of `foo.js`:
- * ```js
- * var obj = {
- *   values: [1, 2, 3],
- *   name: 'danny'
- * }
- *
- * dantil.logPathAndObject(obj)
- * ```
- * Output:
- * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logPathAndObject-example.jpg" alt="dantil.logPathAndObject() example output"/>
- * ```
- */
-exports.logPathAndObject = function (object, logThisLine) {
-  var pathAndLineNumber
-  if (!logThisLine) {
-    pathAndLineNumber = exports.getModuleCallerLocation()
+    // Return the remaining text without a trailing newline at the end of input.
+    if (inputState.ended && inputState.buffer) {
+      var lastLine = inputState.buffer
+      inputState.buffer = ''
+      return lastLine
+    }
   }
 
-  // If `logThisLine` is `true` or this method was invoked via the main module without a parent module, then print the line where this method was called.
-  if (!pathAndLineNumber) {
-    pathAndLineNumber = exports.getLocation()
+  var bufferedLine = takeLine()
+  if (bufferedLine !== undefined || inputState.ended) {
+    return Promise.resolve(bufferedLine)
   }
 
-  // Print a leading newline, path and line number, `object`, and a trailing newline.
-  exports.log('\n' + pathAndLineNumber)
-  exports.log('  ', object)
-  exports.log()
+  return new Promise(function (resolve) {
+    function onData(chunk) {
+      inputState.buffer += String(chunk)
+      var line = takeLine()
+      if (line !== undefined) {
+        finish(line)
+      }
+    }
 
-  return object
+    function onEnd() {
+      inputState.ended = true
+      finish(takeLine())
+    }
+
+    function finish(line) {
+      input.removeListener('data', onData)
+      input.removeListener('end', onEnd)
+      input.pause()
+      resolve(line)
+    }
+
+    input.on('data', onData)
+    input.on('end', onEnd)
+    input.resume()
+  })
 }
 
 /**
@@ -1279,7 +7328,7 @@ exports.logPathAndObject = function (object, logThisLine) {
  * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logTrace-example.jpg" alt="dantil.logTrace() example output"/>
  * ```
  */
-exports.logTrace = function (message) {
+exports.logTrace = consoleMethod('logTrace', 'info', function (message) {
   exports.log('Trace' + (message ? ': ' + message : ''))
 
   // Modify V8's default stack trace format (when printing) to color function names.
@@ -1287,11 +7336,13 @@ exports.logTrace = function (message) {
   exports.prettifyStackTrace()
 
   // Get stack without lines for `Error` and this file.
-  exports.log(Error().stack.split('\n').slice(3).join('\n'))
+  exports.log(Error().stack.split('\n').slice(1).filter(function (line) {
+    return line.indexOf(__filename) === -1
+  }).join('\n'))
 
   // Restore original stack trace formatter after collecting stack trace.
   Error.prepareStackTrace = origPrepareStackTrace
-}
+})
 
 /**
  * Prints the file path and line number, prepended with `label` if provided else the invoking function's name. This is useful to mark reaching a section of code.
@@ -1320,7 +7371,7 @@ exports.logTrace = function (message) {
  * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logLine-label-example.jpg" alt="dantil.logLine(label) example output"/>
  * ```
  */
-exports.logLine = function (label) {
+exports.logLine = consoleMethod('logLine', 'info', function (label) {
   var stack = getStackTraceArray()
 
   // Get the location of this method's invocation, prepended with `label` if provided else the invoking function's name.
@@ -1340,7 +7391,7 @@ exports.logLine = function (label) {
   }
 
   exports.log(frameString)
-}
+})
 
 /**
  * If `value` is truthy, prints the file path and line number, prepended with `label` if provided else the invoking function's name. This is useful to mark reaching a section of code.
@@ -1370,11 +7421,11 @@ exports.logLine = function (label) {
  * <br><img src="https://raw.githubusercontent.com/DannyNemer/dantil/master/doc/img/dantil-logLineIf-label-example.jpg" alt="dantil.logLineIf(label) example output"/>
  * ```
  */
-exports.logLineIf = function (value, label) {
+exports.logLineIf = consoleMethod('logLineIf', 'info', function (value, label) {
   if (value) {
     exports.logLine(label)
   }
-}
+})
 
 /**
  * Modifies V8's default stack trace format (when printing) to stylize output.
@@ -1489,8 +7540,12 @@ exports.assertEqual = function (value, other, message) {
     var label = exports.colors.red('AssertionError') + ': '
     var comparisonStr = exports.stylize(value) + ' == ' + exports.stylize(other)
 
-    writeToProcessStream('stderr', label + (message ? message + ': ' : '') + comparisonStr)
-    writeToProcessStream('stderr', '  ' + exports.getLocation())
+    var location = formatLocation(exports.getLocation())
+
+    invokeConsoleMethod(_defaultLogger, 'error', function () {
+      writeToProcessStream('stderr', label + (message ? message + ': ' : '') + comparisonStr)
+      writeToProcessStream('stderr', '  ' + location)
+    })
 
     return false
   }
@@ -1807,9 +7862,9 @@ exports.deleteUndefinedObjectProps = function (object) {
  * ```
  */
 exports.diffObjects = function (object, other, collapsed) {
-  // Stringify objects.
-  object = JSON.stringify(object, null, '\t')
-  other = JSON.stringify(other, null, '\t')
+  // Stringify objects, applying the formatters of `dantil.registerFormatter()`.
+  object = JSON.stringify(object, formatJSONValue, '\t')
+  other = JSON.stringify(other, formatJSONValue, '\t')
 
   // Compare stringified objects line by line.
   var diffParts = jsdiff.diffLines(object, other)
@@ -1867,6 +7922,23 @@ exports.diffObjects = function (object, other, collapsed) {
   return diff
 }
 
+/**
+ * Replaces `value` with the result of the formatter of `dantil.registerFormatter()` that applies to `value`, if any, for use by `dantil.diffObjects()` as the `replacer` of `JSON.stringify()`.
+ *
+ * Checks the formatters against the value before `JSON.stringify()` invoked its `toJSON()` method, if any, which `this` (the object containing `value`) still holds, so that the formatters apply to types that define `toJSON()` (e.g., `Date`).
+ *
+ * @private
+ * @static
+ * @param {string} key The key of `value`.
+ * @param {*} value The value to format, after `toJSON()`.
+ * @returns {*} Returns the formatted value, or `value` if no formatter applies.
+ */
+function formatJSONValue(key, value) {
+  var origValue = this[key]
+  var format = getFormatter(origValue)
+  return format ? format(origValue) : value
+}
+
 /**
  * Generates a bar depicting a range of unchanged lines collapsed in a fold, for use by `dantil.diffObjects()`.
  *
@@ -0,0 +1,130 @@
+var assert = require('assert')
+var fs = require('fs')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('captureOutput()', function () {
+  var dirPath = helpers.makeTempDir('capture')
+
+  it('captures `stdout` and returns the value of `func`', function () {
+    var capture = dantil.captureOutput(function () {
+      process.stdout.write('lorem\n')
+      return 7
+    })
+
+    assert.deepStrictEqual(capture, { stdout: 'lorem\n', value: 7 })
+  })
+
+  it('captures `stderr` and removes ANSI escape codes', function () {
+    var capture = dantil.captureOutput({ stdout: false, stderr: true }, function () {
+      process.stderr.write(dantil.colors.styles.red.open + 'ipsum' + dantil.colors.styles.red.close)
+    })
+
+    assert.deepStrictEqual(capture, { stderr: 'ipsum', value: undefined })
+  })
+
+  it('removes ANSI escape codes split across writes', function () {
+    var red = dantil.colors.styles.red
+    var filePath = path.join(dirPath, 'split.txt')
+
+    function writeSplit() {
+      process.stdout.write(red.open.slice(0, 1))
+      process.stdout.write(red.open.slice(1, 3))
+      process.stdout.write(red.open.slice(3) + 'lorem' + red.close.slice(0, 2))
+      process.stdout.write(red.close.slice(2) + ' 12\u001b[')
+    }
+
+    assert.strictEqual(dantil.captureOutput(writeSplit).stdout, 'lorem 12\u001b[')
+
+    dantil.captureOutput({ path: filePath }, writeSplit)
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'lorem 12\u001b[')
+  })
+
+  it('retains ANSI escape codes with `options.colors` and returns `Buffer`s with `options.buffer`', function () {
+    var string = dantil.colors.styles.red.open + 'ipsum' + dantil.colors.styles.red.close
+    var capture = dantil.captureOutput({ colors: true, buffer: true }, function () {
+      process.stdout.write(string)
+    })
+
+    assert.ok(Buffer.isBuffer(capture.stdout))
+    assert.strictEqual(capture.stdout.toString(), string)
+  })
+
+  it('passes the output of a nested capture to the enclosing capture only with `options.tee`', function () {
+    var inner
+    var outer = dantil.captureOutput(function () {
+      process.stdout.write('a')
+      inner = dantil.captureOutput({ tee: true }, function () {
+        process.stdout.write('b')
+        dantil.captureOutput(function () {
+          process.stdout.write('c')
+        })
+      })
+      process.stdout.write('d')
+    })
+
+    assert.strictEqual(inner.stdout, 'b')
+    assert.strictEqual(outer.stdout, 'abd')
+  })
+
+  it('restores the streams if `func` throws', function () {
+    var write = process.stdout.write
+
+    assert.throws(function () {
+      dantil.captureOutput(function () {
+        throw new Error('failure')
+      })
+    }, /failure/)
+
+    assert.strictEqual(process.stdout.write, write)
+  })
+
+  it('captures output until a returned Promise settles', function () {
+    // Capture only `stderr`, because the test runner reports through `stdout` in the meantime.
+    return dantil.captureOutput({ stdout: false, stderr: true }, function () {
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          process.stderr.write('later')
+          resolve(3)
+        })
+      })
+    }).then(function (capture) {
+      assert.deepStrictEqual(capture, { stderr: 'later', value: 3 })
+    })
+  })
+
+  it('writes the output to `options.path`, appending with `options.append`', function () {
+    var filePath = path.join(dirPath, 'output.txt')
+
+    dantil.captureOutput({ path: filePath }, function () {
+      process.stdout.write('lorem\n')
+    })
+
+    var capture = dantil.captureOutput({ path: filePath, append: true }, function () {
+      process.stdout.write('ipsum\n')
+    })
+
+    assert.deepStrictEqual(capture, { value: undefined })
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'lorem\nipsum\n')
+  })
+})
+
+describe('stdoutToFile()', function () {
+  it('writes `stdout` to a file and returns the value of `func`', function () {
+    var filePath = path.join(helpers.makeTempDir('stdout'), 'output.txt')
+
+    var capture = dantil.captureOutput(function () {
+      return dantil.stdoutToFile(filePath, function () {
+        dantil.log('lorem')
+        return 5
+      })
+    })
+
+    assert.strictEqual(capture.value, 5)
+    assert.strictEqual(capture.stdout, 'Output saved: ' + filePath + '\n')
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'lorem\n')
+  })
+})
@@ -0,0 +1,62 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('code frames', function () {
+  var filePath = helpers.writeFixture(helpers.makeTempDir('code-frame'), 'data.js', [
+    'module.exports = [',
+    '  { name: \'dolor\', num: 1 },',
+    '  { name: \'lorem\', num: 2 },',
+    '  { name: \'ipsum\', num: \'3\' }',
+    ']',
+  ])
+
+  it('codeFrame() excerpts the lines around a location and marks its column', function () {
+    assert.strictEqual(dantil.colors.stripColor(dantil.codeFrame(filePath, 4, 25, 1)), [
+      '  3 |   { name: \'lorem\', num: 2 },',
+      '> 4 |   { name: \'ipsum\', num: \'3\' }',
+      '    |                         ^',
+      '  5 | ]',
+    ].join('\n'))
+  })
+
+  it('codeFrame() limits the excerpt to the file', function () {
+    assert.strictEqual(dantil.colors.stripColor(dantil.codeFrame(filePath, 1, undefined, 1)), [
+      '> 1 | module.exports = [',
+      '  2 |   { name: \'dolor\', num: 1 },',
+    ].join('\n'))
+  })
+
+  it('logErrorAndPath() prints a code frame if enabled', function () {
+    dantil.setCodeFrameLines(1)
+
+    try {
+      var capture = dantil.captureOutput({ stderr: true }, function () {
+        dantil.logErrorAndPath(true, 'Failed')
+      })
+    } finally {
+      dantil.setCodeFrameLines(0)
+    }
+
+    assert.strictEqual(capture.stdout + capture.stderr, [
+      'Error: Failed',
+      '  ' + __filename + ':37:16',
+      '    36 |       var capture = dantil.captureOutput({ stderr: true }, function () {',
+      '  > 37 |         dantil.logErrorAndPath(true, \'Failed\')',
+      '       |                ^',
+      '    38 |       })',
+      '',
+      '',
+    ].join('\n'))
+  })
+
+  it('logWarningAndPath() prints no code frame by default', function () {
+    var capture = dantil.captureOutput({ stderr: true }, function () {
+      dantil.logWarningAndPath(true, 'Deprecated')
+    })
+
+    assert.doesNotMatch(capture.stdout + capture.stderr, /\|/)
+  })
+})
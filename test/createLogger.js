@@ -0,0 +1,88 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+
+/**
+ * Creates a writable stream that collects the strings written to it.
+ */
+function createStream() {
+  return {
+    chunks: [],
+    write: function (string) {
+      this.chunks.push(string)
+    },
+  }
+}
+
+describe('createLogger()', function () {
+  it('prints to `options.stream`, including the output of `logStderr()`', function () {
+    var stream = createStream()
+    var logger = dantil.createLogger({ stream: stream })
+
+    var capture = dantil.captureOutput({ stderr: true }, function () {
+      logger.log('lorem', 'ipsum')
+      logger.logStderr('dolor')
+    })
+
+    assert.deepStrictEqual(stream.chunks, [ 'lorem ipsum\n', 'dolor\n' ])
+    assert.deepStrictEqual(capture, { stdout: '', stderr: '', value: undefined })
+  })
+
+  it('prints only the messages at or above `options.level`', function () {
+    var stream = createStream()
+    var logger = dantil.createLogger({ stream: stream, level: 'warn' })
+
+    logger.log('info')
+    logger.logWarning('warn')
+    logger.logError('error')
+
+    assert.deepStrictEqual(stream.chunks, [ 'Warning: warn\n', 'Error: error\n' ])
+
+    var silentLogger = dantil.createLogger({ stream: stream, level: 'silent' })
+    silentLogger.logError('error')
+    assert.strictEqual(stream.chunks.length, 2)
+  })
+
+  it('prints nested invocations at the level of the outermost invocation', function () {
+    var stream = createStream()
+    var logger = dantil.createLogger({ stream: stream, level: 'error' })
+
+    // `logError()` prints its message with `log()`, which alone prints at `'info'`.
+    logger.logError('failure')
+
+    assert.deepStrictEqual(stream.chunks, [ 'Error: failure\n' ])
+  })
+
+  it('removes colors if `options.colors` is `false`', function () {
+    var red = dantil.colors.styles.red
+    var string = red.open + 'lorem' + red.close
+    var coloredStream = createStream()
+    var plainStream = createStream()
+
+    dantil.createLogger({ stream: coloredStream }).log(string)
+    dantil.createLogger({ stream: plainStream, colors: false }).log(string)
+
+    assert.deepStrictEqual(coloredStream.chunks, [ string + '\n' ])
+    assert.deepStrictEqual(plainStream.chunks, [ 'lorem\n' ])
+  })
+
+  it('prefixes each line with `options.prefix`', function () {
+    var stream = createStream()
+    var logger = dantil.createLogger({ stream: stream, prefix: '[build] ' })
+
+    logger.logWarning('Unused rules:', 'lorem\nipsum')
+
+    assert.deepStrictEqual(stream.chunks, [ '[build] Warning: Unused rules: lorem\n[build] ipsum\n' ])
+  })
+
+  it('does not change the default logger', function () {
+    dantil.createLogger({ stream: createStream(), level: 'silent', prefix: '> ' })
+
+    var capture = dantil.captureOutput(function () {
+      dantil.log('lorem')
+    })
+
+    assert.strictEqual(capture.stdout, 'lorem\n')
+  })
+})
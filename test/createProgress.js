@@ -0,0 +1,127 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+
+/**
+ * Creates a writable stream that collects the strings written to it, which is a terminal `columns` wide if `isTTY` is truthy.
+ */
+function createStream(isTTY, columns) {
+  return {
+    isTTY: isTTY,
+    columns: columns,
+    chunks: [],
+    write: function (string) {
+      // Remove the colors, but not the escape codes that clear the line.
+      this.chunks.push(string.replace(/\u001b\[[0-9;]*m/g, ''))
+    },
+  }
+}
+
+describe('createProgress()', function () {
+  it('prints the final progress bar and message when done', function () {
+    var stream = createStream(false)
+    var progress = dantil.createProgress({ total: 4, label: 'Generating', width: 8, stream: stream })
+
+    progress.tick()
+    progress.tick(2, 'nounPhrase')
+    progress.done('Done')
+
+    assert.strictEqual(stream.chunks.length, 1)
+    assert.match(stream.chunks[0], /^Generating \[██████░░\] 75% 3\/4 \S+\/s ETA \S+ Done\n$/)
+  })
+
+  it('prints a spinner with the time elapsed if `options.total` is not provided', function () {
+    var stream = createStream(false)
+    var progress = dantil.createProgress({ stream: stream })
+
+    progress.update(7)
+    progress.done()
+
+    assert.match(stream.chunks[0], /^7 \S+\/s \d+s elapsed\n$/)
+  })
+
+  it('prints a line every `options.interval` milliseconds if the stream is not a terminal', function () {
+    var stream = createStream(false)
+    var progress = dantil.createProgress({ total: 10, stream: stream, interval: 5 })
+
+    progress.tick()
+    assert.deepStrictEqual(stream.chunks, [])
+
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 20)
+    }).then(function () {
+      progress.tick()
+      progress.done()
+
+      assert.ok(stream.chunks.length >= 2)
+      assert.ok(stream.chunks.every(function (chunk) {
+        return /^\[[█░]+\] \d+% \d+\/10 /.test(chunk) && chunk.slice(-1) === '\n'
+      }))
+    })
+  })
+
+  it('redraws in place in a terminal, and prints log output above the progress', function () {
+    var stream = createStream(true, 80)
+    var logger = dantil.createLogger({ stream: stream })
+    var progress = dantil.createProgress({ total: 10, width: 4, stream: stream })
+
+    logger.log('lorem')
+    progress.done()
+    logger.log('ipsum')
+
+    var bar = '[░░░░] 0% 0/10 0.0/s ETA ?'
+    assert.deepStrictEqual(stream.chunks, [
+      '\r\u001b[K' + bar,
+      '\r\u001b[K',
+      'lorem\n',
+      '\r\u001b[K' + bar,
+      '\r\u001b[K' + bar + '\n',
+      'ipsum\n',
+    ])
+  })
+
+  it('clears and redraws the progress only for output to the same terminal', function () {
+    var stream = Object.assign(createStream(true, 80), { fd: 9 })
+    var otherStream = Object.assign(createStream(true, 80), { fd: 8 })
+    var sameFdStream = Object.assign(createStream(true, 80), { fd: 9 })
+    var progress = dantil.createProgress({ total: 10, width: 4, stream: stream })
+
+    dantil.createLogger({ stream: otherStream }).log('lorem')
+    dantil.createLogger({ stream: sameFdStream }).log('ipsum')
+    progress.done()
+
+    var bar = '[░░░░] 0% 0/10 0.0/s ETA ?'
+    assert.deepStrictEqual(otherStream.chunks, [ 'lorem\n' ])
+    assert.deepStrictEqual(sameFdStream.chunks, [ 'ipsum\n' ])
+    assert.deepStrictEqual(stream.chunks, [
+      '\r\u001b[K' + bar,
+      '\r\u001b[K',
+      '\r\u001b[K' + bar,
+      '\r\u001b[K' + bar + '\n',
+    ])
+  })
+
+  it('truncates the progress to the terminal width', function () {
+    var stream = createStream(true, 20)
+    var progress = dantil.createProgress({ total: 10, stream: stream })
+    progress.done()
+
+    stream.chunks.forEach(function (chunk) {
+      assert.ok(chunk.replace(/\r\u001b\[K|\n/g, '').length <= 19)
+    })
+  })
+
+  it('ends the active progress when creating another', function () {
+    var stream = createStream(false)
+    var first = dantil.createProgress({ label: 'first', stream: stream })
+    var second = dantil.createProgress({ label: 'second', stream: stream })
+
+    first.done()
+    second.done()
+
+    assert.strictEqual(stream.chunks.length, 2)
+    assert.match(stream.chunks[0], /^first /)
+    assert.match(stream.chunks[1], /^second /)
+  })
+})
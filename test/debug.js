@@ -0,0 +1,78 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var afterEach = require('node:test').afterEach
+var dantil = require('../dantil')
+
+describe('debug()', function () {
+  var envDebug = process.env.DANTIL_DEBUG
+  var envLevel = process.env.DANTIL_LOG_LEVEL
+
+  afterEach(function () {
+    if (envDebug === undefined) delete process.env.DANTIL_DEBUG
+    else process.env.DANTIL_DEBUG = envDebug
+
+    if (envLevel === undefined) delete process.env.DANTIL_LOG_LEVEL
+    else process.env.DANTIL_LOG_LEVEL = envLevel
+  })
+
+  it('prints nothing if `DANTIL_DEBUG` is not set', function () {
+    delete process.env.DANTIL_DEBUG
+    var debug = dantil.debug('parser')
+
+    var capture = dantil.captureOutput(function () {
+      return debug('lorem', 2)
+    })
+
+    assert.strictEqual(debug.namespace, 'parser')
+    assert.strictEqual(debug.enabled, false)
+    assert.deepStrictEqual(capture, { stdout: '', value: 'lorem' })
+  })
+
+  it('prints the namespace and the time elapsed since the last message in the namespace', function () {
+    process.env.DANTIL_DEBUG = 'parser'
+    delete process.env.DANTIL_LOG_LEVEL
+    var debug = dantil.debug('parser')
+
+    var capture = dantil.captureOutput(function () {
+      debug('Reducing', 'nounPhrase')
+      debug('Reduced')
+    })
+
+    assert.strictEqual(debug.enabled, true)
+    assert.match(capture.stdout, /^parser Reducing nounPhrase \+\d+ms\nparser Reduced \+\d+ms\n$/)
+  })
+
+  it('matches `DANTIL_DEBUG` patterns with wildcards and exclusions', function () {
+    process.env.DANTIL_DEBUG = 'parser:*, -parser:lexer,search'
+
+    assert.strictEqual(dantil.debug('parser:reduce').enabled, true)
+    assert.strictEqual(dantil.debug('parser:lexer').enabled, false)
+    assert.strictEqual(dantil.debug('parser').enabled, false)
+    assert.strictEqual(dantil.debug('search').enabled, true)
+    assert.strictEqual(dantil.debug('search:a*').enabled, false)
+
+    // Reparses `DANTIL_DEBUG` when it changes.
+    process.env.DANTIL_DEBUG = '*'
+    assert.strictEqual(dantil.debug('parser:lexer').enabled, true)
+  })
+
+  it('escapes characters in patterns other than `*`', function () {
+    process.env.DANTIL_DEBUG = 'a.b'
+
+    assert.strictEqual(dantil.debug('a.b').enabled, true)
+    assert.strictEqual(dantil.debug('axb').enabled, false)
+  })
+
+  it('prints nothing if `DANTIL_LOG_LEVEL` is above `\'debug\'`', function () {
+    process.env.DANTIL_DEBUG = 'parser'
+    process.env.DANTIL_LOG_LEVEL = 'info'
+    var debug = dantil.debug('parser')
+
+    var capture = dantil.captureOutput(function () {
+      debug('lorem')
+    })
+
+    assert.strictEqual(capture.stdout, '')
+  })
+})
@@ -0,0 +1,50 @@
+var assert = require('assert')
+var fs = require('fs')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('cached file indexes', function () {
+  var dirPath = helpers.makeTempDir('file-index')
+  var filePath = helpers.writeFixture(dirPath, 'foo.js', [
+    'var list = [',
+    '  {',
+    '    name: \'lorem\',',
+    '    num: 2',
+    '  }, {',
+    '    name: \'lorem ipsum\',',
+    '    num: 5',
+    '  }, {',
+    '    name: \'ipsum\',',
+    '    num: 3',
+    '  }',
+    ']',
+  ])
+
+  it('firstPathAndLineNumberOfEach() gets the first occurrence of each value and pair', function () {
+    assert.deepStrictEqual(dantil.firstPathAndLineNumberOfEach(filePath, [ 'lorem', [ 'ipsum', 'num' ], /num: 3/, 'dolor' ]), [
+      filePath + ':3:12',
+      filePath + ':7:5',
+      filePath + ':10:5',
+      undefined,
+    ])
+  })
+
+  it('firstPathAndLineNumberOfEach() matches firstPathAndLineNumberOf()', function () {
+    var values = [ 'num', [ '\'ipsum\'', 'num' ], [ '\'ipsum\'', 'ipsum' ], [ 'lorem', 'lorem' ] ]
+
+    assert.deepStrictEqual(dantil.firstPathAndLineNumberOfEach(filePath, values, { structured: true }), values.map(function (value) {
+      return Array.isArray(value) ? dantil.firstPathAndLineNumberOf(filePath, value[0], value[1], { structured: true }) : dantil.firstPathAndLineNumberOf(filePath, value, { structured: true })
+    }))
+  })
+
+  it('reindexes a file after it changes', function () {
+    var changingPath = helpers.writeFixture(dirPath, 'changing.js', 'lorem\n')
+    assert.strictEqual(dantil.firstPathAndLineNumberOf(changingPath, 'lorem'), changingPath + ':1:1')
+
+    fs.writeFileSync(changingPath, '\n\n  lorem\n')
+    assert.strictEqual(dantil.firstPathAndLineNumberOf(changingPath, 'lorem'), changingPath + ':3:3')
+    assert.strictEqual(dantil.colors.stripColor(dantil.codeFrame(changingPath, 3, 3, 0)), '> 3 |   lorem\n    |   ^')
+  })
+})
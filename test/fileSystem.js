@@ -0,0 +1,272 @@
+var assert = require('assert')
+var childProcess = require('child_process')
+var fs = require('fs')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+function getMode(filePath) {
+  return fs.lstatSync(filePath).mode & 511
+}
+
+describe('path checks', function () {
+  it('pathExistsSync(), pathTypeSync(), and pathPermissionsSync() describe existing and missing paths', function () {
+    var dirPath = helpers.makeTempDir('fs')
+    var filePath = path.join(dirPath, 'file.txt')
+    var linkPath = path.join(dirPath, 'link')
+    fs.writeFileSync(filePath, 'data')
+    fs.chmodSync(filePath, 420)
+    fs.symlinkSync(filePath, linkPath)
+
+    assert.strictEqual(dantil.pathExistsSync(filePath), true)
+    assert.strictEqual(dantil.pathExistsSync(path.join(dirPath, 'missing')), false)
+
+    assert.strictEqual(dantil.pathTypeSync(dirPath), 'directory')
+    assert.strictEqual(dantil.pathTypeSync(filePath), 'file')
+    assert.strictEqual(dantil.pathTypeSync(linkPath), 'symlink')
+    assert.strictEqual(dantil.pathTypeSync(path.join(filePath, 'child')), undefined)
+
+    var permissions = dantil.pathPermissionsSync(filePath)
+    assert.strictEqual(permissions.readable, true)
+    assert.strictEqual(permissions.executable, false)
+    assert.strictEqual(dantil.pathPermissionsSync(path.join(dirPath, 'missing')), undefined)
+  })
+
+  it('pathExists(), pathType(), and pathPermissions() match their synchronous versions', function () {
+    var dirPath = helpers.makeTempDir('fs')
+
+    return Promise.all([
+      dantil.pathExists(dirPath),
+      dantil.pathExists(path.join(dirPath, 'missing')),
+      dantil.pathType(dirPath),
+      dantil.pathType(path.join(dirPath, 'missing')),
+      dantil.pathPermissions(dirPath),
+    ]).then(function (results) {
+      assert.deepStrictEqual(results, [ true, false, 'directory', undefined, dantil.pathPermissionsSync(dirPath) ])
+    })
+  })
+})
+
+describe('mkdirp and remove', function () {
+  it('mkdirpSync() creates missing parent directories and accepts existing directories', function () {
+    var dirPath = helpers.makeTempDir('fs')
+    var nestedPath = path.join(dirPath, 'a/b/c')
+
+    assert.strictEqual(dantil.mkdirpSync(nestedPath), nestedPath)
+    assert.strictEqual(dantil.pathTypeSync(nestedPath), 'directory')
+    assert.strictEqual(dantil.mkdirpSync(nestedPath), nestedPath)
+
+    fs.writeFileSync(path.join(dirPath, 'file'), '')
+    assert.throws(function () {
+      dantil.mkdirpSync(path.join(dirPath, 'file'))
+    }, { code: 'EEXIST' })
+  })
+
+  it('mkdirp() creates missing parent directories', function () {
+    var nestedPath = path.join(helpers.makeTempDir('fs'), 'a/b/c')
+
+    return dantil.mkdirp(nestedPath).then(function (dirPath) {
+      assert.strictEqual(dirPath, nestedPath)
+      assert.strictEqual(dantil.pathTypeSync(nestedPath), 'directory')
+    })
+  })
+
+  it('removeSync() removes directories recursively, and removes symbolic links instead of their targets', function () {
+    var dirPath = helpers.makeTempDir('fs')
+    var targetPath = path.join(dirPath, 'target')
+    var removedPath = path.join(dirPath, 'removed')
+    fs.mkdirSync(targetPath)
+    fs.writeFileSync(path.join(targetPath, 'kept.txt'), '')
+    dantil.mkdirpSync(path.join(removedPath, 'a/b'))
+    fs.writeFileSync(path.join(removedPath, 'a/b/file.txt'), '')
+    fs.symlinkSync(targetPath, path.join(removedPath, 'link'))
+
+    assert.strictEqual(dantil.removeSync(removedPath), true)
+    assert.strictEqual(dantil.pathExistsSync(removedPath), false)
+    assert.strictEqual(dantil.pathExistsSync(path.join(targetPath, 'kept.txt')), true)
+    assert.strictEqual(dantil.removeSync(removedPath), false)
+  })
+
+  it('remove() removes directories recursively', function () {
+    var dirPath = helpers.makeTempDir('fs')
+    dantil.mkdirpSync(path.join(dirPath, 'a/b'))
+    fs.writeFileSync(path.join(dirPath, 'a/b/file.txt'), '')
+
+    return dantil.remove(path.join(dirPath, 'a')).then(function (removed) {
+      assert.strictEqual(removed, true)
+      assert.strictEqual(dantil.pathExistsSync(path.join(dirPath, 'a')), false)
+      return dantil.remove(path.join(dirPath, 'a'))
+    }).then(function (removed) {
+      assert.strictEqual(removed, false)
+    })
+  })
+
+  it('removeSync() refuses to remove the root directory', function () {
+    var output = dantil.captureOutput(function () {
+      assert.throws(function () {
+        dantil.removeSync('/')
+      }, /Refusing to remove root directory/)
+    })
+
+    assert.ok(output.stdout.indexOf('Refusing to remove root directory') !== -1)
+  })
+})
+
+describe('copy', function () {
+  /**
+   * Creates a directory to copy that contains a read-only subdirectory, a file with custom permissions, and a symbolic link.
+   */
+  function makeSrcDir() {
+    var srcPath = path.join(helpers.makeTempDir('fs'), 'src')
+    dantil.mkdirpSync(path.join(srcPath, 'locked'))
+    fs.writeFileSync(path.join(srcPath, 'locked/inner.txt'), 'inner')
+    fs.chmodSync(path.join(srcPath, 'locked/inner.txt'), 292)
+    fs.chmodSync(path.join(srcPath, 'locked'), 365)
+    fs.writeFileSync(path.join(srcPath, 'script.sh'), 'echo')
+    fs.chmodSync(path.join(srcPath, 'script.sh'), 493)
+    fs.symlinkSync('script.sh', path.join(srcPath, 'link'))
+    return srcPath
+  }
+
+  function assertCopied(destPath) {
+    assert.strictEqual(fs.readFileSync(path.join(destPath, 'locked/inner.txt'), 'utf8'), 'inner')
+    assert.strictEqual(getMode(path.join(destPath, 'locked/inner.txt')), 292)
+    assert.strictEqual(getMode(path.join(destPath, 'locked')), 365)
+    assert.strictEqual(getMode(path.join(destPath, 'script.sh')), 493)
+    assert.strictEqual(fs.readlinkSync(path.join(destPath, 'link')), 'script.sh')
+  }
+
+  it('copySync() copies directories recursively, applying the modes of read-only directories after copying their contents', function () {
+    var srcPath = makeSrcDir()
+    var destPath = path.join(path.dirname(srcPath), 'backup/dest')
+
+    assert.strictEqual(dantil.copySync(srcPath, destPath), destPath)
+    assertCopied(destPath)
+
+    // Copy again over the read-only copies.
+    fs.writeFileSync(path.join(srcPath, 'script.sh'), 'echo again')
+    dantil.copySync(srcPath, destPath)
+    assertCopied(destPath)
+    assert.strictEqual(fs.readFileSync(path.join(destPath, 'script.sh'), 'utf8'), 'echo again')
+  })
+
+  it('copy() copies directories recursively, applying the modes of read-only directories after copying their contents', function () {
+    var srcPath = makeSrcDir()
+    var destPath = path.join(path.dirname(srcPath), 'backup/dest')
+
+    return dantil.copy(srcPath, destPath).then(function (copyPath) {
+      assert.strictEqual(copyPath, destPath)
+      assertCopied(destPath)
+      return dantil.copy(srcPath, destPath)
+    }).then(function () {
+      assertCopied(destPath)
+    })
+  })
+
+  it('copySync() overwrites read-only files', function () {
+    var dirPath = helpers.makeTempDir('fs')
+    var srcPath = path.join(dirPath, 'src.txt')
+    var destPath = path.join(dirPath, 'dest.txt')
+    fs.writeFileSync(srcPath, 'new')
+    fs.writeFileSync(destPath, 'old')
+    fs.chmodSync(destPath, 292)
+
+    dantil.copySync(srcPath, destPath)
+    assert.strictEqual(fs.readFileSync(destPath, 'utf8'), 'new')
+  })
+
+  it('copySync() and copy() replace a destination that is a symbolic link to a directory instead of copying into its target', function () {
+    var srcPath = makeSrcDir()
+    var dirPath = path.dirname(srcPath)
+    var targetPath = path.join(dirPath, 'target')
+    fs.mkdirSync(targetPath)
+    fs.chmodSync(targetPath, 493)
+
+    var syncDestPath = path.join(dirPath, 'sync-link')
+    var asyncDestPath = path.join(dirPath, 'async-link')
+    fs.symlinkSync(targetPath, syncDestPath)
+    fs.symlinkSync(targetPath, asyncDestPath)
+
+    dantil.copySync(srcPath, syncDestPath)
+    assert.strictEqual(dantil.pathTypeSync(syncDestPath), 'directory')
+    assertCopied(syncDestPath)
+
+    return dantil.copy(srcPath, asyncDestPath).then(function () {
+      assert.strictEqual(dantil.pathTypeSync(asyncDestPath), 'directory')
+      assertCopied(asyncDestPath)
+
+      assert.deepStrictEqual(fs.readdirSync(targetPath), [])
+      assert.strictEqual(getMode(targetPath), 493)
+    })
+  })
+
+  it('copySync() and copy() reject paths within the source', function () {
+    var srcPath = helpers.makeTempDir('fs')
+
+    dantil.captureOutput(function () {
+      assert.throws(function () {
+        dantil.copySync(srcPath, path.join(srcPath, 'inner'))
+      }, /Can not copy a path to itself/)
+    })
+
+    // `dantil.copy()` prints the error before returning the rejected `Promise`.
+    var promise
+    dantil.captureOutput(function () {
+      promise = dantil.copy(srcPath, srcPath)
+    })
+
+    return promise.then(function () {
+      assert.fail('Expected rejection')
+    }, function (err) {
+      assert.match(err.message, /Can not copy a path to itself/)
+    })
+  })
+
+  it('copySync() and copy() reject FIFOs', function (t) {
+    var dirPath = helpers.makeTempDir('fs')
+    var fifoPath = path.join(dirPath, 'fifo')
+
+    try {
+      childProcess.execFileSync('mkfifo', [ fifoPath ])
+    } catch (e) {
+      t.skip('mkfifo is unavailable')
+      return
+    }
+
+    var output = dantil.captureOutput(function () {
+      assert.throws(function () {
+        dantil.copySync(fifoPath, path.join(dirPath, 'copy'))
+      }, /Can not copy special file/)
+    })
+
+    assert.ok(output.stdout.indexOf(fifoPath) !== -1)
+    assert.strictEqual(dantil.pathExistsSync(path.join(dirPath, 'copy')), false)
+
+    // Do not capture the asynchronous error, because the test runner reports through `stdout` in the meantime.
+    return dantil.copy(fifoPath, path.join(dirPath, 'copy')).then(function () {
+      assert.fail('Expected rejection')
+    }, function (err) {
+      assert.match(err.message, /Can not copy special file/)
+    })
+  })
+})
+
+describe('findUp', function () {
+  it('findUpSync() and findUp() search the ancestor directories for the closest match', function () {
+    var dirPath = helpers.makeTempDir('fs')
+    var nestedPath = path.join(dirPath, 'a/b')
+    dantil.mkdirpSync(nestedPath)
+    fs.writeFileSync(path.join(dirPath, 'config.json'), '{}')
+    fs.writeFileSync(path.join(dirPath, 'a/.configrc'), '')
+
+    assert.strictEqual(dantil.findUpSync('config.json', { cwd: nestedPath }), path.join(dirPath, 'config.json'))
+    assert.strictEqual(dantil.findUpSync([ 'config.json', '.configrc' ], { cwd: nestedPath }), path.join(dirPath, 'a/.configrc'))
+    assert.strictEqual(dantil.findUpSync('dantil-no-such-file', { cwd: nestedPath }), undefined)
+
+    return dantil.findUp([ 'config.json', '.configrc' ], { cwd: nestedPath }).then(function (foundPath) {
+      assert.strictEqual(foundPath, path.join(dirPath, 'a/.configrc'))
+    })
+  })
+})
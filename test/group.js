@@ -0,0 +1,111 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+
+/**
+ * Creates a logger that collects the text it prints.
+ */
+function createLogger() {
+  var logger = dantil.createLogger({
+    stream: {
+      write: function (string) {
+        logger.output += string
+      },
+    },
+  })
+
+  logger.output = ''
+  return logger
+}
+
+describe('group()', function () {
+  it('indents nested output by two spaces for each open group', function () {
+    var logger = createLogger()
+
+    logger.group('Parsing "red apples"')
+    logger.log('Reduced', 'adjective')
+    logger.group('Expanding nounPhrase')
+    logger.logWarning('Ambiguous rule')
+    logger.groupEnd()
+    logger.log('lorem\nipsum')
+    logger.groupEnd()
+    logger.log('Done')
+
+    assert.strictEqual(logger.output, [
+      'Parsing "red apples"',
+      '  Reduced adjective',
+      '  Expanding nounPhrase',
+      '    Warning: Ambiguous rule',
+      '  lorem',
+      '  ipsum',
+      'Done',
+      '',
+    ].join('\n'))
+  })
+
+  it('does not indent empty lines', function () {
+    var logger = createLogger()
+
+    logger.group()
+    logger.log()
+    logger.log('lorem')
+    logger.groupEnd()
+
+    assert.strictEqual(logger.output, '\n  lorem\n')
+  })
+
+  it('groupEnd() does nothing if there is no open group', function () {
+    var logger = createLogger()
+
+    logger.groupEnd()
+    logger.log('lorem')
+
+    assert.strictEqual(logger.output, 'lorem\n')
+  })
+
+  it('keeps the groups of each logger separate', function () {
+    var logger = createLogger()
+    logger.group('Outer')
+
+    try {
+      var capture = dantil.captureOutput(function () {
+        dantil.log('lorem')
+      })
+    } finally {
+      logger.groupEnd()
+    }
+
+    assert.strictEqual(capture.stdout, 'lorem\n')
+  })
+})
+
+describe('groupCollapsed()', function () {
+  it('prints the label and the number of lines within the group instead of the lines', function () {
+    var logger = createLogger()
+
+    logger.groupCollapsed('Rules', 3)
+    logger.log('nounPhrase')
+    logger.group('verbPhrase')
+    logger.log('lorem\nipsum')
+    logger.groupEnd()
+    logger.groupEnd()
+
+    logger.groupCollapsed('Empty')
+    logger.groupEnd()
+
+    assert.strictEqual(dantil.colors.stripColor(logger.output), 'Rules 3 [4 lines]\nEmpty [0 lines]\n')
+  })
+
+  it('prints a collapsed group within an open group with the indentation of the open group', function () {
+    var logger = createLogger()
+
+    logger.group('Outer')
+    logger.groupCollapsed('Inner')
+    logger.log('lorem')
+    logger.groupEnd()
+    logger.groupEnd()
+
+    assert.strictEqual(dantil.colors.stripColor(logger.output), 'Outer\n  Inner [1 line]\n')
+  })
+})
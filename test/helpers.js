@@ -0,0 +1,66 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var after = require('node:test').after
+
+/**
+ * The temporary directories `makeTempDir()` created, which are removed after the tests of the file that requires this module.
+ */
+var tempDirPaths = []
+
+after(function () {
+  tempDirPaths.forEach(removeTempDir)
+  tempDirPaths = []
+})
+
+/**
+ * Creates a temporary directory named with `name`, which is removed after the tests of the file finish.
+ *
+ * @param {string} name The name to include in the directory name (e.g., `'watch'`).
+ * @returns {string} Returns the real path of the directory.
+ */
+exports.makeTempDir = function (name) {
+  var dirPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'dantil-' + name + '-')))
+  tempDirPaths.push(dirPath)
+  return dirPath
+}
+
+/**
+ * Writes the fixture file at `relativePath` within `dirPath`, creating its parent directories.
+ *
+ * @param {string} dirPath The directory of the fixture.
+ * @param {string} relativePath The path of the file relative to `dirPath`.
+ * @param {string|string[]} contents The contents of the file, or its lines.
+ * @returns {string} Returns the path of the file.
+ */
+exports.writeFixture = function (dirPath, relativePath, contents) {
+  var filePath = path.join(dirPath, relativePath)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, Array.isArray(contents) ? contents.join('\n') : contents)
+  return filePath
+}
+
+/**
+ * Removes the temporary directory at `dirPath`, first restoring the write permission of the directories within it that tests made read-only.
+ *
+ * @param {string} dirPath The directory to remove.
+ */
+function removeTempDir(dirPath) {
+  makeDirsWritable(dirPath)
+  fs.rmSync(dirPath, { recursive: true, force: true })
+}
+
+/**
+ * Adds the owner's permissions to the directory at `dirPath` and the directories within it, without following symbolic links.
+ *
+ * @param {string} dirPath The directory.
+ */
+function makeDirsWritable(dirPath) {
+  var stats = fs.lstatSync(dirPath, { throwIfNoEntry: false })
+  if (!stats || !stats.isDirectory()) return
+
+  fs.chmodSync(dirPath, stats.mode & 511 | 448)
+  fs.readdirSync(dirPath).forEach(function (name) {
+    makeDirsWritable(path.join(dirPath, name))
+  })
+}
@@ -0,0 +1,96 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+
+/**
+ * Creates a logger in JSON mode that collects the records it prints.
+ */
+function createJSONLogger(options) {
+  var records = []
+
+  var logger = dantil.createLogger(Object.assign({
+    json: true,
+    stream: {
+      write: function (string) {
+        assert.strictEqual(string.slice(-1), '\n')
+        records.push(JSON.parse(string))
+      },
+    },
+  }, options))
+
+  logger.records = records
+  return logger
+}
+
+describe('createLogger() JSON output', function () {
+  it('prints a single record for each invocation', function () {
+    var logger = createJSONLogger()
+
+    logger.logError('Rule text is not a string:', 9)
+
+    assert.strictEqual(logger.records.length, 1)
+
+    var record = logger.records[0]
+    assert.ok(!isNaN(Date.parse(record.time)))
+    assert.strictEqual(record.level, 'error')
+    assert.strictEqual(record.label, 'Error')
+    assert.strictEqual(record.location, __filename + ':30:12')
+    assert.strictEqual(record.message, 'Rule text is not a string: 9')
+    assert.deepStrictEqual(record.args, [ 'Rule text is not a string:', 9 ])
+  })
+
+  it('serializes values JSON can not represent', function () {
+    var logger = createJSONLogger()
+    var circular = { name: 'node' }
+    circular.self = circular
+
+    logger.log(function parse() {}, circular, new Error('failure'))
+
+    var args = logger.records[0].args
+    assert.strictEqual(typeof args[0], 'string')
+    assert.strictEqual(args[1].name, 'node')
+    assert.strictEqual(typeof args[1].self, 'string')
+    assert.strictEqual(args[2].message, 'failure')
+  })
+
+  it('prints no records for invocations that print nothing', function () {
+    var logger = createJSONLogger()
+
+    logger.logLineIf(false, 'never')
+    logger.log()
+    logger.group()
+    logger.groupEnd()
+
+    assert.deepStrictEqual(logger.records, [])
+
+    logger.group('Parsing')
+    logger.log('Reduced')
+    logger.groupEnd()
+
+    assert.deepStrictEqual(logger.records.map(function (record) {
+      return record.message
+    }), [ 'Parsing', 'Reduced' ])
+  })
+
+  it('prints no records below `options.level`', function () {
+    var logger = createJSONLogger({ level: 'error' })
+
+    logger.log('info')
+    logger.logWarning('warn')
+    logger.logError('error')
+
+    assert.deepStrictEqual(logger.records.map(function (record) {
+      return record.level
+    }), [ 'error' ])
+  })
+
+  it('ignores `options.colors` and `options.prefix`', function () {
+    var red = dantil.colors.styles.red
+    var logger = createJSONLogger({ prefix: '[build] ' })
+
+    logger.log(red.open + 'lorem' + red.close)
+
+    assert.strictEqual(logger.records[0].message, 'lorem')
+  })
+})
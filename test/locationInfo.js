@@ -0,0 +1,78 @@
+var assert = require('assert')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('getLocationInfo()', function () {
+  function getInfo(options) {
+    return dantil.getLocationInfo(options)
+  }
+
+  it('gets the invocation location as an object', function () {
+    var info = getInfo()
+
+    assert.strictEqual(info.filePath, __filename)
+    assert.strictEqual(info.lineNumber, 10)
+    assert.strictEqual(info.columnNumber, 19)
+    assert.strictEqual(info.functionName, 'getInfo')
+    assert.strictEqual(info.isConstructor, false)
+  })
+
+  it('skips `options.skip` frames', function () {
+    var info = getInfo({ skip: 1 })
+
+    assert.strictEqual(info.filePath, __filename)
+    assert.strictEqual(info.lineNumber, 24)
+  })
+
+  it('skips the frames `options.filter` rejects', function () {
+    var info = getInfo({
+      filter: function (location) {
+        return location.functionName !== 'getInfo'
+      },
+    })
+
+    assert.strictEqual(info.lineNumber, 31)
+  })
+
+  it('skips the frames that match `options.skipPaths`', function () {
+    assert.strictEqual(getInfo({ skipPaths: [ /./ ] }), undefined)
+    assert.notStrictEqual(getInfo({ skipPaths: [ path.join(__dirname, 'other.js') ] }).filePath, undefined)
+  })
+})
+
+describe('getModuleCallerLocationInfo()', function () {
+  var dirPath = helpers.makeTempDir('location')
+
+  helpers.writeFixture(dirPath, 'callee.js', [
+    'var dantil = require(' + JSON.stringify(require.resolve('../dantil')) + ')',
+    'exports.getCallerInfo = function (options) {',
+    '  return dantil.getModuleCallerLocationInfo(options)',
+    '}',
+  ])
+
+  var callerPath = helpers.writeFixture(dirPath, 'caller.js', [
+    'var callee = require(\'./callee.js\')',
+    'exports.call = function (options) {',
+    '  return callee.getCallerInfo(options)',
+    '}',
+  ])
+
+  var caller = require(callerPath)
+
+  it('gets the location that invoked the currently executing module', function () {
+    var info = caller.call()
+
+    assert.strictEqual(info.filePath, callerPath)
+    assert.strictEqual(info.lineNumber, 3)
+    assert.strictEqual(info.columnNumber, 17)
+  })
+
+  it('skips `options.skip` frames outside the currently executing module', function () {
+    var info = caller.call({ skip: 1 })
+
+    assert.strictEqual(info.filePath, __filename)
+  })
+})
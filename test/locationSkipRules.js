@@ -0,0 +1,96 @@
+var assert = require('assert')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('location skip rules', function () {
+  var dirPath = helpers.makeTempDir('skip')
+  var validationDirPath = path.join(dirPath, 'validation')
+
+  helpers.writeFixture(dirPath, 'reporter.js', [
+    'var dantil = require(' + JSON.stringify(require.resolve('../dantil')) + ')',
+    'exports.report = function () {',
+    '  return dantil.getModuleCallerLocation()',
+    '}',
+  ])
+
+  var checkPath = helpers.writeFixture(dirPath, 'validation/check.js', [
+    'var reporter = require(\'../reporter.js\')',
+    'exports.check = function () {',
+    '  return reporter.report()',
+    '}',
+  ])
+
+  var callerPath = helpers.writeFixture(dirPath, 'caller.js', [
+    'var check = require(\'./validation/check.js\')',
+    'exports.call = function () {',
+    '  return check.check()',
+    '}',
+  ])
+
+  var caller = require(callerPath)
+
+  function withRule(rule, func) {
+    dantil.addLocationSkipRule(rule)
+
+    try {
+      return func()
+    } finally {
+      dantil.removeLocationSkipRule(rule)
+    }
+  }
+
+  it('reports the location within the layer without a rule', function () {
+    assert.strictEqual(caller.call(), checkPath + ':3:19')
+  })
+
+  it('skips a directory path', function () {
+    withRule(validationDirPath, function () {
+      assert.strictEqual(caller.call(), callerPath + ':3:16')
+    })
+  })
+
+  it('skips a glob pattern', function () {
+    withRule(path.join(dirPath, '*/check.js'), function () {
+      assert.strictEqual(caller.call(), callerPath + ':3:16')
+    })
+
+    withRule(path.join(dirPath, '**/*.json'), function () {
+      assert.strictEqual(caller.call(), checkPath + ':3:19')
+    })
+  })
+
+  it('skips a RegExp and a function', function () {
+    withRule(/\/validation\//, function () {
+      assert.strictEqual(caller.call(), callerPath + ':3:16')
+    })
+
+    withRule(function (filePath) {
+      return filePath === checkPath
+    }, function () {
+      assert.strictEqual(caller.call(), callerPath + ':3:16')
+    })
+  })
+
+  it('removes rules', function () {
+    dantil.addLocationSkipRule(validationDirPath)
+
+    assert.strictEqual(dantil.removeLocationSkipRule(validationDirPath), true)
+    assert.strictEqual(dantil.removeLocationSkipRule(validationDirPath), false)
+    assert.strictEqual(caller.call(), checkPath + ':3:19')
+  })
+
+  it('withLocationSkipRule() adds a rule only while invoking `func`', function () {
+    assert.strictEqual(dantil.withLocationSkipRule(validationDirPath, caller.call), callerPath + ':3:16')
+    assert.strictEqual(caller.call(), checkPath + ':3:19')
+
+    return dantil.withLocationSkipRule(validationDirPath, function () {
+      return Promise.resolve(caller.call())
+    }).then(function (location) {
+      assert.strictEqual(location, callerPath + ':3:16')
+      assert.strictEqual(caller.call(), checkPath + ':3:19')
+    })
+  })
+})
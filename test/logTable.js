@@ -0,0 +1,123 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+
+/**
+ * Prints `rows` with `dantil.logTable()` without colors to a stream `columns` wide, if provided, and gets the lines printed.
+ */
+function logTableLines(rows, options, columns) {
+  var output = ''
+  var logger = dantil.createLogger({
+    colors: false,
+    stream: {
+      columns: columns,
+      write: function (string) {
+        output += string
+      },
+    },
+  })
+
+  logger.logTable(rows, options)
+
+  return output.split('\n').slice(0, -1)
+}
+
+describe('logTable()', function () {
+  it('aligns columns by display width, counting wide characters as two columns', function () {
+    var lines = logTableLines([
+      { query: 'red apples', parses: 12, cost: 1.5, time: '3ms' },
+      { query: 'people who like 寿司', parses: 3, cost: 2.25 },
+    ], { columns: [ 'query', 'parses', 'cost' ] })
+
+    assert.deepStrictEqual(lines, [
+      'query                │ parses │ cost',
+      '─────────────────────┼────────┼─────',
+      'red apples           │     12 │  1.5',
+      'people who like 寿司 │      3 │ 2.25',
+    ])
+  })
+
+  it('excludes ANSI escape codes from the width of cells', function () {
+    var red = dantil.colors.styles.red
+    var output = dantil.captureOutput({ colors: true }, function () {
+      dantil.logTable([ { name: red.open + 'lorem' + red.close, n: 1 }, { name: 'ipsum dolor', n: 2 } ], { maxWidth: 80 })
+    }).stdout
+
+    assert.deepStrictEqual(dantil.colors.stripColor(output).split('\n'), [
+      'name        │ n',
+      '────────────┼──',
+      'lorem       │ 1',
+      'ipsum dolor │ 2',
+      '',
+    ])
+  })
+
+  it('prints arrays and non-object rows, and applies `options.align`', function () {
+    assert.deepStrictEqual(logTableLines([ [ 1, 'a' ], [ 2, { b: 1 } ] ], { align: { 1: 'center' } }), [
+      '0 │    1',
+      '──┼─────────',
+      '1 │    a',
+      '2 │ { b: 1 }',
+    ])
+
+    assert.deepStrictEqual(logTableLines([ 'lorem', 5 ]), [
+      'Value',
+      '─────',
+      'lorem',
+      '5',
+    ])
+  })
+
+  it('truncates or wraps the cells that do not fit `options.maxWidth`', function () {
+    var rows = [ { text: 'lorem ipsum dolor sit', n: 1 } ]
+
+    assert.deepStrictEqual(logTableLines(rows, { maxWidth: 16 }), [
+      'text         │ n',
+      '─────────────┼──',
+      'lorem ipsum… │ 1',
+    ])
+
+    assert.deepStrictEqual(logTableLines(rows, { maxWidth: 16, overflow: 'wrap' }), [
+      'text         │ n',
+      '─────────────┼──',
+      'lorem ipsum  │ 1',
+      'dolor sit    │',
+    ])
+  })
+
+  it('fits the table to the width of the logger\'s stream instead of `stdout` by default', function () {
+    var rows = [ { text: 'lorem ipsum dolor sit', n: 1 } ]
+    var columnsDescriptor = Object.getOwnPropertyDescriptor(process.stdout, 'columns')
+    Object.defineProperty(process.stdout, 'columns', { value: 16, configurable: true, writable: true })
+
+    try {
+      assert.deepStrictEqual(logTableLines(rows, undefined, 16), [
+        'text         │ n',
+        '─────────────┼──',
+        'lorem ipsum… │ 1',
+      ])
+
+      assert.deepStrictEqual(logTableLines(rows), [
+        'text                  │ n',
+        '──────────────────────┼──',
+        'lorem ipsum dolor sit │ 1',
+      ])
+    } finally {
+      if (columnsDescriptor) {
+        Object.defineProperty(process.stdout, 'columns', columnsDescriptor)
+      } else {
+        delete process.stdout.columns
+      }
+    }
+  })
+
+  it('returns `rows`', function () {
+    var rows = [ { a: 1 } ]
+    var capture = dantil.captureOutput(function () {
+      return dantil.logTable(rows)
+    })
+
+    assert.strictEqual(capture.value, rows)
+  })
+})
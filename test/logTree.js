@@ -0,0 +1,111 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+
+/**
+ * Prints `value` with `dantil.logTree()` without colors, and gets the lines printed.
+ */
+function logTreeLines(value, options) {
+  var output = ''
+  var logger = dantil.createLogger({
+    colors: false,
+    stream: {
+      write: function (string) {
+        output += string
+      },
+    },
+  })
+
+  logger.logTree(value, options)
+
+  return output.split('\n').slice(0, -1)
+}
+
+describe('logTree()', function () {
+  var leaf = { symbol: '[n]', children: [] }
+  var parseTree = {
+    symbol: '[start]',
+    children: [
+      { symbol: '[a]', children: [ leaf ] },
+      { symbol: '[b]', children: [ leaf, leaf ] },
+    ],
+  }
+
+  function children(node) {
+    return node.children
+  }
+
+  function label(node) {
+    return node.symbol
+  }
+
+  it('prints the properties of nested objects and arrays as branches', function () {
+    assert.deepStrictEqual(logTreeLines({
+      rule: 'nounPhrase',
+      rhs: [ 'det', 'noun' ],
+      semantic: { name: 'intersect', args: [] },
+    }), [
+      'Object',
+      '├── rule: \'nounPhrase\'',
+      '├── rhs',
+      '│   ├── 0: \'det\'',
+      '│   └── 1: \'noun\'',
+      '└── semantic',
+      '    ├── name: \'intersect\'',
+      '    └── args: []',
+    ])
+  })
+
+  it('marks circular references', function () {
+    var object = { a: 1 }
+    object.self = object
+
+    assert.deepStrictEqual(logTreeLines(object), [
+      'Object',
+      '├── a: 1',
+      '└── self [Circular]',
+    ])
+  })
+
+  it('prints hierarchies with `options.children` and `options.label`', function () {
+    assert.deepStrictEqual(logTreeLines(parseTree, { children: children, label: label }), [
+      '[start]',
+      '├── [a]',
+      '│   └── [n]',
+      '└── [b]',
+      '    ├── [n]',
+      '    └── [n]',
+    ])
+  })
+
+  it('prints the number of children of the nodes below `options.depth`', function () {
+    assert.deepStrictEqual(logTreeLines(parseTree, { children: children, label: label, depth: 1 }), [
+      '[start]',
+      '├── [a] [1 child]',
+      '└── [b] [2 children]',
+    ])
+  })
+
+  it('marks the later occurrences of nodes with `options.dedupe`', function () {
+    assert.deepStrictEqual(logTreeLines(parseTree, { children: children, label: label, dedupe: true }), [
+      '[start]',
+      '├── [a]',
+      '│   └── [n]',
+      '└── [b]',
+      '    ├── [n] [Printed above]',
+      '    └── [n] [Printed above]',
+    ])
+  })
+
+  it('prints values other than objects as a single leaf, and returns `value`', function () {
+    assert.deepStrictEqual(logTreeLines(5), [ '5' ])
+
+    var value = { a: 1 }
+    var capture = dantil.captureOutput(function () {
+      return dantil.logTree(value)
+    })
+
+    assert.strictEqual(capture.value, value)
+  })
+})
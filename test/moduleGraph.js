@@ -0,0 +1,64 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('module graph', function () {
+  var dirPath = helpers.makeTempDir('graph')
+  var mainPath = helpers.writeFixture(dirPath, 'main.js', 'require(\'./child.js\')\n')
+  var childPath = helpers.writeFixture(dirPath, 'child.js', 'require(\'./grandchild.js\')\n')
+  var grandchildPath = helpers.writeFixture(dirPath, 'grandchild.js', '\n')
+  require(mainPath)
+
+  it('getModuleGraph() maps modules to their dependencies', function () {
+    var graph = dantil.getModuleGraph()
+
+    assert.deepStrictEqual(graph[mainPath], [ childPath ])
+    assert.deepStrictEqual(graph[childPath], [ grandchildPath ])
+    assert.deepStrictEqual(graph[grandchildPath], [])
+  })
+
+  it('getModuleDependents() gets direct and transitive dependents', function () {
+    assert.deepStrictEqual(dantil.getModuleDependents(grandchildPath), [ childPath ])
+    assert.deepStrictEqual(dantil.getModuleDependents(grandchildPath, true), [ childPath, mainPath, __filename ])
+  })
+
+  it('logModuleGraph() prints the graph as a tree', function () {
+    var capture = dantil.captureOutput(function () {
+      dantil.logModuleGraph(mainPath)
+    })
+
+    assert.strictEqual(capture.stdout, [
+      mainPath,
+      '└── ' + childPath,
+      '    └── ' + grandchildPath,
+      '',
+    ].join('\n'))
+  })
+
+  it('logModuleGraph() prints modules removed from cache as leaves', function () {
+    var cachedModule = require.cache[grandchildPath]
+    delete require.cache[grandchildPath]
+
+    try {
+      var capture = dantil.captureOutput(function () {
+        dantil.logModuleGraph(childPath)
+      })
+    } finally {
+      require.cache[grandchildPath] = cachedModule
+    }
+
+    assert.strictEqual(capture.stdout, childPath + '\n└── ' + grandchildPath + '\n')
+  })
+
+  it('logModuleGraph() throws for modules not in cache', function () {
+    var uncachedPath = helpers.writeFixture(dirPath, 'uncached.js', '\n')
+
+    assert.throws(function () {
+      dantil.captureOutput({ stderr: true }, function () {
+        dantil.logModuleGraph(uncachedPath)
+      })
+    }, /Module not in cache/)
+  })
+})
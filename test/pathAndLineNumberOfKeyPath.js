@@ -0,0 +1,102 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('pathAndLineNumberOfKeyPath()', function () {
+  var dirPath = helpers.makeTempDir('key-path')
+
+  function writeFile(fileName, lines) {
+    return helpers.writeFixture(dirPath, fileName, lines)
+  }
+
+  var grammarPath = writeFile('grammar.js', [
+    'var helper = [ 1, 2 ]',
+    'module.exports = {',
+    '  rules: {',
+    '    // The rules for noun phrases.',
+    '    nounPhrase: [',
+    '      { rhs: [ \'det\', \'noun\' ], text: \'the {noun}\' },',
+    '      { rhs: [ \'noun\' ], text: \'{noun}\' },',
+    '      { rhs: [ \'pronoun\' ], text: 3 },',
+    '    ],',
+    '  },',
+    '  \'quoted key\': /[}\\]]/,',
+    '  0x10: \'hex\',',
+    '}',
+  ])
+
+  it('locates property keys and array elements', function () {
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(grammarPath, [ 'rules', 'nounPhrase', 2, 'text' ]), grammarPath + ':8:29')
+    assert.deepStrictEqual(dantil.pathAndLineNumberOfKeyPath(grammarPath, [ 'rules', 'nounPhrase', 1 ], { structured: true }), {
+      filePath: grammarPath,
+      lineNumber: 7,
+      columnNumber: 7,
+    })
+  })
+
+  it('locates quoted and numeric keys', function () {
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(grammarPath, [ 'quoted key' ]), grammarPath + ':11:3')
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(grammarPath, [ 16 ]), grammarPath + ':12:3')
+  })
+
+  it('returns `undefined` for missing key paths', function () {
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(grammarPath, [ 'rules', 'verbPhrase' ]), undefined)
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(grammarPath, [ 'rules', 'nounPhrase', 3 ]), undefined)
+  })
+
+  it('searches the root value of a JSON file', function () {
+    var jsonPath = writeFile('data.json', [
+      '[',
+      '  { "name": "lorem" },',
+      '  { "name": "ipsum", "tags": [ "a", "b" ] }',
+      ']',
+    ])
+
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(jsonPath, [ 1, 'tags', 1 ]), jsonPath + ':3:37')
+  })
+
+  it('searches the literal following `export default`', function () {
+    var modulePath = writeFile('module.mjs', [
+      'const defaults = { name: 0 }',
+      'export default {',
+      '  name: \'lorem\',',
+      '}',
+    ])
+
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(modulePath, [ 'name' ]), modulePath + ':3:3')
+  })
+
+  it('searches the only top-level literal assigned to a variable', function () {
+    var filePath = writeFile('config.js', [
+      'function build() { var tmp = { name: 0 } }',
+      'var config = {',
+      '  name: \'lorem\',',
+      '}',
+    ])
+
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(filePath, [ 'name' ]), filePath + ':3:3')
+  })
+
+  it('returns `undefined` if the root literal is ambiguous', function () {
+    var multipleVarsPath = writeFile('vars.js', [
+      'var a = { name: 1 }',
+      'var b = { name: 2 }',
+    ])
+
+    var multipleExportsPath = writeFile('exports.js', [
+      'module.exports = { name: 1 }',
+      'module.exports = { name: 2 }',
+    ])
+
+    var nonLiteralExportPath = writeFile('non-literal.js', [
+      'var a = { name: 1 }',
+      'module.exports = build(a)',
+    ])
+
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(multipleVarsPath, [ 'name' ]), undefined)
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(multipleExportsPath, [ 'name' ]), undefined)
+    assert.strictEqual(dantil.pathAndLineNumberOfKeyPath(nonLiteralExportPath, [ 'name' ]), undefined)
+  })
+})
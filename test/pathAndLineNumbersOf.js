@@ -0,0 +1,56 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('source location search', function () {
+  var filePath = helpers.writeFixture(helpers.makeTempDir('search'), 'foo.js', [
+    'var list = [',
+    '  { name: \'lorem\', num: 2 },',
+    '  { name: \'lorem ipsum\', num: 5 },',
+    '  { name: \'ipsum\', num: 3 }',
+    ']',
+  ])
+
+  it('pathAndLineNumbersOf() gets the line and column of each occurrence', function () {
+    assert.deepStrictEqual(dantil.pathAndLineNumbersOf(filePath, 'ipsum'), [ filePath + ':3:18', filePath + ':4:12' ])
+    assert.deepStrictEqual(dantil.pathAndLineNumbersOf(filePath, '\'ipsum\''), [ filePath + ':4:11' ])
+    assert.deepStrictEqual(dantil.pathAndLineNumbersOf(filePath, 'dolor'), [])
+  })
+
+  it('pathAndLineNumbersOf() searches with a RegExp without mutating it', function () {
+    var re = /num: [2-3]/g
+    re.lastIndex = 5
+
+    assert.deepStrictEqual(dantil.pathAndLineNumbersOf(filePath, re), [ filePath + ':2:20', filePath + ':4:20' ])
+    assert.strictEqual(re.lastIndex, 5)
+  })
+
+  it('pathAndLineNumbersOf() returns objects with `options.structured`, including multiple matches per line', function () {
+    assert.deepStrictEqual(dantil.pathAndLineNumbersOf(filePath, /lorem|ipsum/, { structured: true }).slice(1, 3), [
+      { filePath: filePath, lineNumber: 3, columnNumber: 12, match: 'lorem' },
+      { filePath: filePath, lineNumber: 3, columnNumber: 18, match: 'ipsum' },
+    ])
+  })
+
+  it('firstPathAndLineNumberOf() gets the first occurrence', function () {
+    assert.strictEqual(dantil.firstPathAndLineNumberOf(filePath, 'ipsum'), filePath + ':3:18')
+    assert.deepStrictEqual(dantil.firstPathAndLineNumberOf(filePath, /num: \d/, { structured: true }), {
+      filePath: filePath,
+      lineNumber: 2,
+      columnNumber: 20,
+      match: 'num: 2',
+    })
+    assert.strictEqual(dantil.firstPathAndLineNumberOf(filePath, 'dolor'), undefined)
+  })
+
+  it('firstPathAndLineNumberOf() gets the first `subValue` after the end of `value`', function () {
+    assert.strictEqual(dantil.firstPathAndLineNumberOf(filePath, 'ipsum', 'num'), filePath + ':3:26')
+    assert.strictEqual(dantil.firstPathAndLineNumberOf(filePath, '\'ipsum\'', 'num'), filePath + ':4:20')
+
+    // Exclude occurrences within the text `value` matches.
+    assert.strictEqual(dantil.firstPathAndLineNumberOf(filePath, '\'lorem\'', 'lorem'), filePath + ':3:12')
+    assert.strictEqual(dantil.firstPathAndLineNumberOf(filePath, '\'ipsum\'', 'ipsum'), undefined)
+  })
+})
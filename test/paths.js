@@ -0,0 +1,88 @@
+var assert = require('assert')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('path expansion', function () {
+  var homeDirPath = os.homedir()
+
+  it('expandHomeDir() expands `~` and `~user`', function () {
+    assert.strictEqual(dantil.expandHomeDir('~'), homeDirPath)
+    assert.strictEqual(dantil.expandHomeDir('~/Desktop'), path.join(homeDirPath, 'Desktop'))
+    assert.strictEqual(dantil.expandHomeDir('~' + os.userInfo().username + '/Desktop'), path.join(homeDirPath, 'Desktop'))
+    assert.strictEqual(dantil.expandHomeDir('~dantil-no-such-user/Desktop'), '~dantil-no-such-user/Desktop')
+    assert.strictEqual(dantil.expandHomeDir('/tmp/~'), '/tmp/~')
+  })
+
+  it('expandHomeDir() expands `~user` only with the home directories in `/etc/passwd`', function () {
+    var dirPath = helpers.makeTempDir('paths')
+    var envHome = process.env.HOME
+    fs.mkdirSync(path.join(dirPath, 'dantil-no-such-user'))
+    fs.mkdirSync(path.join(dirPath, 'dantil-other-user'))
+    process.env.HOME = path.join(dirPath, 'dantil-no-such-user')
+
+    try {
+      assert.strictEqual(dantil.expandHomeDir('~dantil-no-such-user/Desktop'), '~dantil-no-such-user/Desktop')
+      assert.strictEqual(dantil.expandHomeDir('~dantil-other-user'), '~dantil-other-user')
+      assert.strictEqual(dantil.expandHomeDir('~' + os.userInfo().username), os.userInfo().homedir)
+      assert.strictEqual(dantil.expandHomeDir('~/Desktop'), path.join(dirPath, 'dantil-no-such-user/Desktop'))
+    } finally {
+      process.env.HOME = envHome
+    }
+  })
+
+  it('expandPath() expands environment variables and `~`', function () {
+    process.env.DANTIL_TEST_DIR = 'project'
+    delete process.env.DANTIL_TEST_UNDEFINED
+
+    try {
+      assert.strictEqual(dantil.expandPath('~/${DANTIL_TEST_DIR}/$DANTIL_TEST_DIR-$DANTIL_TEST_UNDEFINED.txt'), path.join(homeDirPath, 'project/project-$DANTIL_TEST_UNDEFINED.txt'))
+    } finally {
+      delete process.env.DANTIL_TEST_DIR
+    }
+  })
+
+  it('resolvePath() resolves paths that do not exist, and resolves symbolic links in existing ancestors', function () {
+    var dirPath = helpers.makeTempDir('paths')
+    fs.mkdirSync(path.join(dirPath, 'real'))
+    fs.symlinkSync(path.join(dirPath, 'real'), path.join(dirPath, 'link'))
+
+    assert.strictEqual(dantil.resolvePath(path.join(dirPath, 'link/../link/./new-dir/out.json')), path.join(dirPath, 'real/new-dir/out.json'))
+    assert.strictEqual(dantil.resolvePath('~/dantil-no-such-dir'), path.join(homeDirPath, 'dantil-no-such-dir'))
+  })
+
+  it('contractHomeDir() replaces the home directory with `~`', function () {
+    assert.strictEqual(dantil.contractHomeDir(path.join(homeDirPath, 'Desktop')), '~/Desktop')
+    assert.strictEqual(dantil.contractHomeDir(homeDirPath), '~')
+    assert.strictEqual(dantil.contractHomeDir(homeDirPath + '-other/Desktop'), homeDirPath + '-other/Desktop')
+  })
+
+  it('formatPath() formats paths relative to the working directory, else with `~`', function () {
+    assert.strictEqual(dantil.formatPath(path.join(process.cwd(), 'lib/foo.js:12:3')), 'lib/foo.js:12:3')
+    assert.strictEqual(dantil.formatPath('/dantil-no-such-dir/baz.js'), '/dantil-no-such-dir/baz.js')
+
+    if (path.relative(homeDirPath, process.cwd()).indexOf('..') === 0) {
+      assert.strictEqual(dantil.formatPath(path.join(homeDirPath, 'bar.js')), '~/bar.js')
+    }
+  })
+})
+
+describe('setRelativeLocationPaths()', function () {
+  it('prints locations relative to the working directory', function () {
+    dantil.setRelativeLocationPaths()
+
+    try {
+      var capture = dantil.captureOutput(function () {
+        dantil.logWithLine('lorem')
+      })
+    } finally {
+      dantil.setRelativeLocationPaths(false)
+    }
+
+    assert.match(capture.stdout, new RegExp('^' + path.relative(process.cwd(), __filename).replace(/\./g, '\\.') + ':\\d+:\\d+'))
+  })
+})
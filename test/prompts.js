@@ -0,0 +1,184 @@
+var assert = require('assert')
+var stream = require('stream')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+
+/**
+ * Creates a readable stream that provides `text`, like piped input, and then ends.
+ */
+function createInput(text) {
+  var input = new stream.PassThrough()
+  input.end(text)
+  return input
+}
+
+/**
+ * Creates a readable stream that behaves like a terminal in raw mode, from which the test reads key presses with `input.write()`.
+ */
+function createTTYInput() {
+  var input = new stream.PassThrough()
+  input.isTTY = true
+  input.rawModes = []
+  input.setRawMode = function (rawMode) {
+    input.rawModes.push(rawMode)
+  }
+  return input
+}
+
+/**
+ * Creates a writable stream that collects the text written to it without colors.
+ */
+function createOutput() {
+  return {
+    text: '',
+    write: function (string) {
+      this.text += dantil.colors.stripColor(string)
+    },
+  }
+}
+
+describe('prompt()', function () {
+  it('reads consecutive answers from piped input', function () {
+    var input = createInput('Danny\n\r\nlast')
+    var output = createOutput()
+    var options = { input: input, output: output }
+    var answers = []
+
+    return dantil.prompt('Name:', options).then(function (answer) {
+      answers.push(answer)
+      return dantil.prompt('Grammar:', { input: input, output: output, default: 'grammar' })
+    }).then(function (answer) {
+      answers.push(answer)
+      return dantil.prompt('Last:', options)
+    }).then(function (answer) {
+      answers.push(answer)
+      assert.deepStrictEqual(answers, [ 'Danny', 'grammar', 'last' ])
+      assert.strictEqual(output.text, '? Name: Danny\n? Grammar: (grammar) \n? Last: last\n')
+    })
+  })
+
+  it('returns the default, else rejects, when the input ends', function () {
+    var input = createInput('')
+    var output = createOutput()
+
+    return dantil.prompt('Name:', { input: input, output: output, default: 'Danny' }).then(function (answer) {
+      assert.strictEqual(answer, 'Danny')
+      return dantil.prompt('Name:', { input: input, output: output })
+    }).then(function () {
+      assert.fail('Expected rejection')
+    }, function (err) {
+      assert.match(err.message, /Input ended before answering prompt/)
+    })
+  })
+})
+
+describe('confirm()', function () {
+  it('accepts yes and no answers, and asks again after other answers', function () {
+    var input = createInput('maybe\nYES\nn\n\n')
+    var output = createOutput()
+    var options = { input: input, output: output }
+    var answers = []
+
+    return dantil.confirm('Overwrite?', options).then(function (answer) {
+      answers.push(answer)
+      return dantil.confirm('Overwrite?', options)
+    }).then(function (answer) {
+      answers.push(answer)
+      return dantil.confirm('Overwrite?', { input: input, output: output, default: true })
+    }).then(function (answer) {
+      answers.push(answer)
+      assert.deepStrictEqual(answers, [ true, false, true ])
+      assert.strictEqual(output.text, [
+        '? Overwrite? (y/n) maybe',
+        'Please answer yes or no.',
+        '? Overwrite? (y/n) YES',
+        '? Overwrite? (y/n) n',
+        '? Overwrite? (Y/n) ',
+        '',
+      ].join('\n'))
+    })
+  })
+})
+
+describe('select()', function () {
+  var choices = [ 'full', 'test', { name: 'both', value: [ 'full', 'test' ] } ]
+
+  it('reads the number of the choice from piped input', function () {
+    var input = createInput('4\n3\n')
+    var output = createOutput()
+
+    return dantil.select('Build which grammar?', choices, { input: input, output: output }).then(function (answer) {
+      assert.deepStrictEqual(answer, [ 'full', 'test' ])
+      assert.strictEqual(output.text, [
+        '? Build which grammar?',
+        '  1) full',
+        '  2) test',
+        '  3) both',
+        '  Answer: (1) 4',
+        'Please enter a number from 1 to 3.',
+        '? Build which grammar?',
+        '  1) full',
+        '  2) test',
+        '  3) both',
+        '  Answer: (1) 3',
+        '',
+      ].join('\n'))
+    })
+  })
+
+  it('reads comma-separated numbers with `options.multiple`, and returns the default for an empty line', function () {
+    var input = createInput('3, 1\n\n')
+    var output = createOutput()
+    var options = { input: input, output: output, multiple: true, selected: [ 1 ] }
+
+    return dantil.select('Print which stats?', [ 'rules', 'symbols', 'ambiguity' ], options).then(function (answer) {
+      assert.deepStrictEqual(answer, [ 'ambiguity', 'rules' ])
+      return dantil.select('Print which stats?', [ 'rules', 'symbols', 'ambiguity' ], options)
+    }).then(function (answer) {
+      assert.deepStrictEqual(answer, [ 'symbols' ])
+    })
+  })
+
+  it('selects with the arrow keys in a terminal', function () {
+    var input = createTTYInput()
+    var output = createOutput()
+
+    var promise = dantil.select('Build which grammar?', choices, { input: input, output: output })
+    input.write('\u001b[B\u001b[B\u001b[A')
+    input.write('\r')
+
+    return promise.then(function (answer) {
+      assert.strictEqual(answer, 'test')
+      assert.deepStrictEqual(input.rawModes, [ true, false ])
+      assert.ok(output.text.endsWith('? Build which grammar? test\n'))
+    })
+  })
+
+  it('toggles choices with the space bar in a terminal with `options.multiple`', function () {
+    var input = createTTYInput()
+    var output = createOutput()
+
+    var promise = dantil.select('Print which stats?', [ 'rules', 'symbols', 'ambiguity' ], { input: input, output: output, multiple: true, selected: [ 0 ] })
+    input.write(' jj \r')
+
+    return promise.then(function (answer) {
+      assert.deepStrictEqual(answer, [ 'ambiguity' ])
+    })
+  })
+
+  it('rejects on Ctrl-C in a terminal', function () {
+    var input = createTTYInput()
+    var output = createOutput()
+
+    var promise = dantil.select('Build which grammar?', choices, { input: input, output: output })
+    input.write('\u0003')
+
+    return promise.then(function () {
+      assert.fail('Expected rejection')
+    }, function (err) {
+      assert.strictEqual(err.message, 'Prompt canceled: Build which grammar?')
+      assert.deepStrictEqual(input.rawModes, [ true, false ])
+    })
+  })
+})
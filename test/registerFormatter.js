@@ -0,0 +1,137 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var afterEach = require('node:test').afterEach
+var dantil = require('../dantil')
+
+describe('registerFormatter()', function () {
+  var unregisters = []
+
+  function registerFormatter(type, format) {
+    var unregister = dantil.registerFormatter(type, format)
+    unregisters.push(unregister)
+    return unregister
+  }
+
+  afterEach(function () {
+    unregisters.forEach(function (unregister) {
+      unregister()
+    })
+
+    unregisters = []
+  })
+
+  it('formats instances of classes within plain objects and arrays', function () {
+    function GrammarSymbol(name) {
+      this.name = name
+    }
+
+    GrammarSymbol.prototype.toString = function () {
+      return '[' + this.name + ']'
+    }
+
+    registerFormatter(GrammarSymbol, function (symbol) {
+      return symbol.toString()
+    })
+
+    assert.strictEqual(dantil.stylize({ start: new GrammarSymbol('start'), rhs: [ new GrammarSymbol('noun') ] }), '{ start: [start], rhs: [ [noun] ] }')
+  })
+
+  it('formats instances of constructors without methods, without invoking the constructors', function () {
+    var calls = 0
+    function ParseNode(symbol) {
+      ++calls
+      this.symbol = symbol
+    }
+
+    function GrammarRule(lhs) {
+      ++calls
+      this.lhs = lhs
+    }
+
+    registerFormatter(ParseNode, function (node) {
+      return '<' + node.symbol + '>'
+    })
+
+    registerFormatter({ class: GrammarRule }, function (rule) {
+      return rule.lhs + ' ->'
+    })
+
+    assert.strictEqual(dantil.stylize({ node: new ParseNode('noun'), rule: new GrammarRule('nounPhrase'), cost: 1 }), '{ node: <noun>, rule: nounPhrase ->, cost: 1 }')
+    assert.strictEqual(calls, 2)
+  })
+
+  it('formats the values for which `type.predicate` returns truthy', function () {
+    var thisValues = []
+
+    registerFormatter({ predicate: function (value) {
+      thisValues.push(this)
+      return value instanceof Object && 'semantic' in value
+    } }, function (node) {
+      return { text: node.text }
+    })
+
+    registerFormatter({ predicate: function (value) {
+      return typeof value === 'number'
+    } }, function (number) {
+      return '#' + number
+    })
+
+    assert.strictEqual(dantil.stylize([ { text: 'red', semantic: {} }, 2 ]), '[ { text: \'red\' }, #2 ]')
+    assert.ok(thisValues.length > 0)
+    assert.ok(thisValues.every(function (thisValue) {
+      // The predicate is not strict mode code, so `this` is the global object instead of `undefined`.
+      return thisValue === global
+    }))
+  })
+
+  it('checks the most recently registered formatters first, and stops formatting once unregistered', function () {
+    var unregister = registerFormatter({ predicate: function (value) {
+      return typeof value === 'number'
+    } }, function () {
+      return 'second'
+    })
+
+    registerFormatter({ predicate: function (value) {
+      return value === 1
+    } }, function () {
+      return 'first'
+    })
+
+    assert.strictEqual(dantil.stylize([ 1, 2 ]), '[ first, second ]')
+
+    unregister()
+    assert.strictEqual(dantil.stylize([ 1, 2 ]), '[ first, 2 ]')
+  })
+
+  it('applies formatters in diffObjects(), including to types that define `toJSON()`', function () {
+    registerFormatter(Date, function (date) {
+      return date.getUTCFullYear()
+    })
+
+    var diff = dantil.colors.stripColor(dantil.diffObjects({ time: new Date(Date.UTC(2016, 0)) }, { time: new Date(Date.UTC(2017, 0)) }))
+
+    assert.strictEqual(diff, '{\n\t"time": 2016\n\t"time": 2017\n}')
+  })
+
+  it('throws an exception for ill-formed formatters', function () {
+    dantil.captureOutput(function () {
+      assert.throws(function () {
+        dantil.registerFormatter('ParseNode', String)
+      }, /Ill-formed formatter/)
+
+      assert.throws(function () {
+        dantil.registerFormatter({ class: Date, predicate: Array.isArray }, String)
+      }, /Ill-formed formatter/)
+
+      assert.throws(function () {
+        dantil.registerFormatter(Date)
+      }, /Ill-formed formatter/)
+
+      // Bound functions lack a `prototype`, so can not be classes.
+      assert.throws(function () {
+        dantil.registerFormatter(Array.isArray.bind(Array), String)
+      }, /Ill-formed formatter/)
+    })
+  })
+})
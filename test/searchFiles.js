@@ -0,0 +1,78 @@
+var assert = require('assert')
+var fs = require('fs')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('searchFiles()', function () {
+  var dirPath = helpers.makeTempDir('search-files')
+
+  function writeFile(relativePath, contents) {
+    return helpers.writeFixture(dirPath, relativePath, contents)
+  }
+
+  var rulesPath = writeFile('repo/grammar/rules.js', 'var nounPhrase = 1\nvar subject = [ nounPhrase ]\n')
+  var verbsPath = writeFile('repo/grammar/verbs.js', '  rhs: [ nounPhrase, verb ]\n')
+  var ignoredPath = writeFile('repo/grammar/build/out.js', 'nounPhrase\n')
+  var nodeModulePath = writeFile('repo/grammar/node_modules/pkg/index.js', 'nounPhrase\n')
+  writeFile('repo/grammar/image.bin', 'nounPhrase\u0000')
+  writeFile('repo/grammar/.gitignore', 'build/\n')
+  writeFile('repo/.gitignore', 'node_modules\n')
+  writeFile('repo/.git/HEAD', 'nounPhrase\n')
+
+  it('searches directories recursively, skipping `.git` directories and binary files', function () {
+    var results = dantil.searchFiles(path.join(dirPath, 'repo'), 'nounPhrase')
+
+    assert.deepStrictEqual(Object.keys(results), [ ignoredPath, nodeModulePath, rulesPath, verbsPath ])
+    assert.deepStrictEqual(results[rulesPath], [ rulesPath + ':1:5', rulesPath + ':2:17' ])
+    assert.deepStrictEqual(results[verbsPath], [ verbsPath + ':1:10' ])
+  })
+
+  it('searches glob patterns and RegExps, and returns objects with `options.structured`', function () {
+    var results = dantil.searchFiles([ path.join(dirPath, 'repo/grammar/*.js'), verbsPath ], /\bverb\b/, { structured: true })
+
+    assert.deepStrictEqual(Object.keys(results), [ verbsPath ])
+    assert.deepStrictEqual(results[verbsPath], [ { filePath: verbsPath, lineNumber: 1, columnNumber: 22, match: 'verb' } ])
+  })
+
+  it('skips the paths that `.gitignore` files in the searched and ancestor directories ignore with `options.gitignore`', function () {
+    assert.deepStrictEqual(Object.keys(dantil.searchFiles(path.join(dirPath, 'repo/grammar'), 'nounPhrase', { gitignore: true })), [ rulesPath, verbsPath ])
+  })
+
+  it('walks each directory once despite symbolic link cycles', function () {
+    var loopDirPath = path.join(dirPath, 'loop')
+    var filePath = writeFile('loop/a/file.txt', 'hello\n')
+    fs.symlinkSync('..', path.join(loopDirPath, 'a', 'parent'))
+    fs.symlinkSync('../a', path.join(loopDirPath, 'a', 'self'))
+
+    var results = dantil.searchFiles(loopDirPath, 'hello')
+
+    assert.deepStrictEqual(Object.keys(results), [ filePath ])
+    assert.deepStrictEqual(results[filePath], [ filePath + ':1:1' ])
+  })
+})
+
+describe('logSearchResults()', function () {
+  it('prints the matches grouped by file and returns the number of matches', function () {
+    var dirPath = helpers.makeTempDir('log-search')
+    var aPath = helpers.writeFixture(dirPath, 'a.js', 'lorem\n\n\n\n\n\n\n\n\n  ipsum lorem\n')
+    var bPath = helpers.writeFixture(dirPath, 'b.js', 'lorem\n')
+
+    var capture = dantil.captureOutput(function () {
+      return dantil.logSearchResults(dirPath, 'lorem')
+    })
+
+    assert.strictEqual(capture.value, 3)
+    assert.strictEqual(capture.stdout, [
+      aPath,
+      '   1:1  lorem',
+      '  10:9    ipsum lorem',
+      '',
+      bPath,
+      '  1:1  lorem',
+      '',
+    ].join('\n'))
+  })
+})
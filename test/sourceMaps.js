@@ -0,0 +1,132 @@
+var assert = require('assert')
+var fs = require('fs')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+var _base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Encodes `lines`, the segments of each generated line with absolute values (`[ generatedColumn, sourceIndex, sourceLine, sourceColumn ]`), as source map mappings of relative Base64 VLQ values.
+ */
+function encodeMappings(lines) {
+  var prevValues = [ 0, 0, 0, 0 ]
+
+  return lines.map(function (segments) {
+    prevValues[0] = 0
+
+    return segments.map(function (segment) {
+      return segment.map(function (value, v) {
+        var relativeValue = value - prevValues[v]
+        prevValues[v] = value
+        return encodeVLQ(relativeValue)
+      }).join('')
+    }).join(',')
+  }).join(';')
+}
+
+/**
+ * Encodes `value` as a Base64 VLQ value, the lowest bit of which is the sign.
+ */
+function encodeVLQ(value) {
+  var vlq = value < 0 ? -value * 2 + 1 : value * 2
+  var string = ''
+
+  do {
+    var digit = vlq % 32
+    vlq = Math.floor(vlq / 32)
+    string += _base64Chars[vlq > 0 ? digit + 32 : digit]
+  } while (vlq > 0)
+
+  return string
+}
+
+describe('source maps', function () {
+  var dirPath = helpers.makeTempDir('source-map')
+  var source = 'module.exports = function () { return require(' + JSON.stringify(require.resolve('../dantil')) + ').getLocation() }\n'
+
+  // Maps the first column of the generated file's first line to line 10, column 1 of `original.js`.
+  var sourceMap = {
+    version: 3,
+    sources: [ 'original.js' ],
+    names: [],
+    mappings: 'AASA',
+  }
+
+  it('getLocation() reports the original location of a file with an inline source map', function () {
+    var dataURL = 'data:application/json;base64,' + Buffer.from(JSON.stringify(sourceMap)).toString('base64')
+    var generatedPath = helpers.writeFixture(dirPath, 'inline.js', source + '//# sourceMappingURL=' + dataURL + '\n')
+
+    assert.strictEqual(require(generatedPath)(), path.join(dirPath, 'original.js') + ':10:1')
+  })
+
+  it('getLocation() reports the original location of a file with a sidecar source map', function () {
+    var generatedPath = helpers.writeFixture(dirPath, 'sidecar.js', source)
+    helpers.writeFixture(dirPath, 'sidecar.js.map', JSON.stringify(sourceMap))
+
+    assert.strictEqual(require(generatedPath)(), path.join(dirPath, 'original.js') + ':10:1')
+  })
+
+  it('getLocation() reports the generated location of a file without a source map', function () {
+    var generatedPath = helpers.writeFixture(dirPath, 'unmapped.js', source)
+
+    assert.strictEqual(require(generatedPath)(), generatedPath + ':1:' + (source.indexOf('getLocation') + 1))
+  })
+
+  it('getLocation() decodes mappings with multiple lines, multiple segments per line, negative deltas, and multi-character VLQ values', function () {
+    var lines = [
+      'var dantil = require(' + JSON.stringify(require.resolve('../dantil')) + ')',
+      'module.exports = function () {',
+      '  return dantil.getLocation()',
+      '}',
+    ]
+    var callColumn = lines[2].indexOf('getLocation')
+
+    var mappings = encodeMappings([
+      [ [ 0, 0, 200, 4 ] ],
+      [ [ 0, 0, 150, 0 ] ],
+      // The segment of the invocation decreases the source index and source line, and the segment after it does not apply.
+      [ [ 2, 1, 120, 2 ], [ callColumn, 0, 30, 7 ], [ callColumn + 11, 1, 121, 0 ] ],
+      [ [ 0, 1, 122, 0 ] ],
+    ])
+    assert.ok(/[g-z0-9+/]/.test(mappings), 'Expected multi-character VLQ values')
+
+    var mappedSourceMap = {
+      version: 3,
+      sources: [ 'first.js', 'second.js' ],
+      names: [],
+      mappings: mappings,
+    }
+    var dataURL = 'data:application/json;base64,' + Buffer.from(JSON.stringify(mappedSourceMap)).toString('base64')
+    var generatedPath = helpers.writeFixture(dirPath, 'segments.js', lines.concat('//# sourceMappingURL=' + dataURL, ''))
+
+    assert.strictEqual(require(generatedPath)(), path.join(dirPath, 'first.js') + ':31:8')
+  })
+
+  it('getLocation() resolves sources with `sourceRoot` relative to the source map that the `sourceMappingURL` comment references', function () {
+    var rootedSourceMap = Object.assign({}, sourceMap, { sourceRoot: '../../src' })
+    var generatedPath = helpers.writeFixture(dirPath, 'dist/bundle.js', source + '//# sourceMappingURL=maps/bundle.js.map\n')
+    helpers.writeFixture(dirPath, 'dist/maps/bundle.js.map', JSON.stringify(rootedSourceMap))
+
+    // Ignores the default sidecar source map because the comment references another.
+    helpers.writeFixture(dirPath, 'dist/bundle.js.map', JSON.stringify(Object.assign({}, sourceMap, { mappings: 'AAAA' })))
+
+    assert.strictEqual(require(generatedPath)(), path.join(dirPath, 'src/original.js') + ':10:1')
+  })
+
+  it('getLocation() reuses the source map of each file', function () {
+    var generatedPath = helpers.writeFixture(dirPath, 'cached.js', source)
+    var mapPath = helpers.writeFixture(dirPath, 'cached.js.map', JSON.stringify(sourceMap))
+    var getLocation = require(generatedPath)
+
+    assert.strictEqual(getLocation(), path.join(dirPath, 'original.js') + ':10:1')
+
+    fs.writeFileSync(mapPath, JSON.stringify(Object.assign({}, sourceMap, { mappings: 'AAAA' })))
+    assert.strictEqual(getLocation(), path.join(dirPath, 'original.js') + ':10:1')
+
+    fs.unlinkSync(mapPath)
+    assert.strictEqual(getLocation(), path.join(dirPath, 'original.js') + ':10:1')
+  })
+})
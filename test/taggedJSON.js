@@ -0,0 +1,86 @@
+var assert = require('assert')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('tagged JSON', function () {
+  var filePath = path.join(helpers.makeTempDir('tagged-json'), 'value.json')
+
+  function roundTrip(value) {
+    dantil.writeJSONFile(filePath, value, { tagged: true, silent: true })
+    return dantil.readJSONFile(filePath, { tagged: true })
+  }
+
+  it('revives values JSON can not represent', function () {
+    var value = {
+      re: /^(the|a)\b/gi,
+      date: new Date(Date.UTC(2016, 8, 3)),
+      map: new Map([ [ 'a', 1 ], [ { key: true }, [ 2 ] ] ]),
+      set: new Set([ 'x', 'y' ]),
+      undef: undefined,
+      nan: NaN,
+      inf: Infinity,
+      negInf: -Infinity,
+      negZero: -0,
+      big: BigInt('12345678901234567890'),
+      list: [ undefined, NaN ],
+    }
+
+    assert.deepStrictEqual(roundTrip(value), value)
+  })
+
+  it('preserves circular and repeated references', function () {
+    var shared = { name: 'shared' }
+    var value = { a: shared, b: [ shared ], map: new Map([ [ 'shared', shared ] ]) }
+    value.self = value
+
+    var decoded = roundTrip(value)
+
+    assert.strictEqual(decoded.self, decoded)
+    assert.strictEqual(decoded.b[0], decoded.a)
+    assert.strictEqual(decoded.map.get('shared'), decoded.a)
+  })
+
+  it('escapes objects with a `$type` property', function () {
+    var value = { tag: { $type: 'Date', value: 'not a date' } }
+
+    assert.deepStrictEqual(roundTrip(value), value)
+  })
+
+  it('preserves own `__proto__` properties without setting prototypes', function () {
+    var value = JSON.parse('{ "__proto__": { "polluted": true }, "list": [ { "__proto__": null } ] }')
+    value.tag = JSON.parse('{ "$type": "Date", "__proto__": [ 1 ] }')
+
+    var decoded = roundTrip(value)
+
+    assert.strictEqual(Object.getPrototypeOf(decoded), Object.prototype)
+    assert.strictEqual(decoded.polluted, undefined)
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(decoded, '__proto__'), { value: { polluted: true }, enumerable: true, writable: true, configurable: true })
+    assert.deepStrictEqual(Object.keys(decoded), [ '__proto__', 'list', 'tag' ])
+    assert.strictEqual(Object.getPrototypeOf(decoded.list[0]), Object.prototype)
+    assert.strictEqual(Object.getOwnPropertyDescriptor(decoded.list[0], '__proto__').value, null)
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(decoded.tag, '__proto__').value, [ 1 ])
+    assert.strictEqual(decoded.tag.$type, 'Date')
+  })
+
+  it('omits functions and symbols like JSON.stringify()', function () {
+    assert.deepStrictEqual(roundTrip({ func: function () {}, sym: Symbol('s'), list: [ Symbol('s') ] }), { list: [ null ] })
+  })
+
+  it('encodes repeated objects with a toJSON() method by their JSON representations', function () {
+    var url = new URL('https://example.com/')
+    var buffer = Buffer.from('hi')
+    var decoded = roundTrip({ a: url, b: url, c: buffer, d: buffer })
+
+    assert.deepStrictEqual(decoded, { a: url.href, b: url.href, c: buffer.toJSON(), d: buffer.toJSON() })
+    assert.strictEqual(decoded.d, decoded.c)
+  })
+
+  it('reads plain JSON without reviving tagged objects by default', function () {
+    dantil.writeJSONFile(filePath, { date: new Date(0) }, { tagged: true, silent: true })
+
+    assert.deepStrictEqual(dantil.readJSONFile(filePath), { date: { $type: 'Date', value: '1970-01-01T00:00:00.000Z' } })
+  })
+})
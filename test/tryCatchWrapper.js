@@ -0,0 +1,65 @@
+var assert = require('assert')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+
+describe('tryCatchWrapper()', function () {
+  it('returns the value of `func`', function () {
+    assert.strictEqual(dantil.tryCatchWrapper(function () {
+      return 3
+    }), 3)
+  })
+
+  it('prints a thrown exception', function () {
+    var capture = dantil.captureOutput(function () {
+      return dantil.tryCatchWrapper(function () {
+        throw new Error('sync failure')
+      })
+    })
+
+    assert.strictEqual(capture.value, undefined)
+    assert.match(capture.stdout, /^\nError: sync failure\n\s+at /)
+  })
+
+  it('prints the rejection of a returned Promise', function () {
+    return dantil.captureOutput(function () {
+      return dantil.tryCatchWrapper(function () {
+        return Promise.reject(new Error('async failure'))
+      })
+    }).then(function (capture) {
+      assert.strictEqual(capture.value, undefined)
+      assert.match(capture.stdout, /Error: async failure/)
+    })
+  })
+
+  it('returns a Promise for the fulfillment value of a returned Promise', function () {
+    return dantil.tryCatchWrapper(function () {
+      return Promise.resolve('done')
+    }).then(function (value) {
+      assert.strictEqual(value, 'done')
+    })
+  })
+})
+
+describe('catchUncaughtExceptions()', function () {
+  it('replaces the listeners it previously added', function () {
+    var exceptionListenersLen = process.listenerCount('uncaughtException')
+    var rejectionListenersLen = process.listenerCount('unhandledRejection')
+
+    dantil.catchUncaughtExceptions()
+    dantil.catchUncaughtExceptions()
+
+    assert.strictEqual(process.listenerCount('uncaughtException'), exceptionListenersLen + 1)
+    assert.strictEqual(process.listenerCount('unhandledRejection'), rejectionListenersLen + 1)
+
+    var listener = process.listeners('unhandledRejection').pop()
+    var capture = dantil.captureOutput(function () {
+      listener('not an error')
+    })
+
+    assert.strictEqual(capture.stdout, '\nnot an error\n')
+
+    process.removeListener('uncaughtException', listener)
+    process.removeListener('unhandledRejection', listener)
+  })
+})
@@ -0,0 +1,111 @@
+var assert = require('assert')
+var fs = require('fs')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('watchModules()', function () {
+  var dirPath = helpers.makeTempDir('watch')
+  var childPath = helpers.writeFixture(dirPath, 'child.js', 'module.exports = 1\n')
+  var parentPath = helpers.writeFixture(dirPath, 'parent.js', 'module.exports = require(\'./child.js\') + 1\n')
+
+  function waitForReload(watchedPath, change) {
+    return new Promise(function (resolve) {
+      var watcher = dantil.watchModules(watchedPath, function (deletedPaths) {
+        watcher.close()
+        resolve(deletedPaths)
+      })
+
+      change()
+    })
+  }
+
+  it('removes a changed module and its dependents from cache', function () {
+    require(parentPath)
+
+    return waitForReload(childPath, function () {
+      fs.writeFileSync(childPath, 'module.exports = 2\n')
+    }).then(function (deletedPaths) {
+      // Includes this file, which required `parentPath`.
+      assert.deepStrictEqual(deletedPaths.sort(), [ childPath, parentPath, __filename ].sort())
+      assert.strictEqual(require.cache[childPath], undefined)
+      assert.strictEqual(require(parentPath), 3)
+    })
+  })
+
+  it('keeps watching a module an editor replaces by rename', { timeout: 5000 }, function () {
+    var tmpPath = childPath + '.tmp'
+    var replaced = false
+
+    return new Promise(function (resolve) {
+      var watcher = dantil.watchModules(childPath, function () {
+        // Skip the reload for the removal of the file.
+        if (!fs.existsSync(childPath)) return
+
+        if (replaced) {
+          watcher.close()
+          resolve()
+        } else {
+          // Change the replacement file, which only reloads if still watched.
+          replaced = true
+          fs.writeFileSync(childPath, 'module.exports = 5\n')
+        }
+      })
+
+      // Remove the file before writing its replacement, as some editors do.
+      fs.unlinkSync(childPath)
+
+      setTimeout(function () {
+        fs.writeFileSync(tmpPath, 'module.exports = 4\n')
+        fs.renameSync(tmpPath, childPath)
+      }, 100)
+    }).then(function () {
+      assert.strictEqual(require(childPath), 5)
+    })
+  })
+
+  it('keeps watching a module after a watcher error', { timeout: 5000 }, function () {
+    // Get the `fs.FSWatcher` of the module to emit an error.
+    var origWatch = fs.watch
+    var fsWatcher
+    fs.watch = function () {
+      fsWatcher = origWatch.apply(fs, arguments)
+      return fsWatcher
+    }
+
+    try {
+      var reloaded = new Promise(function (resolve) {
+        var watcher = dantil.watchModules(childPath, function (deletedPaths) {
+          watcher.close()
+          resolve(deletedPaths)
+        })
+      })
+    } finally {
+      fs.watch = origWatch
+    }
+
+    fsWatcher.emit('error', Object.assign(new Error('EPERM: operation not permitted, watch'), { code: 'EPERM' }))
+
+    // Change the module after the watcher closed, which only reloads if the module is still watched.
+    setTimeout(function () {
+      fs.writeFileSync(childPath, 'module.exports = 6\n')
+    }, 100)
+
+    return reloaded.then(function (deletedPaths) {
+      assert.ok(deletedPaths.indexOf(childPath) !== -1)
+      assert.strictEqual(require(childPath), 6)
+    })
+  })
+})
+
+describe('deleteModuleCache()', function () {
+  it('removes modules from cache', function () {
+    var modulePath = helpers.writeFixture(helpers.makeTempDir('cache'), 'module.js', 'module.exports = {}\n')
+
+    var module = require(modulePath)
+    dantil.deleteModuleCache(modulePath)
+
+    assert.notStrictEqual(require(modulePath), module)
+  })
+})
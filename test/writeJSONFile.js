@@ -0,0 +1,66 @@
+var assert = require('assert')
+var fs = require('fs')
+var path = require('path')
+var describe = require('node:test').describe
+var it = require('node:test').it
+var dantil = require('../dantil')
+var helpers = require('./helpers')
+
+describe('writeJSONFile()', function () {
+  var dirPath = helpers.makeTempDir('write-json')
+  var filePath = path.join(dirPath, 'obj.json')
+
+  it('writes tab-indented JSON and prints the path', function () {
+    var capture = dantil.captureOutput(function () {
+      dantil.writeJSONFile(filePath, { name: 'foo', list: [ 1 ] })
+    })
+
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{\n\t"name": "foo",\n\t"list": [\n\t\t1\n\t]\n}')
+    assert.strictEqual(capture.stdout, 'File saved: ' + filePath + '\n')
+  })
+
+  it('indents with `options.indent` and prints nothing with `options.silent`', function () {
+    var capture = dantil.captureOutput(function () {
+      dantil.writeJSONFile(filePath, { a: 1 }, { indent: '  ', silent: true })
+    })
+
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{\n  "a": 1\n}')
+    assert.strictEqual(capture.stdout, '')
+  })
+
+  it('copies the existing file with `options.backup`', function () {
+    dantil.writeJSONFile(filePath, { version: 1 }, { silent: true })
+    dantil.writeJSONFile(filePath, { version: 2 }, { backup: true, silent: true })
+
+    assert.deepStrictEqual(dantil.readJSONFile(filePath + '.bak'), { version: 1 })
+    assert.deepStrictEqual(dantil.readJSONFile(filePath), { version: 2 })
+  })
+
+  it('writes atomically with `options.atomic` without leaving temporary files', function () {
+    var atomicDirPath = path.join(dirPath, 'atomic')
+    fs.mkdirSync(atomicDirPath)
+    var atomicFilePath = path.join(atomicDirPath, 'obj.json')
+
+    dantil.writeJSONFile(atomicFilePath, { a: 1 }, { atomic: true, silent: true })
+    dantil.writeJSONFile(atomicFilePath, { a: 2 }, { atomic: true, silent: true })
+
+    assert.deepStrictEqual(dantil.readJSONFile(atomicFilePath), { a: 2 })
+    assert.deepStrictEqual(fs.readdirSync(atomicDirPath), [ 'obj.json' ])
+  })
+})
+
+describe('writeJSONFileAsync()', function () {
+  it('writes the file and fulfills the returned Promise', function () {
+    var filePath = path.join(helpers.makeTempDir('write-json'), 'obj.json')
+
+    return dantil.writeJSONFileAsync(filePath, { date: new Date(0) }, { tagged: true, atomic: true, backup: true, silent: true }).then(function () {
+      assert.deepStrictEqual(dantil.readJSONFile(filePath, { tagged: true }), { date: new Date(0) })
+    })
+  })
+
+  it('rejects the returned Promise if writing fails', function () {
+    var filePath = path.join(helpers.makeTempDir('write-json'), 'missing-dir/obj.json')
+
+    return assert.rejects(dantil.writeJSONFileAsync(filePath, {}, { silent: true }))
+  })
+})